@@ -0,0 +1,262 @@
+//SPDX-License-Identifier: MIT
+
+/// @title JPEG Mining collection
+/// @author Xatarrer
+/// @notice Unaudited
+pragma solidity ^0.8.4;
+
+import "@openzeppelin/contracts-upgradeable/token/ERC721/extensions/ERC721EnumerableUpgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/access/OwnableUpgradeable.sol";
+import "@rari-capital/solmate/src/utils/SSTORE2.sol";
+import "@openzeppelin/contracts/utils/cryptography/ECDSA.sol";
+import "./JPEGmining.sol";
+import "./Base64.sol";
+
+/**
+    @dev Same as JPEGminerBinary but for any artwork: the number of scans, phase boundaries, name, symbol,
+    description and minting fees are set by initialize(). Collections are clones made by JPEGfactory, so
+    nothing is set by the constructor and there are no immutables: the image is in storage, read by
+    JPEGmining.sol through the getters below, and the ERC721 and ownership are the upgradeable ones of
+    OpenZeppelin, which clones initialize.
+
+    @dev The name and description are inserted as they are in the data URL of tokenURI(), so they must be
+    URL and JSON safe. scripts/collections.js escapes the description and checks the name.
+
+    @dev Curated drops reserve scans with EIP-712 vouchers the owner signs, see scripts/vouchers.js. A
+    voucher lets one address mine a given scan, or any scan, within a time window, once. Without public
+    mining mineReserved() is the only way to mine. The owner reserves the scans of scan vouchers with
+    setReservedScans() so that neither mine() nor vouchers of any scan take them first, and releases the
+    scan of a miner who does not show up, which would otherwise block the collection.
+*/
+
+contract JPEGcollection is ERC721EnumerableUpgradeable, OwnableUpgradeable, JPEGmining {
+    event PublicMiningSet(bool publicMining);
+    event ScansReserved(uint256[] scans, bool reserved);
+
+    struct Collection {
+        string name;
+        string symbol;
+        string description;
+        bytes imageHeader;
+        bytes32[] imageHashes;
+        uint256[] mintingGasFees;
+        // First tokens of the color and resolution phases
+        uint256 colorStart;
+        uint256 resolutionStart;
+        // Whether anyone can mine, or only the holders of vouchers
+        bool publicMining;
+    }
+
+    struct Reservation {
+        address miner;
+        // ANY_SCAN for whichever scan is next
+        uint256 scan;
+        // Seconds since the epoch, the voucher is valid from notBefore to notAfter included
+        uint256 notBefore;
+        uint256 notAfter;
+    }
+
+    uint256 public constant ANY_SCAN = type(uint256).max;
+
+    bytes32 private constant _DOMAIN_TYPEHASH =
+        keccak256("EIP712Domain(string name,string version,uint256 chainId,address verifyingContract)");
+    bytes32 private constant _RESERVATION_TYPEHASH =
+        keccak256("Reservation(address miner,uint256 scan,uint256 notBefore,uint256 notAfter)");
+
+    uint256 private _nScans;
+    uint256 private _colorStart;
+    uint256 private _resolutionStart;
+    bool public publicMining;
+    /// @dev Digests of hashReservation() already mined with, a token can be transferred away and its
+    /// miner would otherwise mine again with the same voucher
+    mapping(bytes32 => bool) public usedReservations;
+    /// @dev Scans only the vouchers of that scan can mine
+    mapping(uint256 => bool) public reservedScans;
+
+    address private _descriptionPointer;
+    address private _mintingGasFeesPointer;
+    address private _imageHashesPointer;
+    address private _imageHeaderPointer;
+    address[] private _imageScansPointers;
+
+    /// @dev The implementation is never initialized, only its clones
+    constructor() initializer {}
+
+    function initialize(address owner_, Collection calldata collection) external initializer {
+        require(collection.imageHashes.length > 0, "No scans");
+        require(collection.mintingGasFees.length == collection.imageHashes.length, "One minting fee per scan");
+        require(
+            collection.colorStart <= collection.resolutionStart &&
+                collection.resolutionStart <= collection.imageHashes.length,
+            "Invalid phases"
+        );
+
+        __ERC721_init(collection.name, collection.symbol);
+        __ERC721Enumerable_init();
+        // The factory initializes the clone, so it owns it until it transfers it to owner_
+        __Ownable_init();
+        transferOwnership(owner_);
+        _nScans = collection.imageHashes.length;
+        _colorStart = collection.colorStart;
+        _resolutionStart = collection.resolutionStart;
+        publicMining = collection.publicMining;
+
+        _descriptionPointer = SSTORE2.write(bytes(collection.description));
+        _mintingGasFeesPointer = SSTORE2.write(abi.encodePacked(collection.mintingGasFees));
+        _imageHeaderPointer = SSTORE2.write(collection.imageHeader);
+        _imageHashesPointer = SSTORE2.write(abi.encodePacked(collection.imageHashes));
+    }
+
+    /// @return Number of scans, and therefore tokens, of the collection
+    function NSCANS() public view returns (uint256) {
+        return _nScans;
+    }
+
+    /// @return JSON with properties
+    function tokenURI(uint256 tokenId) public view override returns (string memory) {
+        return _tokenURI(tokenId);
+    }
+
+    /// @return The image header, as passed to initialize()
+    function getHeader() external view returns (bytes memory) {
+        return _getHeader();
+    }
+
+    /// @return The scan of a mined token, as passed to mine()
+    function getScan(uint256 tokenId) public view returns (bytes memory) {
+        return _getScan(tokenId);
+    }
+
+    /// @return scans The scans of tokens startId to endId (excluded), so that images can be read in calls
+    /// that stay under the gas cap of RPC providers, unlike tokenURI() of the last tokens
+    function getScans(uint256 startId, uint256 endId) external view returns (bytes[] memory scans) {
+        require(startId <= endId && endId <= totalSupply(), "Scans not mined");
+
+        scans = new bytes[](endId - startId);
+        for (uint256 i = startId; i < endId; i++) scans[i - startId] = getScan(i);
+    }
+
+    /// @param imageScan Piece of image data in binary
+    function mine(bytes calldata imageScan) external payable {
+        require(publicMining, "Mining needs a reservation");
+        require(!reservedScans[totalSupply()], "Scan is reserved");
+
+        _mine(imageScan);
+    }
+
+    /// @param imageScan Piece of image data in binary
+    /// @param reservation Reservation of the caller, signed by the owner in signature
+    function mineReserved(
+        bytes calldata imageScan,
+        Reservation calldata reservation,
+        bytes calldata signature
+    ) external payable {
+        require(reservation.miner == msg.sender, "Reserved for another miner");
+        require(reservation.scan == ANY_SCAN || reservation.scan == totalSupply(), "Reserved for another scan");
+        require(reservation.scan != ANY_SCAN || !reservedScans[totalSupply()], "Scan is reserved");
+        require(
+            reservation.notBefore <= block.timestamp && block.timestamp <= reservation.notAfter,
+            "Reservation not valid now"
+        );
+        bytes32 digest = hashReservation(reservation);
+        require(!usedReservations[digest], "Reservation already used");
+        require(ECDSA.recover(digest, signature) == owner(), "Reservation not signed by owner");
+
+        usedReservations[digest] = true;
+        _mine(imageScan);
+    }
+
+    /// @return EIP-712 digest of the reservation, which the owner signs. The domain is built on every
+    /// call because clones do not share the address of the implementation.
+    function hashReservation(Reservation calldata reservation) public view returns (bytes32) {
+        return
+            ECDSA.toTypedDataHash(
+                keccak256(
+                    abi.encode(_DOMAIN_TYPEHASH, keccak256("JPEG Mining"), keccak256("1"), block.chainid, address(this))
+                ),
+                keccak256(abi.encode(_RESERVATION_TYPEHASH, reservation))
+            );
+    }
+
+    function setPublicMining(bool publicMining_) external onlyOwner {
+        publicMining = publicMining_;
+        emit PublicMiningSet(publicMining_);
+    }
+
+    /// @param scans Scans to keep to their vouchers, or to let anyone mine again when reserved is false
+    function setReservedScans(uint256[] calldata scans, bool reserved) external onlyOwner {
+        for (uint256 i = 0; i < scans.length; i++) {
+            require(scans[i] < _nScans, "Not a scan of the collection");
+            reservedScans[scans[i]] = reserved;
+        }
+        emit ScansReserved(scans, reserved);
+    }
+
+    function _getNScans() internal view override returns (uint256) {
+        return _nScans;
+    }
+
+    function _getPhaseStarts() internal view override returns (uint256, uint256) {
+        return (_colorStart, _resolutionStart);
+    }
+
+    function _getName() internal view override returns (string memory) {
+        return name();
+    }
+
+    function _getDescription() internal view override returns (string memory) {
+        return string(SSTORE2.read(_descriptionPointer));
+    }
+
+    function _getHeaderPointer() internal view override returns (address) {
+        return _imageHeaderPointer;
+    }
+
+    function _getHashesPointer() internal view override returns (address) {
+        return _imageHashesPointer;
+    }
+
+    function _getMintingGasFeesPointer() internal view override returns (address) {
+        return _mintingGasFeesPointer;
+    }
+
+    function _getScanPointer(uint256 tokenId) internal view override returns (address) {
+        return _imageScansPointers[tokenId];
+    }
+
+    // Scans are mined in order, so the pointer of tokenId is always the next one
+    function _setScanPointer(uint256, address pointer) internal override {
+        _imageScansPointers.push(pointer);
+    }
+
+    function _imageFooter() internal pure override returns (bytes memory) {
+        return hex"ffd9";
+    }
+
+    function _encodeImage(bytes memory image) internal pure override returns (string memory) {
+        return Base64.encode(image);
+    }
+
+    // Counted as in JPEGminerBinary
+    function _lengthB64(uint256 length) internal pure override returns (uint256) {
+        return 4 * ((length + 2) / 3);
+    }
+
+    function _getMinedCount() internal view override returns (uint256) {
+        return totalSupply();
+    }
+
+    function _isMined(uint256 tokenId) internal view override returns (bool) {
+        return _exists(tokenId);
+    }
+
+    function _holdsToken(address miner) internal view override returns (bool) {
+        return balanceOf(miner) > 0;
+    }
+
+    function _mintToken(address miner, uint256 tokenId) internal override {
+        _mint(miner, tokenId);
+    }
+
+    function _requireOwner() internal view override onlyOwner {}
+}
@@ -0,0 +1,44 @@
+//SPDX-License-Identifier: MIT
+
+/// @title JPEG Mining factory
+/// @author Xatarrer
+/// @notice Unaudited
+pragma solidity ^0.8.4;
+
+import "@openzeppelin/contracts/proxy/Clones.sol";
+import "./JPEGcollection.sol";
+
+/**
+    @dev Creates JPEGcollection clones (EIP-1167) of one implementation. A JPEGcollection is too large for
+    the factory to deploy it with new, and clones cost a fraction of a deployment.
+*/
+
+contract JPEGfactory {
+    event CollectionCreated(address indexed collection, address indexed owner, string name);
+
+    address public immutable implementation;
+
+    address[] private _collections;
+    mapping(address => bool) public isCollection;
+
+    /// @param implementation_ JPEGcollection the collections are clones of
+    constructor(address implementation_) {
+        implementation = implementation_;
+    }
+
+    /// @return collection New collection, owned by the caller
+    function createCollection(JPEGcollection.Collection calldata params) external returns (address collection) {
+        collection = Clones.clone(implementation);
+        JPEGcollection(collection).initialize(msg.sender, params);
+
+        _collections.push(collection);
+        isCollection[collection] = true;
+
+        emit CollectionCreated(collection, msg.sender, params.name);
+    }
+
+    /// @return Every collection created, oldest first
+    function getCollections() external view returns (address[] memory) {
+        return _collections;
+    }
+}
@@ -0,0 +1,131 @@
+//SPDX-License-Identifier: MIT
+
+/// @title JPEG Mining
+/// @author Xatarrer
+/// @notice Unaudited
+pragma solidity ^0.8.4;
+
+import "@openzeppelin/contracts/token/ERC721/extensions/ERC721Enumerable.sol";
+import "@rari-capital/solmate/src/utils/SSTORE2.sol";
+import "@openzeppelin/contracts/access/Ownable.sol";
+import "./JPEGmining.sol";
+
+/**
+    @dev Total gas (mint fee + dev fee) is monotonically increassing according to gas = 177551*tokenId+2422449
+
+    @dev Return data URL:
+    https://developer.mozilla.org/en-US/docs/Web/HTTP/Basics_of_HTTP/Data_URIs
+    https://en.wikipedia.org/wiki/Data_URI_scheme
+
+    @dev Large efficient immutable storage: https://github.com/0xsequence/sstore2/blob/master/contracts/SSTORE2.sol
+
+    @dev Mining shared by JPEGminer and JPEGminerBinary, which only differ in how scans are stored: they
+    implement the format hooks of JPEGmining.sol and the mine() and getters of their scan type.
+*/
+
+abstract contract JPEGminerBase is ERC721Enumerable, Ownable, JPEGmining {
+    uint256 public constant NSCANS = 100;
+
+    /// @dev First tokens of the color and resolution phases, as the description says
+    uint256 internal constant COLOR_START = 11;
+    uint256 internal constant RESOLUTION_START = 33;
+
+    string private constant _NAME = "Mined JPEG";
+    string private constant _SYMBOL = "MJ";
+    string private constant _DESCRIPTION =
+        "JPEG Mining is a collaborative effort to store %2a%2athe largest on-chain image%2a%2a %281.5MB in Base64 format %26 1.1MB in binary%29. "
+        "The image is split into 100 pieces which are uploaded by every wallet that calls the function mine%28%29. "
+        "Thanks to the %2a%2aprogressive JPEG%2a%2a technology the image is viewable since its first piece is mined, "
+        "and its quality gradually improves until the last piece is mined.  %5Cr  %5Cr"
+        "As the image's quality improves over each successive mining, it goes through 3 different clear phases%3A  %5Cr"
+        "1. image is %2a%2black & white%2a%2 only,  %5Cr2. %2a%2color%2a%2 is added, and  %5Cr3. %2a%2resolution%2a%2 improves until the final version.  %5Cr"
+        "The B&W phase is the shortest and only lasts 11 uploads, "
+        "the color phase last 22 uploads, and the resolution phase is the longest with 67 uploads.  %5Cr  %5Cr"
+        "Every JPEG miner gets an NFT of the image with the quality at the time of minting.  %5Cr  %5Cr"
+        "Art by Logan Turner. Idea and code by Xatarrer.";
+
+    // Replace the hashes before deployment
+    address private immutable _mintingGasFeesPointer;
+    address private immutable _imageHashesPointer;
+    address private immutable _imageHeaderPointer;
+    address[] private _imageScansPointers;
+
+    constructor(
+        bytes memory imageHeader,
+        bytes32[] memory imageHashes,
+        uint256[] memory mintingGasFees
+    ) ERC721(_NAME, _SYMBOL) {
+        require(imageHashes.length == NSCANS);
+
+        // Store minting gas fees
+        _mintingGasFeesPointer = SSTORE2.write(abi.encodePacked(mintingGasFees));
+
+        // Store header
+        _imageHeaderPointer = SSTORE2.write(imageHeader);
+
+        // Store hashes
+        _imageHashesPointer = SSTORE2.write(abi.encodePacked(imageHashes));
+
+        // Initialize array of pointers to scans
+        _imageScansPointers = new address[](NSCANS);
+    }
+
+    /// @return JSON with properties
+    function tokenURI(uint256 tokenId) public view override returns (string memory) {
+        return _tokenURI(tokenId);
+    }
+
+    function _getNScans() internal pure override returns (uint256) {
+        return NSCANS;
+    }
+
+    function _getPhaseStarts() internal pure override returns (uint256, uint256) {
+        return (COLOR_START, RESOLUTION_START);
+    }
+
+    function _getName() internal pure override returns (string memory) {
+        return _NAME;
+    }
+
+    function _getDescription() internal pure override returns (string memory) {
+        return _DESCRIPTION;
+    }
+
+    function _getHeaderPointer() internal view override returns (address) {
+        return _imageHeaderPointer;
+    }
+
+    function _getHashesPointer() internal view override returns (address) {
+        return _imageHashesPointer;
+    }
+
+    function _getMintingGasFeesPointer() internal view override returns (address) {
+        return _mintingGasFeesPointer;
+    }
+
+    function _getScanPointer(uint256 tokenId) internal view override returns (address) {
+        return _imageScansPointers[tokenId];
+    }
+
+    function _setScanPointer(uint256 tokenId, address pointer) internal override {
+        _imageScansPointers[tokenId] = pointer;
+    }
+
+    function _getMinedCount() internal view override returns (uint256) {
+        return totalSupply();
+    }
+
+    function _isMined(uint256 tokenId) internal view override returns (bool) {
+        return _exists(tokenId);
+    }
+
+    function _holdsToken(address miner) internal view override returns (bool) {
+        return balanceOf(miner) > 0;
+    }
+
+    function _mintToken(address miner, uint256 tokenId) internal override {
+        _mint(miner, tokenId);
+    }
+
+    function _requireOwner() internal view override onlyOwner {}
+}
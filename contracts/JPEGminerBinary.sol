@@ -0,0 +1,60 @@
+//SPDX-License-Identifier: MIT
+
+/// @title JPEG Mining
+/// @author Xatarrer
+/// @notice Unaudited
+pragma solidity ^0.8.4;
+
+import "./JPEGminerBase.sol";
+import "./Base64.sol";
+
+/** 
+    @dev Same as JPEGminer but scans are stored in binary, which takes 25% less calldata and storage than
+    Base64 and needs no zero padding. The image is Base64 encoded when tokenURI() is called.
+*/
+
+contract JPEGminerBinary is JPEGminerBase {
+    constructor(
+        bytes memory imageHeader,
+        bytes32[] memory imageHashes,
+        uint256[] memory mintingGasFees
+    ) JPEGminerBase(imageHeader, imageHashes, mintingGasFees) {}
+
+    function _imageFooter() internal pure override returns (bytes memory) {
+        return hex"ffd9";
+    }
+
+    // Scans are not padded, so the image can only be encoded once it is complete
+    function _encodeImage(bytes memory image) internal pure override returns (string memory) {
+        return Base64.encode(image);
+    }
+
+    // As if the scan was zero padded and encoded alone like in JPEGminer
+    function _lengthB64(uint256 length) internal pure override returns (uint256) {
+        return 4 * ((length + 2) / 3);
+    }
+
+    /// @return The image header, as passed to the constructor
+    function getHeader() external view returns (bytes memory) {
+        return _getHeader();
+    }
+
+    /// @return The scan of a mined token, as passed to mine()
+    function getScan(uint256 tokenId) public view returns (bytes memory) {
+        return _getScan(tokenId);
+    }
+
+    /// @return scans The scans of tokens startId to endId (excluded), so that images can be read in calls
+    /// that stay under the gas cap of RPC providers, unlike tokenURI() of the last tokens
+    function getScans(uint256 startId, uint256 endId) external view returns (bytes[] memory scans) {
+        require(startId <= endId && endId <= totalSupply(), "Scans not mined");
+
+        scans = new bytes[](endId - startId);
+        for (uint256 i = startId; i < endId; i++) scans[i - startId] = getScan(i);
+    }
+
+    /// @param imageScan Piece of image data in binary
+    function mine(bytes calldata imageScan) external payable {
+        _mine(imageScan);
+    }
+}
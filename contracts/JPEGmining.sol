@@ -0,0 +1,203 @@
+//SPDX-License-Identifier: MIT
+
+/// @title JPEG Mining
+/// @author Xatarrer
+/// @notice Unaudited
+pragma solidity ^0.8.4;
+
+import "@rari-capital/solmate/src/utils/SSTORE2.sol";
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/utils/Strings.sol";
+
+/**
+    @dev Image and mining logic of JPEGminerBase and JPEGcollection. The first keeps its image in constants
+    and immutables and the second in the storage of its clones, and they are different ERC721s, so this
+    contract reads both through the virtual getters below.
+*/
+
+abstract contract JPEGmining {
+    event Mined(address minerAddress, string indexed phase);
+
+    /// @return Number of scans, and therefore tokens
+    function _getNScans() internal view virtual returns (uint256);
+
+    /// @return colorStart resolutionStart First tokens of the color and resolution phases
+    function _getPhaseStarts() internal view virtual returns (uint256 colorStart, uint256 resolutionStart);
+
+    /// @return Name and description of the tokens, inserted as they are in the data URL of tokenURI()
+    function _getName() internal view virtual returns (string memory);
+
+    function _getDescription() internal view virtual returns (string memory);
+
+    /// @return SSTORE2 pointers of the header, of the hashes of the scans and of their minting fees
+    function _getHeaderPointer() internal view virtual returns (address);
+
+    function _getHashesPointer() internal view virtual returns (address);
+
+    function _getMintingGasFeesPointer() internal view virtual returns (address);
+
+    /// @return SSTORE2 pointer of the scan of a mined token
+    function _getScanPointer(uint256 tokenId) internal view virtual returns (address);
+
+    function _setScanPointer(uint256 tokenId, address pointer) internal virtual;
+
+    /// @return The end of image marker, in the format scans are stored in
+    function _imageFooter() internal pure virtual returns (bytes memory);
+
+    /// @return The Base64 data of the image, header, scans and footer as they are stored
+    function _encodeImage(bytes memory image) internal pure virtual returns (string memory);
+
+    /// @return The length in Base64 of a stored scan of the given length, scans count in Base64 in the
+    /// kilobytes attribute whatever the format they are stored in
+    function _lengthB64(uint256 length) internal pure virtual returns (uint256);
+
+    /// @return Number of tokens mined, the next token is the scan of this index
+    function _getMinedCount() internal view virtual returns (uint256);
+
+    function _isMined(uint256 tokenId) internal view virtual returns (bool);
+
+    /// @return Whether miner holds a token, and so cannot mine
+    function _holdsToken(address miner) internal view virtual returns (bool);
+
+    function _mintToken(address miner, uint256 tokenId) internal virtual;
+
+    /// @dev Reverts unless the caller is the owner
+    function _requireOwner() internal view virtual;
+
+    /// @return JSON with properties
+    function _tokenURI(uint256 tokenId) internal view returns (string memory) {
+        require(_isMined(tokenId), "Token does not exist");
+
+        (string memory imageB64, uint256 KB) = mergeScans(tokenId);
+
+        return
+            string(
+                abi.encodePacked(
+                    string(
+                        abi.encodePacked(
+                            "data:application/json;charset=UTF-8,%7B%22name%22%3A %22",
+                            _getName(),
+                            "%3A ",
+                            Strings.toString(tokenId + 1),
+                            " of ",
+                            Strings.toString(_getNScans()),
+                            "%22, %22description%22%3A %22",
+                            _getDescription(),
+                            "%22, %22image%22%3A %22data%3Aimage/jpeg;base64,"
+                        )
+                    ),
+                    imageB64,
+                    string(
+                        abi.encodePacked(
+                            "%22,%22attributes%22%3A %5B%7B%22trait_type%22%3A %22kilobytes%22, %22value%22%3A ",
+                            Strings.toString(KB / 1024),
+                            "%7D, %7B%22trait_type%22%3A %22phase%22, %22value%22%3A %22",
+                            getPhase(tokenId),
+                            "%22%7D%5D%7D"
+                        )
+                    )
+                )
+            );
+    }
+
+    /// @return The Base64 image up to tokenId and the Base64 characters its scans take
+    function mergeScans(uint256 tokenId) private view returns (string memory, uint256) {
+        bytes memory header = SSTORE2.read(_getHeaderPointer());
+
+        // SSTORE2 data starts after the STOP byte of its contract
+        uint256 length = 0;
+        uint256 KB = 0;
+        for (uint256 i = 0; i <= tokenId; i++) {
+            uint256 size = _getScanPointer(i).code.length - 1;
+            length += size;
+            KB += _lengthB64(size);
+        }
+
+        // Scans are copied straight from their contracts into the image, whatever their number
+        bytes memory image = abi.encodePacked(header, new bytes(length), _imageFooter());
+        uint256 offset = header.length;
+        for (uint256 i = 0; i <= tokenId; i++) {
+            address pointer = _getScanPointer(i);
+            uint256 size = pointer.code.length - 1;
+            assembly {
+                extcodecopy(pointer, add(add(image, 32), offset), 1, size)
+            }
+            offset += size;
+        }
+
+        return (_encodeImage(image), KB);
+    }
+
+    function getPhase(uint256 tokenId) public view returns (string memory) {
+        require(tokenId < _getNScans());
+
+        (uint256 colorStart, uint256 resolutionStart) = _getPhaseStarts();
+        if (tokenId < colorStart) return "Black & White";
+        else if (tokenId < resolutionStart) return "Color";
+        else return "Resolution";
+    }
+
+    function getMintingGasFee(uint256 tokenId) public view returns (uint256) {
+        require(tokenId < _getNScans());
+
+        return abi.decode(SSTORE2.read(_getMintingGasFeesPointer(), tokenId * 32, (tokenId + 1) * 32), (uint256));
+    }
+
+    function getHash(uint256 tokenId) public view returns (bytes32) {
+        require(tokenId < _getNScans());
+
+        return abi.decode(SSTORE2.read(_getHashesPointer(), tokenId * 32, (tokenId + 1) * 32), (bytes32));
+    }
+
+    /// @return The image header, as it was deployed
+    function _getHeader() internal view returns (bytes memory) {
+        return SSTORE2.read(_getHeaderPointer());
+    }
+
+    /// @return The scan of a mined token, as passed to mine()
+    function _getScan(uint256 tokenId) internal view returns (bytes memory) {
+        require(_isMined(tokenId), "Token does not exist");
+
+        return SSTORE2.read(_getScanPointer(tokenId));
+    }
+
+    /// @dev Checks of mine() for the scan of the next token, which it stores before minting the token
+    function _mine(bytes memory imageScan) internal {
+        uint256 tokenId = _getMinedCount();
+
+        // Checks
+        require(msg.sender == tx.origin, "Only EA's can mine");
+        require(!_holdsToken(msg.sender), "Cannot mine more than once");
+        require(tokenId < _getNScans(), "Mining is over");
+
+        // Check gas minting fee
+        uint256 mintingFee = tx.gasprice * getMintingGasFee(tokenId);
+        require(msg.value >= mintingFee, "ETH fee insufficient");
+
+        // Check hash matches
+        require(keccak256(imageScan) == getHash(tokenId), "Wrong data");
+
+        // SSTORE2 scan
+        _setScanPointer(tokenId, SSTORE2.write(imageScan));
+
+        // Return change
+        payable(msg.sender).transfer(msg.value - mintingFee);
+
+        // Mint scan
+        _mintToken(msg.sender, tokenId);
+
+        emit Mined(msg.sender, getPhase(tokenId));
+    }
+
+    /// @dev Only the owner calls the withdrawals, so they pay the caller
+    function withdrawEth() external {
+        _requireOwner();
+        payable(msg.sender).transfer(address(this).balance);
+    }
+
+    function withdrawToken(address addrERC20) external {
+        _requireOwner();
+        uint256 balance = IERC20(addrERC20).balanceOf(address(this));
+        IERC20(addrERC20).transfer(msg.sender, balance);
+    }
+}
@@ -4,36 +4,59 @@ import { ethers } from "ethers";
 // Contract artifact
 import JPEGminerArtifact from "../contracts/JPEGminer.json";
 
-// Other contract data
-import { imageScans, gasMintingFees, chainId, address } from "../contracts/contractParams.json";
+// Other contract data comes from the manifest of the props, see manifest.js for the format
+import { validateManifest, getImageScans, getThumbnailURL, checkThumbnail } from "../contracts/manifest.js";
+import { collectionABI } from "../contracts/collections.js";
+import {
+    RESERVATION_GAS,
+    checkVoucherFile,
+    findVoucher,
+    getVoucherError,
+    toReservation
+} from "../contracts/reservations.js";
+import {
+    getNetworkByChainId,
+    getRpcURL,
+    getExplorerAddressURL,
+    getMarketplaceAccountURL
+} from "../contracts/networks.js";
 
 // React components
 import { ErrorMessage } from "./ErrorMessage";
 import { ConnectWallet } from "./ConnectWallet";
 import { Mine } from "./Mine";
+import { Voucher } from "./Voucher";
 import { Instructions } from "./Instructions";
 
 // This is an error code that indicates that the user canceled a transaction
 const ERROR_CODE_TX_REJECTED_BY_USER = 4001;
 
-// Networks chain Ids
-const MAINNET_ID = 1;
-const RINKEBY_ID = 4;
-const HARDHAT_ID = 31337;
-
 export class DappMiner extends React.Component {
-    imageScans = imageScans;
-    gasMintingFees = gasMintingFees;
-
     constructor(props) {
         super(props);
 
+        // Manifest of the main contract or of a collection of the factory, see index.js
+        const { manifest } = props;
+        this.manifest = manifest;
+        this.imageScans = getImageScans(manifest);
+        this.gasMintingFees = manifest.gasMintingFees;
+        // Network of the manifest, see networks.js
+        this.network = getNetworkByChainId(manifest.contract.chainId);
+        this.isCollection = manifest.contract.name === "JPEGcollection";
+        // The marketplace collection of the network is the main contract's
+        this.collectionLink = this.isCollection ? null : this.network.collection;
+
         // All state properties
         this.state = {
             nextScan: undefined,
             maxFeeWeiNext: undefined,
             maxFeePerGas: undefined,
             maxPriorityFeePerGas: undefined,
+            // Collections can be mined by reservation only, with a voucher, and reserved scans always are
+            publicMining: true,
+            voucher: null,
+            // Object URL of the thumbnail of the last token mined, once checked against the manifest
+            thumbnail: undefined,
             // Properties that depend on the user account
             canMine: true,
             OSlink: undefined,
@@ -54,21 +77,20 @@ export class DappMiner extends React.Component {
         };
 
         // Our own provider
-        if (chainId === HARDHAT_ID) {
-            this._provider = ethers.getDefaultProvider("http://localhost:8545");
-        } else if (chainId === MAINNET_ID || chainId === RINKEBY_ID) {
-            this._provider = new ethers.providers.InfuraProvider(chainId, {
-                projectId: "2f6e2beaa8ff4621b832fa9ec113bd11"
-            });
-        } else {
-            throw new Error("Wrong network");
-        }
+        // Set in frontend/.env, see .env.example
+        const rpcURL = getRpcURL(this.network, process.env, "REACT_APP_");
+        if (rpcURL === null) throw new Error(`No node for ${this.network.label}, see .env.example`);
+        this._provider = new ethers.providers.StaticJsonRpcProvider(rpcURL, manifest.contract.chainId);
 
         // Contract instance
-        this._jpegMiner = new ethers.Contract(address, JPEGminerArtifact.abi, this._provider);
+        const abi = this.isCollection ? collectionABI : JPEGminerArtifact.abi;
+        this._jpegMiner = new ethers.Contract(manifest.contract.address, abi, this._provider);
     }
 
     render() {
+        const { network } = this;
+        const { address } = this.manifest.contract;
+
         // If everything is loaded, we render the application.
         return (
             <div>
@@ -94,11 +116,34 @@ export class DappMiner extends React.Component {
                             backgroundRepeat: "no-repeat"
                         }}
                     >
-                        <Instructions />
+                        <Instructions
+                            phases={this.manifest.phases}
+                            gasCurve={this.manifest.gasCurve}
+                            nScans={this.imageScans.length}
+                            collectionLink={this.collectionLink}
+                        />
                     </div>
+                    {this.state.thumbnail && (
+                        <div className="container py-3 text-center">
+                            <img
+                                className="img-fluid"
+                                src={this.state.thumbnail}
+                                alt={`The image after ${this.state.nextScan} of ${this.imageScans.length} scans`}
+                            />
+                        </div>
+                    )}
+                    {this.state.web3 && this.isCollection && this.state.nextScan < this.imageScans.length && (
+                        <div className="container py-3">
+                            <Voucher
+                                loadFunc={(file) => this._loadVoucher(file)}
+                                voucher={this.state.voucher}
+                                enable={this.state.canMine}
+                            />
+                        </div>
+                    )}
                     <div className="container py-3">
                         {/* ADD QUESTION MARK NEXT TO INPUT ETH AMOUNT THAT EXPLAINS THIS IS THE ESTIMATED MINTING FEE IN ADDITION TO THE TX FEE, AND ALSO SPECIFIES HOW MUCH GAS MUST BE PAID */}
-                        {this.state.web3 && this.state.nextScan < 100 && (
+                        {this.state.web3 && this.state.nextScan < this.imageScans.length && (
                             <Mine
                                 mineFunc={(amount) => this._mine(amount)}
                                 maxFeeETH={() => {
@@ -108,7 +153,7 @@ export class DappMiner extends React.Component {
                                     return `~${ethers.utils.formatEther(this.state.maxFeeWeiNext.sub(remainder))} ETH`;
                                 }}
                                 next={this.state.nextScan}
-                                enable={this.state.canMine}
+                                enable={this.state.canMine && (this.state.publicMining || this.state.voucher !== null)}
                             />
                         )}
                     </div>
@@ -117,7 +162,11 @@ export class DappMiner extends React.Component {
                             className="p-3 m-auto rounded-3"
                             style={{ backgroundColor: "Lavender", maxWidth: "500px" }}
                         >
-                            <ErrorMessage errorMessage={this.state.errorMessage} OSlink={this.state.OSlink} />
+                            <ErrorMessage
+                                errorMessage={this.state.errorMessage}
+                                OSlink={this.state.OSlink}
+                                collectionLink={this.collectionLink}
+                            />
                         </div>
                     )}
                     <div style={{ height: "80px" }}></div>
@@ -156,14 +205,18 @@ export class DappMiner extends React.Component {
                                 maxWidth: "550px"
                             }}
                         >
-                            <strong>Disclarimer</strong>: The smart contract on Ethereum with address{" "}
-                            <a
-                                href="https://etherscan.io/address/0x7cd51fa7e155805c34f333ba493608742a67da8e"
-                                className="text-reset"
-                                target="_blank"
-                            >
-                                0x7cd51FA7E155805C34F333ba493608742A67Da8e
-                            </a>{" "}
+                            <strong>Disclarimer</strong>: The smart contract on {network.label} with address{" "}
+                            {network.explorer ? (
+                                <a
+                                    href={getExplorerAddressURL(network, address)}
+                                    className="text-reset"
+                                    target="_blank"
+                                >
+                                    {address}
+                                </a>
+                            ) : (
+                                address
+                            )}{" "}
                             is unaudited. The authors take no responsability on any loss of funds, code bug or
                             unexpected behavior. Any party interacting with the smart contract understands and accepts
                             that there is no warranty.
@@ -175,6 +228,15 @@ export class DappMiner extends React.Component {
     }
 
     componentDidMount() {
+        // Mining waits for this, the page must not send shards the contract would reject. It starts here
+        // rather than in the constructor, which StrictMode runs for instances that never mount.
+        this._manifestValidation = validateManifest(this.manifest, this._jpegMiner);
+        this._manifestValidation.catch((error) => {
+            this.setState({
+                errorMessage: `This page does not match the contract (${error.message}), do not mine from it.`
+            });
+        });
+
         if (!this._checkWeb3()) return;
 
         // Start polling gas prices
@@ -220,9 +282,61 @@ export class DappMiner extends React.Component {
         }
 
         this.setState({ nextScan });
-        if (nextScan >= 100) {
+        if (this.isCollection) this._getPublicMining();
+        if (nextScan > 0) this._loadThumbnail(Math.min(nextScan, this.imageScans.length) - 1);
+        if (nextScan >= this.imageScans.length) {
             this.setState({
-                errorMessage: "100 Mined JPEGS... Mining is over!\nCongratulations everyone that participated."
+                errorMessage: `${this.imageScans.length} Mined JPEGS... Mining is over!\nCongratulations everyone that participated.`
+            });
+        }
+    }
+
+    // Shows the largest thumbnail of tokenId the site serves, unless it is not the one of the manifest
+    async _loadThumbnail(tokenId) {
+        const { thumbnails } = this.manifest;
+        if (!thumbnails) return;
+
+        const width = Math.max(...Object.keys(thumbnails.widths).map(Number));
+        try {
+            const response = await fetch(getThumbnailURL(this.manifest, width, tokenId));
+            if (!response.ok) throw new Error(`No thumbnail of token ${tokenId}`);
+            const data = new Uint8Array(await response.arrayBuffer());
+            checkThumbnail(this.manifest, width, tokenId, data);
+
+            if (this.state.thumbnail) URL.revokeObjectURL(this.state.thumbnail);
+            this.setState({ thumbnail: URL.createObjectURL(new Blob([data], { type: "image/jpeg" })) });
+        } catch (error) {
+            console.error(error);
+        }
+    }
+
+    async _getPublicMining() {
+        try {
+            this.setState({ publicMining: await this._jpegMiner.publicMining() });
+        } catch (error) {
+            this.setState({
+                errorMessage: this._getRpcErrorMessage(error)
+            });
+        }
+    }
+
+    // Keeps the voucher of the connected address from a voucher file, see reservations.js
+    async _loadVoucher(file) {
+        if (this.state.selectedAddress === undefined) await this._connectWallet();
+        if (this.state.selectedAddress === undefined) return;
+
+        try {
+            const voucherFile = JSON.parse(await file.text());
+            checkVoucherFile(voucherFile, this.manifest);
+
+            const voucher = findVoucher(voucherFile, this.state.selectedAddress);
+            if (voucher === null)
+                throw new Error(`There is no reservation for ${this.state.selectedAddress} in this file`);
+            this.setState({ voucher, errorMessage: undefined });
+        } catch (error) {
+            this.setState({
+                voucher: null,
+                errorMessage: `Invalid voucher: ${error.message}`
             });
         }
     }
@@ -248,15 +362,14 @@ export class DappMiner extends React.Component {
             try {
                 await window.ethereum.request({
                     method: "wallet_switchEthereumChain",
-                    params: [{ chainId: ethers.utils.hexValue(chainId) }]
+                    params: [{ chainId: ethers.utils.hexValue(this.manifest.contract.chainId) }]
                 });
             } catch (switchError) {
-                // No need to call wallet_addEthereumChain because it is mainnet.
-                // DISABLE MINE() AND OUTPUT MESSAGE
+                // Networks missing from the wallet are not added, DISABLE MINE() AND OUTPUT MESSAGE
 
                 this.setState({
                     // errorMessage: "this._getRpcErrorMessage(switchError)"
-                    connectMessage: "Connect to Ethereum mainnet"
+                    connectMessage: `Connect to ${this.network.label}`
                 });
                 return;
             }
@@ -343,14 +456,9 @@ export class DappMiner extends React.Component {
 
         const canMine = Ncopies.toNumber() === 0;
 
-        let OSlink;
-        if (!canMine) {
-            if (chainId === MAINNET_ID) {
-                OSlink = `https://opensea.io/${this.state.selectedAddress}`;
-            } else if (chainId === RINKEBY_ID) {
-                OSlink = `https://testnets.opensea.io/${this.state.selectedAddress}`;
-            }
-        }
+        const OSlink = canMine
+            ? undefined
+            : getMarketplaceAccountURL(this.network, this.state.selectedAddress) || undefined;
 
         this.setState({
             canMine,
@@ -360,7 +468,7 @@ export class DappMiner extends React.Component {
     }
 
     async _updateGasParams() {
-        if (this.state.nextScan >= 100) {
+        if (this.state.nextScan >= this.imageScans.length) {
             // Stop polling gas prices
             clearInterval(this.gasInterval);
             this.gasInterval = undefined;
@@ -392,21 +500,28 @@ export class DappMiner extends React.Component {
         });
 
         if (this.state.nextScan !== undefined) {
-            const maxFeeWeiNext = maxFeePerGas.mul(gasMintingFees[this.state.nextScan]);
+            const maxFeeWeiNext = maxFeePerGas.mul(this.gasMintingFees[this.state.nextScan]);
             this.setState({
                 maxFeeWeiNext
             });
         }
 
         // // @debug
-        // if (chainId === HARDHAT_ID && maxFeePerGas !== undefined) {
+        // if (network.name === "localhost" && maxFeePerGas !== undefined) {
         //     this._provider.send("hardhat_setNextBlockBaseFeePerGas", [maxFeePerGas.toHexString()]);
         // }
     }
 
     // Mine JPEG
     async _mine(amount) {
-        if (this.state.nextScan >= 100) return;
+        if (this.state.nextScan >= this.imageScans.length) return;
+
+        try {
+            await this._manifestValidation;
+        } catch (error) {
+            return;
+        }
+
         await this._connectWallet();
 
         try {
@@ -414,17 +529,43 @@ export class DappMiner extends React.Component {
             const wei = amount === "" ? this.state.maxFeeWeiNext : ethers.utils.parseEther(amount);
 
             // Compute tx gas based on the formula for the total gas
-            const totalGas = ethers.BigNumber.from(70707).mul(this.state.nextScan).add(3000000);
-            const mintGas = gasMintingFees[this.state.nextScan];
+            const { gasCurve } = this.manifest;
+            const totalGas = ethers.BigNumber.from(gasCurve.slope).mul(this.state.nextScan).add(gasCurve.intercept);
+            const mintGas = this.gasMintingFees[this.state.nextScan];
             const gasLimit = totalGas.sub(mintGas).mul(11).div(10);
-
-            // Send tx
-            await this._jpegMiner.connect(this._signer).mine(imageScans[this.state.nextScan], {
+            const overrides = {
                 value: wei,
                 maxFeePerGas: this.state.maxFeePerGas,
                 maxPriorityFeePerGas: this.state.maxPriorityFeePerGas,
                 gasLimit
-            });
+            };
+
+            // Send tx
+            const jpegMiner = this._jpegMiner.connect(this._signer);
+            const imageScan = this.imageScans[this.state.nextScan];
+            if (this.state.voucher === null) {
+                await jpegMiner.mine(imageScan, overrides);
+            } else {
+                const { voucher, nextScan, selectedAddress } = this.state;
+                const { timestamp } = await this._provider.getBlock("latest");
+                const reserved = await this._jpegMiner.reservedScans(nextScan);
+                const voucherError = getVoucherError(voucher, {
+                    miner: selectedAddress,
+                    nextScan,
+                    timestamp,
+                    reserved
+                });
+                if (voucherError !== null) throw new Error(voucherError);
+                const reservation = toReservation(voucher);
+                if (await this._jpegMiner.usedReservations(await this._jpegMiner.hashReservation(reservation))) {
+                    throw new Error("Your voucher has already been used");
+                }
+
+                await jpegMiner.mineReserved(imageScan, reservation, voucher.signature, {
+                    ...overrides,
+                    gasLimit: gasLimit.add(RESERVATION_GAS)
+                });
+            }
 
             // Update miner state
             this._updateMinerState();
@@ -454,7 +595,7 @@ export class DappMiner extends React.Component {
 
     // This method checks if Metamask selected network is Localhost:8545
     _checkNetwork() {
-        if (Number(window.ethereum.networkVersion) === chainId) {
+        if (Number(window.ethereum.networkVersion) === this.manifest.contract.chainId) {
             return true;
         }
 
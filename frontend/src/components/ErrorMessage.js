@@ -1,6 +1,6 @@
 import React from "react";
 
-export function ErrorMessage({ errorMessage, OSlink }) {
+export function ErrorMessage({ errorMessage, OSlink, collectionLink }) {
     return (
         <div className="row justify-content-center" style={{ alignItems: "center" }}>
             <div className="col-3">
@@ -13,7 +13,7 @@ export function ErrorMessage({ errorMessage, OSlink }) {
                             Your NFT
                         </a>{" "}
                         can be viewed in{" "}
-                        <a href="https://opensea.io/collection/mined-jpeg" className="text-reset" target="_blank">
+                        <a href={collectionLink || OSlink} className="text-reset" target="_blank">
                             OpeanSea.
                         </a>
                         <br></br>
@@ -8,16 +8,30 @@ const numStyle = {
     marginBottom: "-1em"
 };
 
-export function Instructions() {
+// Formats a token id as it is shown in the mine button (#00, #01...)
+function tokenNumber(tokenId) {
+    return `#${tokenId.toString().padStart(2, 0)}`;
+}
+
+// Total gas (tx fee + minting fee) of a token in millions, e.g. "3M"
+function totalGasM({ slope, intercept }, tokenId) {
+    return `${Math.round((slope * tokenId + intercept) / 1e5) / 10}M`;
+}
+
+export function Instructions({ phases: { colorStart, resolutionStart }, gasCurve, nScans, collectionLink }) {
     return (
         <>
             <p>
                 <span style={numStyle}>1</span> Collective effort to{" "}
                 <span style={{ fontStyle: "italic" }}>JPEG-mine</span>{" "}
                 <strong>
-                    <a href="https://opensea.io/collection/mined-jpeg" className="text-reset" target="_blank">
-                        the largest ever on-chain image
-                    </a>
+                    {collectionLink ? (
+                        <a href={collectionLink} className="text-reset" target="_blank">
+                            the largest ever on-chain image
+                        </a>
+                    ) : (
+                        "the largest ever on-chain image"
+                    )}
                 </strong>{" "}
                 (1 MB) on Ethereum.
             </p>
@@ -70,7 +84,8 @@ export function Instructions() {
                     {/* <svg class="bi" width="32" height="32" fill="currentColor">
                         <use xlink:href="arrow-return-right" />
                     </svg> */}
-                    <img src="/arrow-return-right.svg" width="16" height="16"></img> #00 - #10 are in{" "}
+                    <img src="/arrow-return-right.svg" width="16" height="16"></img> {tokenNumber(0)} -{" "}
+                    {tokenNumber(colorStart - 1)} are in{" "}
                     <span style={{ fontWeight: "bold", backgroundColor: "white", color: "black" }}>black</span>&
                     <span
                         style={{
@@ -83,7 +98,8 @@ export function Instructions() {
                     </span>
                 </li>
                 <li className="ms-4">
-                    <img src="/arrow-return-right.svg" width="16" height="16"></img> #11 - #32 introduce{" "}
+                    <img src="/arrow-return-right.svg" width="16" height="16"></img> {tokenNumber(colorStart)} -{" "}
+                    {tokenNumber(resolutionStart - 1)} introduce{" "}
                     <span
                         style={{
                             fontWeight: "bold",
@@ -103,7 +119,8 @@ export function Instructions() {
                     to the image
                 </li>
                 <li className="ms-4">
-                    <img src="/arrow-return-right.svg" width="16" height="16"></img> #33 - #98 improve the{" "}
+                    <img src="/arrow-return-right.svg" width="16" height="16"></img> {tokenNumber(resolutionStart)} -{" "}
+                    {tokenNumber(nScans - 2)} improve the{" "}
                     <span
                         // className="align-middle"
                         style={{
@@ -118,7 +135,7 @@ export function Instructions() {
                     </span>
                 </li>
                 <li className="ms-4">
-                    <img src="/arrow-return-right.svg" width="16" height="16"></img> #99 gets the{" "}
+                    <img src="/arrow-return-right.svg" width="16" height="16"></img> {tokenNumber(nScans - 1)} gets the{" "}
                     <img src="/checkmark.svg" width="16" height="16"></img>
                     <span style={{ fontVariant: "small-caps" }}>full-resolution image</span>
                 </li>
@@ -134,8 +151,9 @@ export function Instructions() {
                         worry about overpaying.
                     </p> */}
             <p>
-                <span style={numStyle}>6</span> <strong>#0 is the cheapest</strong> (minting + tx fee cost 3M gas) and{" "}
-                <strong>#99 is the most expensive</strong> (10M gas!).
+                <span style={numStyle}>6</span> <strong>#0 is the cheapest</strong> (minting + tx fee cost{" "}
+                {totalGasM(gasCurve, 0)} gas) and <strong>#{nScans - 1} is the most expensive</strong> (
+                {totalGasM(gasCurve, nScans - 1)} gas!).
             </p>
             {/* <ul>
                     <li>Previous cost of mining: X gas</li>
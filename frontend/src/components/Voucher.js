@@ -0,0 +1,29 @@
+import React from "react";
+
+// Mining a collection by reservation: the miner loads the voucher file the owner of the collection sent
+export function Voucher({ loadFunc, voucher, enable }) {
+    return (
+        <div className="row g-2 align-items-center justify-content-center text-center">
+            <div className="col-12">
+                {voucher
+                    ? `Reservation loaded: ${
+                          voucher.scan === null ? "any scan" : `#${voucher.scan.toString().padStart(2, 0)}`
+                      }`
+                    : "Mining is by reservation, load the voucher the collection owner sent you."}
+            </div>
+            <div className="col-auto">
+                <input
+                    style={{ width: "270px" }}
+                    className="form-control"
+                    type="file"
+                    accept="application/json,.json"
+                    disabled={!enable}
+                    onChange={(event) => {
+                        const [file] = event.target.files;
+                        if (file !== undefined) loadFunc(file);
+                    }}
+                />
+            </div>
+        </div>
+    );
+}
@@ -0,0 +1,51 @@
+// Collections of the factory in the frontend: ?collection=<address> loads the manifest jpeg:collection
+// wrote to public/collections/<address>.json instead of the bundled manifest.json. CommonJS like
+// manifest.js.
+
+const { ethers } = require("ethers");
+const contractManifest = require("./manifest.js");
+
+// What the frontend calls of a JPEGcollection, whose artifact is not bundled
+const collectionABI = [
+    "event Mined(address minerAddress, string indexed phase)",
+    "function totalSupply() view returns (uint256)",
+    "function balanceOf(address owner) view returns (uint256)",
+    "function getHash(uint256 tokenId) view returns (bytes32)",
+    "function mine(bytes imageScan) payable",
+    "function publicMining() view returns (bool)",
+    "function mineReserved(bytes imageScan, tuple(address miner, uint256 scan, uint256 notBefore, uint256 notAfter) " +
+        "reservation, bytes signature) payable",
+    "function hashReservation(tuple(address miner, uint256 scan, uint256 notBefore, uint256 notAfter) reservation) " +
+        "view returns (bytes32)",
+    "function usedReservations(bytes32 digest) view returns (bool)",
+    "function reservedScans(uint256 scan) view returns (bool)"
+];
+
+module.exports = {
+    collectionABI: collectionABI,
+
+    // Collection address of the page's query string, null if it has none
+    getCollectionAddress: function (search) {
+        const address = new URLSearchParams(search).get("collection");
+        if (address === null) return null;
+        if (!ethers.utils.isAddress(address)) throw new Error(`"${address}" is not a collection address`);
+        return ethers.utils.getAddress(address);
+    },
+
+    getCollectionManifestURL: function (address) {
+        return `/collections/${address.toLowerCase()}.json`;
+    },
+
+    // Manifest of the collection, checked like the bundled one
+    loadCollectionManifest: async function (address, fetch) {
+        const response = await fetch(module.exports.getCollectionManifestURL(address));
+        if (!response.ok) throw new Error(`No collection ${address} on this site`);
+
+        const manifest = await response.json();
+        contractManifest.checkManifest(manifest);
+        if (manifest.contract.address.toLowerCase() !== address.toLowerCase()) {
+            throw new Error(`The manifest of ${address} is for ${manifest.contract.address}`);
+        }
+        return manifest;
+    }
+};
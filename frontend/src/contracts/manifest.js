@@ -0,0 +1,149 @@
+// Contract manifest, written by deploy.js next to this file as manifest.json and read by the frontend
+// and the scripts. CommonJS so Node can require it from outside the frontend.
+//
+// Version 1:
+// {
+//     "version": 1,
+//     "contract": {
+//         "name": "JPEGminer" or "JPEGminerBinary",
+//         "address": "0x...",
+//         "chainId": 1,
+//         "deploymentBlock": 123,           block of the deployment transaction
+//         "deploymentTxHash": "0x..."       both null for contracts deployed before manifests existed
+//     },
+//     "shardMode": "base64" or "binary",
+//     "header": { "data": "...", "hash": "0x..." },        constructor argument and its keccak256
+//     "shards": [{ "data": "...", "hash": "0x..." }, ...], mine() argument of every token and its keccak256,
+//                                                          which getHash() of the contract must return
+//     "footer": "/9k=" or "0xffd9",                        appended to the image by the contract
+//     "phases": { "colorStart": 11, "resolutionStart": 33 },
+//     "gasCurve": { "slope": 177551, "intercept": 2422449 },
+//     "gasMintingFees": [735094, ...],                     minting fee of every token, in gas
+//     "thumbnails": {                                      null when the bundle had none
+//         "quality": 85,
+//         "widths": { "512": ["0x...", ...] }              keccak256 of the baseline JPEG of every token
+//     }                                                    state, served at /thumbnails/512/000.jpg etc.
+// }
+//
+// Base64 data is the string itself, binary data is 0x-prefixed hex.
+
+const { ethers } = require("ethers");
+
+const MANIFEST_VERSION = 1;
+
+const shardModes = ["base64", "binary"];
+
+module.exports = {
+    MANIFEST_VERSION: MANIFEST_VERSION,
+
+    // Same hash mine() checks
+    hashShard: function (data, mode) {
+        if (mode === "binary") return ethers.utils.keccak256(data);
+        return ethers.utils.keccak256(ethers.utils.toUtf8Bytes(data));
+    },
+
+    createManifest: function ({
+        contract,
+        shards: { mode, header, scans, footer },
+        phases,
+        gasCurve,
+        gasMintingFees,
+        thumbnails
+    }) {
+        const hashShard = module.exports.hashShard;
+        return {
+            version: MANIFEST_VERSION,
+            contract: {
+                name: contract.name,
+                address: contract.address,
+                chainId: contract.chainId,
+                deploymentBlock: contract.deploymentBlock === undefined ? null : contract.deploymentBlock,
+                deploymentTxHash: contract.deploymentTxHash === undefined ? null : contract.deploymentTxHash
+            },
+            shardMode: mode,
+            header: { data: header, hash: hashShard(header, mode) },
+            shards: scans.map((data) => ({ data, hash: hashShard(data, mode) })),
+            footer,
+            phases,
+            gasCurve,
+            gasMintingFees,
+            thumbnails: thumbnails === undefined ? null : thumbnails
+        };
+    },
+
+    // Throws if the manifest is malformed or its data does not match its own hashes
+    checkManifest: function (manifest) {
+        const hashShard = module.exports.hashShard;
+
+        if (manifest.version !== MANIFEST_VERSION) {
+            throw new Error(`Manifest version ${manifest.version} is not supported, expected ${MANIFEST_VERSION}`);
+        }
+        if (!manifest.contract || !ethers.utils.isAddress(manifest.contract.address)) {
+            throw new Error("Manifest has no contract address");
+        }
+        if (!shardModes.includes(manifest.shardMode)) throw new Error(`Unknown shard mode "${manifest.shardMode}"`);
+        if (!Array.isArray(manifest.shards) || manifest.shards.length === 0) throw new Error("Manifest has no shards");
+        if (!Array.isArray(manifest.gasMintingFees) || manifest.gasMintingFees.length !== manifest.shards.length) {
+            throw new Error("Manifest needs one minting fee per shard");
+        }
+
+        if (hashShard(manifest.header.data, manifest.shardMode) !== manifest.header.hash) {
+            throw new Error("Manifest header does not match its hash");
+        }
+        manifest.shards.forEach(({ data, hash }, ind) => {
+            if (hashShard(data, manifest.shardMode) !== hash) {
+                throw new Error(`Manifest shard ${ind} does not match its hash`);
+            }
+        });
+
+        if (manifest.thumbnails) {
+            Object.keys(manifest.thumbnails.widths).forEach((width) => {
+                const hashes = manifest.thumbnails.widths[width];
+                if (!Array.isArray(hashes) || hashes.length !== manifest.shards.length) {
+                    throw new Error(`Manifest needs one thumbnail ${width} wide per shard`);
+                }
+                if (!hashes.every((hash) => ethers.utils.isHexString(hash, 32))) {
+                    throw new Error(`Manifest has malformed hashes of thumbnails ${width} wide`);
+                }
+            });
+        }
+    },
+
+    // Checks the manifest against getHash() of the deployed contract and returns it. Throws on any
+    // mismatch, nothing should be mined with a manifest the contract would reject.
+    validateManifest: async function (manifest, jpegMiner) {
+        module.exports.checkManifest(manifest);
+
+        if (jpegMiner.address.toLowerCase() !== manifest.contract.address.toLowerCase()) {
+            throw new Error(`Manifest is for ${manifest.contract.address}, not ${jpegMiner.address}`);
+        }
+
+        const hashes = await Promise.all(manifest.shards.map((shard, ind) => jpegMiner.getHash(ind)));
+        hashes.forEach((hash, ind) => {
+            if (hash !== manifest.shards[ind].hash) {
+                throw new Error(`Manifest shard ${ind} does not match getHash(${ind}) of ${manifest.contract.address}`);
+            }
+        });
+
+        return manifest;
+    },
+
+    getImageScans: function (manifest) {
+        return manifest.shards.map((shard) => shard.data);
+    },
+
+    // Where the frontend serves the thumbnail of a token, null if there is none of that width
+    getThumbnailURL: function (manifest, width, tokenId) {
+        if (!manifest.thumbnails || !manifest.thumbnails.widths[width]) return null;
+        return `/thumbnails/${width}/${String(tokenId).padStart(3, "0")}.jpg`;
+    },
+
+    // Throws unless data (bytes of a fetched thumbnail) is the one the manifest lists
+    checkThumbnail: function (manifest, width, tokenId, data) {
+        const hashes = manifest.thumbnails && manifest.thumbnails.widths[width];
+        if (!hashes) throw new Error(`Manifest has no thumbnails ${width} wide`);
+        if (ethers.utils.keccak256(data) !== hashes[tokenId]) {
+            throw new Error(`Thumbnail ${tokenId} ${width} wide does not match the manifest`);
+        }
+    }
+};
@@ -0,0 +1,109 @@
+// Networks the contract is deployed to, shared by hardhat.config.js, the deploy scripts and the
+// frontend, which finds its network by the chainId of the manifest. CommonJS like manifest.js.
+// Adding a network (a testnet, a local fork...) is adding an entry named as in hardhat.config.js:
+// {
+//     "chainId": 1,
+//     "label": "Ethereum mainnet",                  shown in the frontend
+//     "rpc": "http://127.0.0.1:8545",              node of local networks, null for remote ones, whose
+//     "infura": "mainnet",                          node is <NAME>_URL or Infura with INFURA_PROJECT_ID
+//                                                   (null when Infura does not serve the network)
+//     "explorer": "https://etherscan.io",           null without a block explorer
+//     "marketplace": "https://opensea.io",          where accounts show their tokens, null without one
+//     "collection": "https://opensea.io/collection/mined-jpeg",   null until the collection is listed
+//     "hardhat": { "gasMultiplier": 1 }             other settings of the network in hardhat.config.js
+// }
+// The frontend reads the same variables prefixed with REACT_APP_, in frontend/.env.
+
+const networks = {
+    mainnet: {
+        chainId: 1,
+        label: "Ethereum mainnet",
+        rpc: null,
+        infura: "mainnet",
+        explorer: "https://etherscan.io",
+        marketplace: "https://opensea.io",
+        collection: "https://opensea.io/collection/mined-jpeg",
+        hardhat: { gasMultiplier: 1 }
+    },
+    sepolia: {
+        chainId: 11155111,
+        label: "Sepolia",
+        rpc: null,
+        infura: "sepolia",
+        explorer: "https://sepolia.etherscan.io",
+        marketplace: "https://testnets.opensea.io",
+        collection: null,
+        hardhat: {}
+    },
+    holesky: {
+        chainId: 17000,
+        label: "Holesky",
+        rpc: null,
+        infura: "holesky",
+        explorer: "https://holesky.etherscan.io",
+        marketplace: null,
+        collection: null,
+        hardhat: {}
+    },
+    localhost: {
+        chainId: 31337,
+        label: "Localhost 8545",
+        rpc: "http://127.0.0.1:8545",
+        infura: null,
+        explorer: null,
+        marketplace: null,
+        collection: null,
+        hardhat: {}
+    }
+};
+
+module.exports = {
+    networks: networks,
+
+    getNetwork: function (name) {
+        if (!Object.prototype.hasOwnProperty.call(networks, name)) {
+            throw new Error(`Unknown network "${name}", add it to frontend/src/contracts/networks.js`);
+        }
+        return { name, ...networks[name] };
+    },
+
+    // First network of the registry with the chain id
+    getNetworkByChainId: function (chainId) {
+        const name = Object.keys(networks).find((name) => networks[name].chainId === chainId);
+        if (name === undefined) throw new Error(`No network of the registry is chain ${chainId}`);
+        return module.exports.getNetwork(name);
+    },
+
+    // Node of the network: its rpc, <NAME>_URL, or Infura with INFURA_PROJECT_ID, each variable read
+    // with prefix (REACT_APP_ in the frontend). null when none is known.
+    getRpcURL: function (network, env, prefix = "") {
+        if (network.rpc) return network.rpc;
+
+        const url = env[`${prefix}${network.name.toUpperCase()}_URL`];
+        if (url) return url;
+
+        const infuraProjectId = env[`${prefix}INFURA_PROJECT_ID`];
+        if (network.infura && infuraProjectId) return `https://${network.infura}.infura.io/v3/${infuraProjectId}`;
+        return null;
+    },
+
+    // Networks of hardhat.config.js, leaving out the remote ones without a node
+    getHardhatNetworks: function (env) {
+        const config = {};
+        Object.keys(networks).forEach((name) => {
+            const network = module.exports.getNetwork(name);
+            const url = module.exports.getRpcURL(network, env);
+            if (url !== null) config[name] = { ...network.hardhat, chainId: network.chainId, url };
+        });
+        return config;
+    },
+
+    // Links of the explorer and the marketplace, null when the network has none
+    getExplorerAddressURL: function (network, address) {
+        return network.explorer ? `${network.explorer}/address/${address}` : null;
+    },
+
+    getMarketplaceAccountURL: function (network, address) {
+        return network.marketplace ? `${network.marketplace}/${address}` : null;
+    }
+};
@@ -0,0 +1,108 @@
+// Mining reservations of collections: EIP-712 vouchers the owner signs with jpeg:vouchers and miners
+// load in the frontend or pass to jpeg:mine. CommonJS like manifest.js. Voucher files:
+// {
+//     "version": 1,
+//     "chainId": 1,
+//     "contract": "0x...",             collection the vouchers are for
+//     "signer": "0x...",               its owner when they were signed
+//     "vouchers": [{
+//         "miner": "0x...",            the only address that can mine with the voucher
+//         "scan": 3,                   scan it can mine, null for whichever is next
+//         "notBefore": 1700000000,     valid from and until these seconds since the epoch included,
+//         "notAfter": 1700086400,      null for no limit
+//         "signature": "0x..."
+//     }, ...]
+// }
+// Each miner gets their voucher alone in a file of the same format, or the whole batch.
+
+const { ethers } = require("ethers");
+
+const VOUCHERS_VERSION = 1;
+
+// Same as ANY_SCAN of JPEGcollection.sol
+const ANY_SCAN = ethers.constants.MaxUint256;
+
+// Gas mineReserved() takes on top of mine(), rounded up: the calldata of the reservation and its
+// signature, hashing the reservation and recovering its signer
+const RESERVATION_GAS = 20000;
+
+const reservationTypes = {
+    Reservation: [
+        { name: "miner", type: "address" },
+        { name: "scan", type: "uint256" },
+        { name: "notBefore", type: "uint256" },
+        { name: "notAfter", type: "uint256" }
+    ]
+};
+
+module.exports = {
+    VOUCHERS_VERSION: VOUCHERS_VERSION,
+    ANY_SCAN: ANY_SCAN,
+    RESERVATION_GAS: RESERVATION_GAS,
+    reservationTypes: reservationTypes,
+
+    // Domain of hashReservation() in the contract
+    getReservationDomain: function (chainId, address) {
+        return { name: "JPEG Mining", version: "1", chainId, verifyingContract: address };
+    },
+
+    // Reservation argument of mineReserved() for a voucher
+    toReservation: function ({ miner, scan, notBefore, notAfter }) {
+        return {
+            miner,
+            scan: scan === null ? ANY_SCAN : ethers.BigNumber.from(scan),
+            notBefore: ethers.BigNumber.from(notBefore === null ? 0 : notBefore),
+            notAfter: notAfter === null ? ethers.constants.MaxUint256 : ethers.BigNumber.from(notAfter)
+        };
+    },
+
+    // Address that signed the voucher
+    recoverVoucherSigner: function (voucher, chainId, address) {
+        return ethers.utils.verifyTypedData(
+            module.exports.getReservationDomain(chainId, address),
+            reservationTypes,
+            module.exports.toReservation(voucher),
+            voucher.signature
+        );
+    },
+
+    // Throws unless the voucher file is for the contract of the manifest and signed by its signer
+    checkVoucherFile: function (file, manifest) {
+        if (file.version !== VOUCHERS_VERSION) {
+            throw new Error(`Voucher file version ${file.version} is not supported, expected ${VOUCHERS_VERSION}`);
+        }
+        const { chainId, address } = manifest.contract;
+        if (file.chainId !== chainId || file.contract.toLowerCase() !== address.toLowerCase()) {
+            throw new Error(`The vouchers are for ${file.contract} on chain ${file.chainId}, not ${address}`);
+        }
+        file.vouchers.forEach((voucher) => {
+            if (module.exports.recoverVoucherSigner(voucher, chainId, address) !== file.signer) {
+                throw new Error(`The voucher of ${voucher.miner} is not signed by ${file.signer}`);
+            }
+        });
+    },
+
+    // Voucher of miner in the file, null if it has none
+    findVoucher: function (file, miner) {
+        const voucher = file.vouchers.find((voucher) => voucher.miner.toLowerCase() === miner.toLowerCase());
+        return voucher === undefined ? null : voucher;
+    },
+
+    // Why mineReserved() would reject the voucher when nextScan is mined at timestamp (seconds), null
+    // if it would not. reserved is reservedScans(nextScan) of the contract, which only the vouchers of
+    // that scan mine. The owner signing it is left to checkVoucherFile.
+    getVoucherError: function (voucher, { miner, nextScan, timestamp, reserved }) {
+        if (voucher.miner.toLowerCase() !== miner.toLowerCase()) return `The voucher is for ${voucher.miner}`;
+        if (voucher.scan !== null && voucher.scan !== nextScan) {
+            return `The voucher is for scan ${voucher.scan}, ${nextScan} is next`;
+        }
+        if (voucher.scan === null && reserved) return `Scan ${nextScan} is reserved for another miner`;
+        if (voucher.notBefore !== null && timestamp < voucher.notBefore) {
+            return `The voucher is valid from ${new Date(voucher.notBefore * 1000).toISOString()}`;
+        }
+        if (voucher.notAfter !== null && timestamp > voucher.notAfter) {
+            return `The voucher expired on ${new Date(voucher.notAfter * 1000).toISOString()}`;
+        }
+        return null;
+    }
+};
@@ -0,0 +1,213 @@
+// Client of the read functions of JPEGminer.sol and JPEGminerBinary.sol that rebuilds token images and
+// tokenURI() from ordinary eth_calls. tokenURI() of the last tokens reads up to 100 scans in one call,
+// more gas than most RPC providers allow, while getScans() is called for a few scans at a time, in
+// parallel. Mined scans never change so they are cached, as is the header. CommonJS and no Buffer, so
+// both the frontend and the scripts can use it.
+
+const { ethers } = require("ethers");
+
+// Appended to the image by the contracts
+const footers = { base64: "/9k=", binary: "0xffd9" };
+
+const defaultBatchSize = 10;
+const defaultConcurrency = 4;
+
+module.exports = {
+    // Client of the contract at address, whose shards are in mode "base64" or "binary" (shardMode of
+    // the manifest). Scans are read batchSize at a time, at most concurrency calls at once.
+    createScanClient: function (
+        provider,
+        address,
+        mode,
+        { batchSize = defaultBatchSize, concurrency = defaultConcurrency } = {}
+    ) {
+        if (footers[mode] === undefined) throw new Error(`Unknown shard mode "${mode}"`);
+        if (!(batchSize >= 1 && concurrency >= 1)) throw new Error("Batch size and concurrency must be at least 1");
+
+        const type = mode === "binary" ? "bytes" : "string";
+        const jpegMiner = new ethers.Contract(
+            address,
+            [
+                "function totalSupply() view returns (uint256)",
+                "function tokenURI(uint256 tokenId) view returns (string)",
+                "function getPhase(uint256 tokenId) pure returns (string)",
+                `function getHeader() view returns (${type})`,
+                `function getScan(uint256 tokenId) view returns (${type})`,
+                `function getScans(uint256 startId, uint256 endId) view returns (${type}[])`
+            ],
+            provider
+        );
+
+        const limit = createLimit(concurrency);
+        const scans = new Map();
+        const phases = new Map();
+        let header;
+        let frame;
+
+        const client = {
+            getHeader: function () {
+                if (header === undefined) header = uncached(jpegMiner.getHeader(), () => (header = undefined));
+                return header;
+            },
+
+            getScan: async function (tokenId) {
+                return (await client.getScans(tokenId, tokenId + 1))[0];
+            },
+
+            // Scans startId to endId (excluded), which must be mined. Only the ones not in the cache are
+            // read, in batches aligned to batchSize so that overlapping ranges share them.
+            getScans: async function (startId, endId) {
+                if (!(Number.isInteger(startId) && Number.isInteger(endId) && startId >= 0 && startId <= endId)) {
+                    throw new Error(`Invalid scan range ${startId} to ${endId}`);
+                }
+
+                for (let batch = startId - (startId % batchSize); batch < endId; batch += batchSize) {
+                    const missing = [];
+                    for (
+                        let tokenId = Math.max(batch, startId);
+                        tokenId < Math.min(batch + batchSize, endId);
+                        tokenId++
+                    ) {
+                        if (!scans.has(tokenId)) missing.push(tokenId);
+                    }
+                    if (missing.length === 0) continue;
+
+                    const first = missing[0];
+                    const last = missing[missing.length - 1];
+                    const read = limit(() => jpegMiner.getScans(first, last + 1));
+                    for (let tokenId = first; tokenId <= last; tokenId++) {
+                        if (scans.has(tokenId)) continue;
+                        scans.set(
+                            tokenId,
+                            uncached(
+                                read.then((batchScans) => batchScans[tokenId - first]),
+                                () => scans.delete(tokenId)
+                            )
+                        );
+                    }
+                }
+
+                return Promise.all([...Array(endId - startId).keys()].map((ind) => scans.get(startId + ind)));
+            },
+
+            // Shards of the image of tokenId, in the format of scripts/tokenURI.js
+            getShards: async function (tokenId) {
+                const [imageHeader, imageScans] = await Promise.all([
+                    client.getHeader(),
+                    client.getScans(0, tokenId + 1)
+                ]);
+                return { mode, header: imageHeader, scans: imageScans, footer: footers[mode] };
+            },
+
+            // Base64 JPEG of the token, the image of tokenURI()
+            getImageB64: async function (tokenId) {
+                return getImageB64(await client.getShards(tokenId));
+            },
+
+            // Byte for byte what tokenURI(tokenId) returns
+            getTokenURI: async function (tokenId) {
+                const [shards, phase, { before, after, kilobytes, tokenPhase }] = await Promise.all([
+                    client.getShards(tokenId),
+                    client.getPhase(tokenId),
+                    getFrame()
+                ]);
+                return (
+                    before.replace("%3A 1 of ", () => `%3A ${tokenId + 1} of `) +
+                    getImageB64(shards) +
+                    after
+                        .replace(kilobytes, () => `%3A ${getKilobytes(shards)}%7D`)
+                        .replace(tokenPhase, () => `%3A %22${phase}%22%7D%5D%7D`)
+                );
+            },
+
+            getPhase: function (tokenId) {
+                if (!phases.has(tokenId)) {
+                    phases.set(
+                        tokenId,
+                        uncached(jpegMiner.getPhase(tokenId), () => phases.delete(tokenId))
+                    );
+                }
+                return phases.get(tokenId);
+            },
+
+            getSupply: async function () {
+                return (await jpegMiner.totalSupply()).toNumber();
+            }
+        };
+
+        // The text around the image, the name and description, only changes with the token number,
+        // kilobytes and phase. It is taken once from tokenURI(0), the cheapest one to call, rather than
+        // copied from the contract.
+        function getFrame() {
+            if (frame === undefined) {
+                frame = uncached(
+                    (async () => {
+                        const [uri, shards, phase] = await Promise.all([
+                            jpegMiner.tokenURI(0),
+                            client.getShards(0),
+                            client.getPhase(0)
+                        ]);
+                        const image = getImageB64(shards);
+                        const start = uri.indexOf(image);
+                        if (start === -1) throw new Error("tokenURI(0) does not hold the image of its scans");
+
+                        // Attributes of token 0, replaced by the ones of the token
+                        return {
+                            before: uri.slice(0, start),
+                            after: uri.slice(start + image.length),
+                            kilobytes: `%3A ${getKilobytes(shards)}%7D`,
+                            tokenPhase: `%3A %22${phase}%22%7D%5D%7D`
+                        };
+                    })(),
+                    () => (frame = undefined)
+                );
+            }
+            return frame;
+        }
+
+        return client;
+    }
+};
+
+// Same as getImageB64 of scripts/tokenURI.js: binary shards are concatenated then encoded, Base64 ones
+// are already padded to be concatenated as they are
+function getImageB64({ mode, header, scans, footer }) {
+    if (mode === "binary") return ethers.utils.base64.encode(ethers.utils.concat([header, ...scans, footer]));
+    return header + scans.join("") + footer;
+}
+
+// Same as getKilobytes of scripts/tokenURI.js: the scans in Base64 in both modes, rounded down to kilobytes
+function getKilobytes({ mode, scans }) {
+    const lengthB64 = (scan) => (mode === "binary" ? 4 * Math.ceil((scan.length - 2) / 2 / 3) : scan.length);
+    return Math.floor(scans.reduce((sum, scan) => sum + lengthB64(scan), 0) / 1024);
+}
+
+// A promise that is dropped from its cache when it fails, so that the next call retries
+function uncached(promise, drop) {
+    promise.catch(drop);
+    return promise;
+}
+
+// Runs at most concurrency of the functions passed to limit() at once, in the order they came
+function createLimit(concurrency) {
+    const queue = [];
+    let running = 0;
+
+    const next = () => {
+        if (running >= concurrency || queue.length === 0) return;
+        const { run, resolve, reject } = queue.shift();
+        running++;
+        run()
+            .then(resolve, reject)
+            .finally(() => {
+                running--;
+                next();
+            });
+    };
+
+    return (run) =>
+        new Promise((resolve, reject) => {
+            queue.push({ run, resolve, reject });
+            next();
+        });
+}
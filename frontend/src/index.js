@@ -2,15 +2,27 @@ import React from "react";
 import ReactDOM from "react-dom";
 import { DappMiner } from "./components/DappMiner";
 
+// Manifest of the main contract, see contracts/manifest.js for the format
+import manifest from "./contracts/manifest.json";
+import { getCollectionAddress, loadCollectionManifest } from "./contracts/collections.js";
+
 // We import bootstrap here, but you can remove if you want
 import "bootstrap/dist/css/bootstrap.css";
 
 // This is the entry point of your application, but it just renders the Dapp
 // react component. All of the logic is contained in it.
 
-ReactDOM.render(
-    <React.StrictMode>
-        <DappMiner />
-    </React.StrictMode>,
-    document.getElementById("root")
+// ?collection=<address> opens a collection of the factory instead of the main contract
+async function loadManifest() {
+    const address = getCollectionAddress(window.location.search);
+    return address === null ? manifest : loadCollectionManifest(address, window.fetch.bind(window));
+}
+
+function render(element) {
+    ReactDOM.render(<React.StrictMode>{element}</React.StrictMode>, document.getElementById("root"));
+}
+
+loadManifest().then(
+    (pageManifest) => render(<DappMiner manifest={pageManifest} />),
+    (error) => render(<div className="container p-4">{error.message}</div>)
 );
@@ -1,6 +1,14 @@
+require("dotenv").config();
 require("@nomiclabs/hardhat-waffle");
 
+const networkRegistry = require("./frontend/src/contracts/networks.js");
+
+const shardMode = process.env.SHARD_MODE || "base64";
+
 require("./tasks/faucet");
+require("./tasks/jpeg");
+require("./tasks/operator");
+require("./tasks/collections");
 
 module.exports = {
     solidity: {
@@ -23,7 +31,33 @@ module.exports = {
                 //     }
                 // }
             }
-        ]
+        ],
+        // JPEGcollection is over the contract size limit without the optimizer, and the factory imports it
+        overrides: {
+            "contracts/JPEGcollection.sol": { version: "0.8.4", settings: { optimizer: { enabled: true, runs: 200 } } },
+            "contracts/JPEGfactory.sol": { version: "0.8.4", settings: { optimizer: { enabled: true, runs: 200 } } }
+        }
+    },
+    jpegMining: {
+        // How scans are stored on-chain: "base64" (JPEGminer) or "binary" (JPEGminerBinary)
+        shardMode: shardMode,
+        // Image bundle deployed, made with "npx hardhat jpeg:prepare"
+        bundle: process.env.JPEG_BUNDLE || `${__dirname}/images/bundle`,
+        // Image bundle tested, by default the fixture of the shard mode made from test/bundles/logan_480x160.png:
+        //     npx hardhat jpeg:prepare --input test/bundles/logan_480x160.png --mode <mode> \
+        //         --out test/bundles/<mode> --thumbnails 128
+        // Its fee table follows a flatter curve than the documented one so that 1 ETH pays any fee at 100 gwei:
+        //     npx hardhat jpeg:fees --bundle test/bundles/<mode> --slope 75000
+        testBundle: process.env.JPEG_BUNDLE || `${__dirname}/test/bundles/${shardMode}`,
+        // Gas report of the tests and how much each entry may grow over test/gasBaseline (0.01 for 1%),
+        // UPDATE_GAS_BASELINE=1 replaces the baseline with the report. CI fails without a baseline of the
+        // tested bundle rather than skipping the comparison.
+        gasReport: {
+            file: process.env.GAS_REPORT || `${__dirname}/gas-report.json`,
+            tolerance: Number(process.env.GAS_TOLERANCE || 0.01),
+            updateBaseline: process.env.UPDATE_GAS_BASELINE === "1",
+            requireBaseline: Boolean(process.env.CI)
+        }
     },
     networks: {
         hardhat: {
@@ -35,22 +69,8 @@ module.exports = {
             }
             // chainId: 1337
         },
-        rinkeby: {
-            gasPrice: 1100000000, // 1.1 gwei
-            url: "https://rinkeby.infura.io/v3/2f6e2beaa8ff4621b832fa9ec113bd11",
-            // accounts: {
-            //     count: 102,
-            //     mnemonic: "test test test potato test test test test test test test junk"
-            // }
-            accounts: ["0x47dfe5cadbb4c8fe8dc3f2b7d1e9348ea3681e7bcc73d26013e41be13409d516"]
-            // address: 0x9aE075025245E05eFD180a65fde8E258712493b5
-            // pubKey: 0x0475fd443c00f246e45d46accd18f7ed8ef31bdb0f65aba08908430905e95591fa4a5a867a8c649c1f64c21332759e9ce824a7790199f84353819d3dfc488e7245
-            // privKey: 0x47dfe5cadbb4c8fe8dc3f2b7d1e9348ea3681e7bcc73d26013e41be13409d516
-        },
-        mainnet: {
-            chainId: 1,
-            url: "https://mainnet.infura.io/v3/2f6e2beaa8ff4621b832fa9ec113bd11",
-            gasMultiplier: 1
-        }
+        // A remote network is only configured once its node is known: MAINNET_URL, SEPOLIA_URL... or
+        // Infura with INFURA_PROJECT_ID. Signers are picked with JPEG_SIGNER, see scripts/signers.js.
+        ...networkRegistry.getHardhatNetworks(process.env)
     }
 };
@@ -0,0 +1,176 @@
+const http = require("http");
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const contractManifest = require("../frontend/src/contracts/manifest.js");
+const scanScript = require("./scanScript.js");
+const tokenURI = require("./tokenURI.js");
+const collections = require("./collections.js");
+
+// HTTP API of a deployed contract for the frontend, bots and marketplaces:
+//     GET /tokens/:id                  metadata of tokenURI() as JSON, the image being the URL below, plus
+//                                      the owner of the token and the URL of its thumbnail if it has one
+//     GET /tokens/:id/image.jpg        JPEG of the token, the header and scans 0 to id
+//     GET /tokens/:id/thumbnail.jpg    smallest thumbnail of the token, from the frontend directory
+//     GET /collection                  supply, next scan and tokens mined in every phase
+// Images and metadata are built from the manifest, byte for byte what tokenURI() returns, so only
+// the supply and the owners are read from the source: the contract, or an index of jpeg:index.
+
+const imageCacheControl = "public, max-age=31536000, immutable";
+
+module.exports = {
+    // Source reading the contract on its network
+    contractSource: function (jpegMiner) {
+        return {
+            getSupply: async () => (await jpegMiner.totalSupply()).toNumber(),
+            getOwner: async (tokenId) => jpegMiner.ownerOf(tokenId)
+        };
+    },
+
+    // Source reading an index file, again on every request as jpeg:index --follow updates it
+    indexSource: function (file) {
+        const load = () => JSON.parse(fs.readFileSync(file, "utf8"));
+        return {
+            getSupply: async () => load().mines.length,
+            getOwner: async (tokenId) => load().owners[tokenId]
+        };
+    },
+
+    // http.Server of the API, to listen() on. baseURL prefixes image URLs, the Host of the request
+    // by default. Thumbnails are served from publicDir, where deployments put them for the frontend,
+    // once checked against the manifest.
+    createApiServer: function (manifest, source, { baseURL, publicDir } = {}) {
+        contractManifest.checkManifest(manifest);
+        // Metadata is rebuilt with the name, description and phases of JPEGminer, collections have their own
+        if (manifest.contract.name === collections.COLLECTION_CONTRACT) {
+            throw new Error("The API only serves JPEGminer and JPEGminerBinary, not collections");
+        }
+        const shards = {
+            mode: manifest.shardMode,
+            header: manifest.header.data,
+            scans: contractManifest.getImageScans(manifest),
+            footer: manifest.footer
+        };
+        // Token images never change once mined
+        const images = new Map();
+        const getImage = (tokenId) => {
+            if (!images.has(tokenId)) {
+                const data = Buffer.from(tokenURI.getImageB64(shards, tokenId), "base64");
+                images.set(tokenId, { data, etag: getETag(data) });
+            }
+            return images.get(tokenId);
+        };
+        // Marketplaces want small images
+        const thumbnailWidth =
+            manifest.thumbnails && publicDir ? Math.min(...Object.keys(manifest.thumbnails.widths).map(Number)) : null;
+        const getThumbnail = (tokenId) => {
+            const file = path.join(publicDir, contractManifest.getThumbnailURL(manifest, thumbnailWidth, tokenId));
+            if (!fs.existsSync(file)) return null;
+            const data = fs.readFileSync(file);
+            contractManifest.checkThumbnail(manifest, thumbnailWidth, tokenId, data);
+            return { data, etag: getETag(data) };
+        };
+
+        return http.createServer((request, response) => {
+            handle(request, response).catch((error) => send(request, response, 500, { error: error.message }));
+        });
+
+        async function handle(request, response) {
+            if (request.method !== "GET" && request.method !== "HEAD") {
+                return send(
+                    request,
+                    response,
+                    405,
+                    { error: `${request.method} is not allowed` },
+                    { Allow: "GET, HEAD" }
+                );
+            }
+
+            const { pathname } = new URL(request.url, "http://localhost");
+            if (pathname === "/collection") {
+                return sendJSON(request, response, getCollection(manifest, await source.getSupply()));
+            }
+
+            const match = pathname.match(/^\/tokens\/(\d+)(?:\/(image|thumbnail)\.jpg)?$/);
+            if (!match) return send(request, response, 404, { error: `${pathname} not found` });
+
+            const tokenId = Number(match[1]);
+            if (tokenId >= (await source.getSupply())) {
+                return send(request, response, 404, { error: `Token ${tokenId} is not mined` });
+            }
+
+            if (match[2] === "image") {
+                const { data, etag } = getImage(tokenId);
+                return sendBody(request, response, data, "image/jpeg", etag, imageCacheControl);
+            }
+            if (match[2] === "thumbnail") {
+                const thumbnail = thumbnailWidth === null ? null : getThumbnail(tokenId);
+                if (thumbnail === null) {
+                    return send(request, response, 404, { error: `Token ${tokenId} has no thumbnail` });
+                }
+                return sendBody(request, response, thumbnail.data, "image/jpeg", thumbnail.etag, imageCacheControl);
+            }
+
+            const metadata = tokenURI.parseTokenURI(tokenURI.getTokenURI(shards, tokenId));
+            const base = baseURL || `http://${request.headers.host}`;
+            return sendJSON(request, response, {
+                ...metadata,
+                image: `${base}/tokens/${tokenId}/image.jpg`,
+                ...(thumbnailWidth !== null && { thumbnail: `${base}/tokens/${tokenId}/thumbnail.jpg` }),
+                owner: await source.getOwner(tokenId)
+            });
+        }
+    }
+};
+
+function getCollection(manifest, supply) {
+    const nScans = manifest.shards.length;
+    return {
+        name: tokenURI.NAME,
+        contract: { address: manifest.contract.address, chainId: manifest.contract.chainId },
+        nScans,
+        supply,
+        nextScan: supply < nScans ? supply : null,
+        phases: scanScript.phaseNames.map((name) => {
+            const tokens = [...Array(nScans).keys()].filter((tokenId) => tokenURI.getPhase(tokenId) === name);
+            return { name, total: tokens.length, mined: tokens.filter((tokenId) => tokenId < supply).length };
+        })
+    };
+}
+
+function getETag(data) {
+    return `"${crypto.createHash("sha256").update(data).digest("base64url")}"`;
+}
+
+function sendJSON(request, response, json) {
+    const data = Buffer.from(JSON.stringify(json));
+    // Owners and the supply change, clients revalidate with the ETag
+    return sendBody(request, response, data, "application/json; charset=utf-8", getETag(data), "no-cache");
+}
+
+function sendBody(request, response, data, contentType, etag, cacheControl) {
+    if (request.headers["if-none-match"] === etag) {
+        response.writeHead(304, { ETag: etag, "Cache-Control": cacheControl });
+        return response.end();
+    }
+
+    response.writeHead(200, {
+        "Content-Type": contentType,
+        "Content-Length": data.length,
+        ETag: etag,
+        "Cache-Control": cacheControl,
+        "Access-Control-Allow-Origin": "*"
+    });
+    response.end(request.method === "HEAD" ? undefined : data);
+}
+
+function send(request, response, status, json, headers = {}) {
+    const data = Buffer.from(JSON.stringify(json));
+    response.writeHead(status, {
+        "Content-Type": "application/json; charset=utf-8",
+        "Content-Length": data.length,
+        "Access-Control-Allow-Origin": "*",
+        ...headers
+    });
+    response.end(request.method === "HEAD" ? undefined : data);
+}
@@ -0,0 +1,135 @@
+const fs = require("fs");
+const path = require("path");
+const jpegEncoder = require("./jpegEncoder.js");
+const scanScript = require("./scanScript.js");
+const gasFees = require("./gasFees.js");
+const tokenURI = require("./tokenURI.js");
+const utils = require("./functions.js");
+const thumbnailImages = require("./thumbnails.js");
+const collections = require("./collections.js");
+
+// Files of a bundle directory. The header and every shard are stored as passed to the contract:
+// Base64 text or 0x-prefixed hex depending on the shard mode.
+const bundleFiles = {
+    manifest: "manifest.json",
+    image: "image.jpg",
+    scanScript: "scan_script.sh",
+    header: "header.txt",
+    shards: "shards",
+    hashes: "hashes.json",
+    gasFees: "gasMintingFees.json",
+    thumbnails: "thumbnails"
+};
+
+module.exports = {
+    bundleFiles: bundleFiles,
+
+    // Everything deploy.js and the tests need for an image: encodes it as a progressive JPEG, splits
+    // it into shards, hashes them, renders the thumbnails of every token and measures their minting
+    // fees on the Hardhat network. Bundles of a collection (see collections.js) are binary and have
+    // as many scans as their scan script.
+    prepareBundle: async function (
+        ethers,
+        input,
+        {
+            shardMode = utils.getShardMode(),
+            quality = 85,
+            scans = scanScript.readScanScript(),
+            curve = gasFees.defaultGasCurve,
+            thumbnailWidths = thumbnailImages.defaultWidths,
+            collection = false
+        } = {}
+    ) {
+        scanScript.validateScanScript(scans);
+        if (collection && shardMode !== "binary") {
+            throw new Error(`Collections store binary shards, not ${shardMode} ones`);
+        }
+        if (!collection && scans.length !== tokenURI.NSCANS) {
+            throw new Error(`The scan script has ${scans.length} scans, the contract mints ${tokenURI.NSCANS} tokens`);
+        }
+
+        const image = jpegEncoder.readImage(fs.readFileSync(input));
+        const JPEG = jpegEncoder.encodeProgressiveJPEG(image, scans, { quality });
+
+        const shards = utils.getShards(utils.splitScans(JPEG), shardMode);
+        if (collection) shards.contractName = collections.COLLECTION_CONTRACT;
+        const hashes = utils.hashScans(shards.scans, shards.mode);
+        const { colorStart, resolutionStart } = scanScript.getPhaseBoundaries(scans);
+
+        return {
+            manifest: {
+                name: path.basename(input, path.extname(input)),
+                source: path.basename(input),
+                width: image.width,
+                height: image.height,
+                quality,
+                shardMode: shards.mode,
+                contractName: shards.contractName,
+                nScans: shards.scans.length,
+                phases: { colorStart, resolutionStart },
+                footer: shards.footer
+            },
+            JPEG,
+            scans,
+            shards,
+            hashes,
+            gasFees: await gasFees.measureGasFees(ethers, shards, hashes, curve),
+            thumbnails:
+                thumbnailWidths.length === 0
+                    ? null
+                    : thumbnailImages.renderThumbnails(JPEG, { widths: thumbnailWidths })
+        };
+    },
+
+    saveBundle: function ({ manifest, JPEG, scans, shards, hashes, gasFees: fees, thumbnails }, dir) {
+        fs.mkdirSync(path.join(dir, bundleFiles.shards), { recursive: true });
+
+        fs.writeFileSync(path.join(dir, bundleFiles.manifest), JSON.stringify(manifest, undefined, 2));
+        fs.writeFileSync(path.join(dir, bundleFiles.image), JPEG);
+        scanScript.writeScanScript(scans, path.join(dir, bundleFiles.scanScript));
+        fs.writeFileSync(path.join(dir, bundleFiles.header), shards.header);
+        shards.scans.forEach((shard, ind) => fs.writeFileSync(shardFile(dir, ind), shard));
+        fs.writeFileSync(path.join(dir, bundleFiles.hashes), JSON.stringify(hashes, undefined, 2));
+        gasFees.saveGasFees(fees, path.join(dir, bundleFiles.gasFees));
+        if (thumbnails) thumbnailImages.saveThumbnails(thumbnails, path.join(dir, bundleFiles.thumbnails));
+    },
+
+    // Reads a bundle back, checking that its hashes and fee table belong to its shards and that its
+    // thumbnails, if any (null otherwise), match theirs
+    loadBundle: function (dir) {
+        const manifestFile = path.join(dir, bundleFiles.manifest);
+        if (!fs.existsSync(manifestFile)) {
+            throw new Error(`${dir} is not an image bundle, make one with "npx hardhat jpeg:prepare"`);
+        }
+
+        const manifest = JSON.parse(fs.readFileSync(manifestFile, "utf8"));
+        const shards = {
+            mode: manifest.shardMode,
+            contractName: manifest.contractName,
+            header: fs.readFileSync(path.join(dir, bundleFiles.header), "utf8"),
+            scans: [],
+            footer: manifest.footer
+        };
+        for (let ind = 0; ind < manifest.nScans; ind++) shards.scans.push(fs.readFileSync(shardFile(dir, ind), "utf8"));
+
+        const hashes = JSON.parse(fs.readFileSync(path.join(dir, bundleFiles.hashes), "utf8"));
+        if (utils.hashScans(shards.scans, shards.mode).join() !== hashes.join()) {
+            throw new Error(`The shards of ${dir} do not match its hashes`);
+        }
+
+        return {
+            dir,
+            manifest,
+            JPEG: fs.readFileSync(path.join(dir, bundleFiles.image)),
+            scans: scanScript.readScanScript(path.join(dir, bundleFiles.scanScript)),
+            shards,
+            hashes,
+            gasFees: gasFees.loadGasFees(hashes, path.join(dir, bundleFiles.gasFees)),
+            thumbnails: thumbnailImages.loadThumbnails(path.join(dir, bundleFiles.thumbnails), manifest.nScans)
+        };
+    }
+};
+
+function shardFile(dir, ind) {
+    return path.join(dir, bundleFiles.shards, `${String(ind).padStart(3, "0")}.txt`);
+}
@@ -0,0 +1,215 @@
+const fs = require("fs");
+
+// Replays a mining campaign, every token mined once in order, with the fee table of a bundle and the
+// fee formula of mine(): the minting fee is tx.gasprice * getMintingGasFee(tokenId), where tx.gasprice
+// is the effective gas price of EIP-1559, min(maxFeePerGas, baseFee + maxPriorityFeePerGas). Miners
+// send the fee at their max fee per gas, as the frontend and jpeg:mine do, and mine() refunds the rest.
+//
+// Base fee trajectories, one base fee per token:
+//     constant:30         30 gwei for every token
+//     linear:20:200       from 20 to 200 gwei, evenly
+//     eip1559:30:0.75     30 gwei then one mine per block in blocks 75% full, the base fee changing
+//                         by up to 12.5% per block as EIP-1559 does (0.5 keeps it flat)
+//     file:fees.json      JSON array of gwei, one per token
+
+// Gas of storing a scan with SSTORE2.write and its pointer, an estimate: CREATE, the code deposit of
+// the scan and the STOP byte SSTORE2 prepends, and setting a cold zero slot of _imageScansPointers
+const CREATE_GAS = 32000;
+const CODE_DEPOSIT_GAS = 200;
+const POINTER_GAS = 22100;
+
+const BASE_FEE_MAX_CHANGE = 8;
+
+const csvColumns = [
+    "tokenId",
+    "baseFee",
+    "priorityFee",
+    "maxFeePerGas",
+    "effectiveGasPrice",
+    "txGas",
+    "mintingGasFee",
+    "storageGas",
+    "value",
+    "mintingFee",
+    "refund",
+    "txCost",
+    "cost"
+];
+
+module.exports = {
+    csvColumns: csvColumns,
+
+    // Base fee of every token in gwei from a trajectory spec, see the header
+    getBaseFees: function (spec, nScans) {
+        const [type, ...args] = spec.split(":");
+        const numbers = args.map(Number);
+        if (type !== "file" && numbers.some((number) => !Number.isFinite(number) || number < 0)) {
+            throw new Error(`Base fee trajectory "${spec}" needs non-negative numbers`);
+        }
+
+        switch (type) {
+            case "constant":
+                return Array.from({ length: nScans }, () => numbers[0]);
+            case "linear": {
+                const [start, end] = numbers;
+                return Array.from({ length: nScans }, (_, ind) => start + ((end - start) * ind) / (nScans - 1));
+            }
+            case "eip1559": {
+                const [start, fullness] = numbers;
+                if (fullness > 1) throw new Error(`Blocks cannot be more than full, not ${fullness}`);
+                const baseFees = [start];
+                while (baseFees.length < nScans) {
+                    const last = baseFees[baseFees.length - 1];
+                    baseFees.push(last * (1 + (2 * fullness - 1) / BASE_FEE_MAX_CHANGE));
+                }
+                return baseFees;
+            }
+            case "file": {
+                const baseFees = JSON.parse(fs.readFileSync(args.join(":"), "utf8"));
+                if (baseFees.length !== nScans) {
+                    throw new Error(`${args.join(":")} has ${baseFees.length} base fees, the campaign ${nScans}`);
+                }
+                return baseFees;
+            }
+            default:
+                throw new Error(`Unknown base fee trajectory "${spec}", use constant, linear, eip1559 or file`);
+        }
+    },
+
+    // Estimated storage gas of mining every shard, see the constants above
+    getStorageGas: function ({ mode, scans }) {
+        return scans.map((scan) => {
+            const length = mode === "binary" ? (scan.length - 2) / 2 : scan.length;
+            return CREATE_GAS + CODE_DEPOSIT_GAS * (length + 1) + POINTER_GAS;
+        });
+    },
+
+    // Every mine of the campaign and their totals: { mines, summary }. baseFees are in gwei, one per
+    // token, priorityFee is in gwei and miners offer maxFeeMultiplier * baseFee + priorityFee.
+    // Amounts are BigNumbers in wei.
+    simulateCampaign: function (
+        ethers,
+        { txGas, gasMintingFees },
+        shards,
+        { baseFees, priorityFee = 2, maxFeeMultiplier = 2 }
+    ) {
+        if (maxFeeMultiplier < 1) throw new Error("Miners must offer at least the base fee");
+        const gwei = (value) => ethers.utils.parseUnits(value.toFixed(9), "gwei");
+        const storageGas = module.exports.getStorageGas(shards);
+
+        const mines = txGas.map((gas, tokenId) => {
+            const baseFee = gwei(baseFees[tokenId]);
+            const priority = gwei(priorityFee);
+            const maxFeePerGas = gwei(baseFees[tokenId] * maxFeeMultiplier + priorityFee);
+            const sum = baseFee.add(priority);
+            const effectiveGasPrice = sum.lt(maxFeePerGas) ? sum : maxFeePerGas;
+
+            const value = maxFeePerGas.mul(gasMintingFees[tokenId]);
+            const mintingFee = effectiveGasPrice.mul(gasMintingFees[tokenId]);
+            const txCost = effectiveGasPrice.mul(gas);
+            return {
+                tokenId,
+                baseFee,
+                priorityFee: priority,
+                maxFeePerGas,
+                effectiveGasPrice,
+                txGas: gas,
+                mintingGasFee: gasMintingFees[tokenId],
+                storageGas: storageGas[tokenId],
+                value,
+                mintingFee,
+                refund: value.sub(mintingFee),
+                txCost,
+                cost: txCost.add(mintingFee)
+            };
+        });
+
+        const total = (key) => mines.reduce((sum, mine) => sum.add(mine[key]), ethers.BigNumber.from(0));
+        const costs = mines.map((mine) => mine.cost);
+        const sum = (values) => values.reduce((total, value) => total + value, 0);
+        const totalTxGas = sum(txGas);
+        const totalStorageGas = sum(storageGas);
+
+        return {
+            mines,
+            summary: {
+                nMines: mines.length,
+                minCost: costs.reduce((min, cost) => (cost.lt(min) ? cost : min)),
+                maxCost: costs.reduce((max, cost) => (cost.gt(max) ? cost : max)),
+                meanCost: total("cost").div(mines.length),
+                totalCost: total("cost"),
+                totalRefund: total("refund"),
+                ownerRevenue: total("mintingFee"),
+                txGas: totalTxGas,
+                storageGas: totalStorageGas,
+                // Of the gas of the transactions, and of all the gas miners pay for with the minting fees
+                storageShare: totalStorageGas / totalTxGas,
+                storageShareOfPaidGas: totalStorageGas / (totalTxGas + sum(gasMintingFees))
+            }
+        };
+    },
+
+    // Gas prices in gwei and amounts in ETH, as written to CSV and JSON
+    formatMine: function (ethers, mine) {
+        const gwei = (value) => ethers.utils.formatUnits(value, "gwei");
+        const eth = (value) => ethers.utils.formatEther(value);
+        return {
+            tokenId: mine.tokenId,
+            baseFee: gwei(mine.baseFee),
+            priorityFee: gwei(mine.priorityFee),
+            maxFeePerGas: gwei(mine.maxFeePerGas),
+            effectiveGasPrice: gwei(mine.effectiveGasPrice),
+            txGas: mine.txGas,
+            mintingGasFee: mine.mintingGasFee,
+            storageGas: mine.storageGas,
+            value: eth(mine.value),
+            mintingFee: eth(mine.mintingFee),
+            refund: eth(mine.refund),
+            txCost: eth(mine.txCost),
+            cost: eth(mine.cost)
+        };
+    },
+
+    formatSummary: function (ethers, { summary }) {
+        const eth = (value) => `${ethers.utils.formatEther(value)} ETH`;
+        const percent = (share) => `${(share * 100).toFixed(1)}%`;
+        return [
+            `Campaign of ${summary.nMines} mines`,
+            `    Miner cost:    ${eth(summary.minCost)} to ${eth(summary.maxCost)}, ${eth(
+                summary.meanCost
+            )} on average`,
+            `    Miners paid:   ${eth(summary.totalCost)}`,
+            `    Refunded:      ${eth(summary.totalRefund)}`,
+            `    Owner revenue: ${eth(summary.ownerRevenue)}`,
+            `    Storage gas:   ${summary.storageGas} of ${summary.txGas} tx gas (${percent(summary.storageShare)}), ` +
+                `${percent(summary.storageShareOfPaidGas)} of the gas paid with the minting fees`
+        ].join("\n");
+    },
+
+    saveCSV: function (ethers, campaign, file) {
+        const rows = campaign.mines.map((mine) => {
+            const formatted = module.exports.formatMine(ethers, mine);
+            return csvColumns.map((column) => formatted[column]).join(",");
+        });
+        fs.writeFileSync(file, [csvColumns.join(","), ...rows].join("\n") + "\n");
+    },
+
+    saveJSON: function (ethers, campaign, file, parameters) {
+        const { summary } = campaign;
+        const eth = (value) => ethers.utils.formatEther(value);
+        const json = {
+            parameters,
+            summary: {
+                ...summary,
+                minCost: eth(summary.minCost),
+                maxCost: eth(summary.maxCost),
+                meanCost: eth(summary.meanCost),
+                totalCost: eth(summary.totalCost),
+                totalRefund: eth(summary.totalRefund),
+                ownerRevenue: eth(summary.ownerRevenue)
+            },
+            mines: campaign.mines.map((mine) => module.exports.formatMine(ethers, mine))
+        };
+        fs.writeFileSync(file, JSON.stringify(json, undefined, 2));
+    }
+};
@@ -0,0 +1,103 @@
+const fs = require("fs");
+const path = require("path");
+
+// Collections of any artwork made by JPEGfactory: clones of JPEGcollection, each initialized with the
+// binary shards, phases and fee table of a bundle and its own name, symbol and description. The
+// manifest of every collection is served by the frontend at /collections/<address>.json, which
+// ?collection=<address> loads.
+
+const COLLECTION_CONTRACT = "JPEGcollection";
+const FACTORY_CONTRACT = "JPEGfactory";
+
+const collectionsDir = path.join(__dirname, "..", "frontend", "public", "collections");
+
+// The name is inserted as it is in the data URL of tokenURI(), so only characters that need no
+// escaping there, nor in JSON, are allowed
+const nameCharacters = /^[A-Za-z0-9 _.!~*'()-]+$/;
+
+module.exports = {
+    COLLECTION_CONTRACT: COLLECTION_CONTRACT,
+    FACTORY_CONTRACT: FACTORY_CONTRACT,
+
+    collectionManifestFile: function (address, dir = collectionsDir) {
+        return path.join(dir, `${address.toLowerCase()}.json`);
+    },
+
+    // Deploys the JPEGcollection every collection is a clone of, then the factory of its clones
+    deployFactory: async function (ethers, signer, overrides = {}) {
+        const JPEGcollection = await ethers.getContractFactory(COLLECTION_CONTRACT, signer);
+        const implementation = await JPEGcollection.deploy(overrides);
+        await implementation.deployed();
+
+        const JPEGfactory = await ethers.getContractFactory(FACTORY_CONTRACT, signer);
+        const factory = await JPEGfactory.deploy(implementation.address, overrides);
+        await factory.deployed();
+        return factory;
+    },
+
+    // Description as tokenURI() inserts it in its JSON data URL: escaped for JSON, then for the URL
+    encodeDescription: function (text) {
+        return encodeURIComponent(JSON.stringify(text).slice(1, -1));
+    },
+
+    // Argument of createCollection() for a bundle loaded by loadBundle. Without publicMining only the
+    // holders of vouchers can mine, see scripts/vouchers.js.
+    getCollectionArguments: function (
+        { manifest, shards, hashes, gasFees },
+        { name, symbol, description = "", publicMining = true }
+    ) {
+        if (shards.mode !== "binary") {
+            throw new Error(`Collections store binary shards, the bundle has ${shards.mode} ones`);
+        }
+        if (!nameCharacters.test(name || "")) {
+            throw new Error(`Collection name "${name}" can only have letters, digits, spaces and _.!~*'()-`);
+        }
+        if (!symbol) throw new Error("Collections need a symbol");
+
+        return {
+            name,
+            symbol,
+            description: module.exports.encodeDescription(description),
+            imageHeader: shards.header,
+            imageHashes: hashes,
+            mintingGasFees: gasFees.gasMintingFees,
+            colorStart: manifest.phases.colorStart,
+            resolutionStart: manifest.phases.resolutionStart,
+            publicMining
+        };
+    },
+
+    // Creates a collection with the factory, owned by the signer of the factory. Returns { collection,
+    // receipt }, collection being the JPEGcollection contract.
+    createCollection: async function (ethers, factory, collectionArguments, overrides = {}) {
+        const receipt = await (await factory.createCollection(collectionArguments, overrides)).wait();
+        const created = receipt.events.find((event) => event.event === "CollectionCreated");
+        const JPEGcollection = await ethers.getContractFactory(COLLECTION_CONTRACT, factory.signer);
+        return { collection: JPEGcollection.attach(created.args.collection), receipt };
+    },
+
+    // Every collection of the factory with its name and supply, oldest first
+    getCollections: async function (ethers, factory) {
+        const JPEGcollection = await ethers.getContractFactory(COLLECTION_CONTRACT);
+        return Promise.all(
+            (await factory.getCollections()).map(async (address) => {
+                const collection = JPEGcollection.attach(address).connect(factory.provider);
+                const [name, symbol, supply, nScans, owner] = await Promise.all([
+                    collection.name(),
+                    collection.symbol(),
+                    collection.totalSupply(),
+                    collection.NSCANS(),
+                    collection.owner()
+                ]);
+                return { address, name, symbol, supply: supply.toNumber(), nScans: nScans.toNumber(), owner };
+            })
+        );
+    },
+
+    saveCollectionManifest: function (manifest, dir = collectionsDir) {
+        fs.mkdirSync(dir, { recursive: true });
+        const file = module.exports.collectionManifestFile(manifest.contract.address, dir);
+        fs.writeFileSync(file, JSON.stringify(manifest, undefined, 2));
+        return file;
+    }
+};
@@ -2,105 +2,94 @@
 // yours, or create new ones.
 async function main() {
     const utils = require("./functions.js");
+    const scanScript = require("./scanScript.js");
+    const bundles = require("./bundle.js");
+    const signers = require("./signers.js");
+    const deployments = require("./deployments.js");
+    const collections = require("./collections.js");
     const gwei = ethers.utils.parseUnits("1", "gwei");
 
-    const gasMintingFees = [
-        735094, 418153, 488853, 775233, 990879, 1116059, 1278984, 1380845, 1473082, 1555182, 1630064, 1475189, 1564849,
-        1439494, 874059, 1580895, 1015457, 1727279, 1157765, 1907348, 1509213, 2114637, 2203394, 2329378, 2474955,
-        2560437, 2690427, 2769423, 2871352, 2942053, 3022723, 3094224, 3178899, 1209024, 1048723, 666363, 2097316,
-        1424907, 785999, 1630687, 653204, 1454467, 1317226, 2009252, 2153344, 691349, 2522271, 1641774, 1663039,
-        1312673, 2093147, 3489125, 1321568, 1993318, 1755231, 2475626, 2070122, 2099411, 3062246, 3338363, 2798503,
-        1819070, 4153908, 4070527, 4296914, 4250687, 4417728, 3078899, 4728961, 4502914, 3611900, 4559369, 4677046,
-        2713661, 4726902, 4765530, 4877481, 4183576, 5069969, 5221490, 3664359, 4123879, 5423603, 5431732, 5471052,
-        4971942, 5728761, 4329346, 3784898, 6070177, 5387231, 3913479, 5393358, 4811345, 4223082, 4936136, 5324583,
-        5972086, 6169759, 6581885
-    ];
-
-    // This is just a convenience check
-    let deployer;
-    // if (network.name === "mainnet") {
-    //     const { LedgerSigner } = require("@ethersproject/hardware-wallets");
-    //     deployer = await new LedgerSigner(
-    //         // ethers.provider,
-    //         new ethers.providers.InfuraProvider("homestead", "2f6e2beaa8ff4621b832fa9ec113bd11"),
-    //         "hid",
-    //         "m/44'/60'/0'/1"
-    //     );
-    // } else {
-    [deployer] = await ethers.getSigners();
-    // }
+    // First account of the network, or the keystore, mnemonic or Ledger of JPEG_SIGNER
+    const deployer = await signers.getSigner(ethers);
 
     console.log("Deploying the contracts with the account:", await deployer.getAddress());
 
     console.log("Main account balance:", ethers.utils.formatEther(await deployer.getBalance()), "ETH");
 
-    // Compress image to progressive JPEG
-    utils.toProgressiveJPEG("Logan_3000x1000", "test");
-    // utils.toProgressiveJPEG("landscape0", "test");
-
-    // Open JPEG in binary
-    const scans = utils.getScans("test");
-
-    // Convert scans to B64
-    const scansB64 = utils.convertScansToB64(scans);
-    const imageScans = scansB64.JpegScansB64;
-
-    // Compute hashes
-    const hashes = utils.hashScans(scansB64.JpegScansB64);
-
-    // Deploy JPEG Miner
-    const JPEGminer = await ethers.getContractFactory("JPEGminer");
-    console.log("Deploying...");
-    const options =
-        network.name === "mainnet"
-            ? {
-                  maxFeePerGas: gwei.mul(71),
-                  maxPriorityFeePerGas: gwei.mul(2),
-                  gasLimit: ethers.BigNumber.from(7e6)
-              }
-            : {};
-    // console.log(options);
-    const jpegMiner = await JPEGminer.connect(deployer).deploy(scansB64.JpegHeaderB64, hashes, gasMintingFees, options);
-    await jpegMiner.deployed();
-    console.log("Deployed...");
-
-    console.log("JPEGminer address:", jpegMiner.address);
-
-    // We also save the contract's artifacts and address in the frontend directory
-    saveFrontendFiles(imageScans, jpegMiner, gasMintingFees);
-}
-
-function saveFrontendFiles(imageScans, jpegMiner, gasMintingFees) {
-    const fs = require("fs");
-    const contractsDir = __dirname + "/../frontend/src/contracts";
-
-    if (!fs.existsSync(contractsDir)) {
-        fs.mkdirSync(contractsDir);
+    // Image bundle made with "npx hardhat jpeg:prepare"
+    const {
+        manifest,
+        scans: scriptScans,
+        shards,
+        hashes,
+        gasFees,
+        thumbnails
+    } = bundles.loadBundle(utils.getBundleDir());
+    const { gasMintingFees, curve } = gasFees;
+    if (shards.contractName === collections.COLLECTION_CONTRACT) {
+        throw new Error("The bundle is of a collection, create it with jpeg:collection instead");
+    }
+    const phases = scanScript.getPhaseBoundaries(scriptScans);
+    console.log(
+        `Image: ${manifest.name} (${manifest.width}x${manifest.height}) in ${manifest.nScans} ${shards.mode} shards`
+    );
+    console.log("Scan script phases:", phases.lengths);
+
+    // An existing deployment of the network is reused unless JPEG_REDEPLOY=1: redeploying by accident
+    // costs real money on mainnet
+    const constructorArguments = deployments.hashConstructorArguments(ethers, shards, hashes, gasMintingFees);
+    const { status, record: existing } = await deployments.findDeployment(hre, constructorArguments);
+    const JPEGminer = await ethers.getContractFactory(shards.contractName);
+
+    if (status === "different" && process.env.JPEG_REDEPLOY !== "1") {
+        throw new Error(
+            `${deployments.deploymentFile(network.name)} has ${existing.contract.address}, deployed with ` +
+                `another bundle (${existing.bundle.name}). Set JPEG_REDEPLOY=1 to deploy a new contract.`
+        );
     }
 
-    let chainId;
-    switch (network.name) {
-        case "localhost":
-            chainId = 31337;
-            break;
-        case "rinkeby":
-            chainId = 4;
-            break;
-        case "mainnet":
-            chainId = 1;
-            break;
-        default:
-            throw new Error("Incorrect network");
+    let jpegMiner;
+    let record;
+    if (status === "current") {
+        console.log(`Already deployed at ${existing.contract.address} in block ${existing.deploymentBlock}`);
+        jpegMiner = JPEGminer.attach(existing.contract.address);
+        record = existing;
+    } else {
+        if (status === "stale") console.log(`The recorded contract ${existing.contract.address} is gone`);
+
+        console.log("Deploying...");
+        const options =
+            network.name === "mainnet"
+                ? {
+                      maxFeePerGas: gwei.mul(71),
+                      maxPriorityFeePerGas: gwei.mul(2),
+                      gasLimit: ethers.BigNumber.from(7e6)
+                  }
+                : {};
+        jpegMiner = await JPEGminer.connect(deployer).deploy(shards.header, hashes, gasMintingFees, options);
+        await jpegMiner.deployed();
+        console.log("Deployed...");
+
+        record = await deployments.createDeployment(hre, jpegMiner, { constructorArguments, bundleManifest: manifest });
+        if (network.name !== "hardhat") {
+            deployments.saveDeployment(record);
+            console.log("Deployment recorded in", deployments.deploymentFile(network.name));
+        }
     }
 
-    fs.writeFileSync(
-        contractsDir + "/contractParams.json",
-        JSON.stringify({ address: jpegMiner.address, imageScans, chainId, gasMintingFees }, undefined, 2)
-    );
+    console.log("JPEGminer address:", jpegMiner.address);
 
-    const TokenArtifact = artifacts.readArtifactSync("JPEGminer");
+    // getPhase() is hardcoded in the contract, so it must agree with the scan script
+    await utils.checkPhases(jpegMiner, scriptScans);
 
-    fs.writeFileSync(contractsDir + "/JPEGminer.json", JSON.stringify(TokenArtifact, null, 2));
+    // We also save the contract's artifacts and address in the frontend directory
+    await deployments.saveFrontendFiles(hre, jpegMiner, record, {
+        shards,
+        gasMintingFees,
+        phases,
+        gasCurve: curve,
+        thumbnails
+    });
 }
 
 main()
@@ -0,0 +1,160 @@
+const fs = require("fs");
+const path = require("path");
+const _ = require("lodash");
+const contractManifest = require("../frontend/src/contracts/manifest.js");
+const networkRegistry = require("../frontend/src/contracts/networks.js");
+const thumbnailImages = require("./thumbnails.js");
+
+// Record of what was deployed on each network, deployments/<network>.json:
+// {
+//     "version": 1,
+//     "network": "mainnet",
+//     "chainId": 1,
+//     "contract": { "name": "JPEGminer", "address": "0x..." },
+//     "deploymentTxHash": "0x...",
+//     "deploymentBlock": 123,
+//     "deployer": "0x...",
+//     "constructorArguments": { "header": "0x...", "imageHashes": "0x...", "gasMintingFees": "0x..." },
+//                                  keccak256 of the header as hashed by mine() and of the ABI encoded arrays
+//     "compiler": { "version": "0.8.4+commit...", "settings": { "optimizer": {...}, "evmVersion": "..." } },
+//     "bundle": {...},             manifest.json of the image bundle
+//     "timestamp": "2021-...",     of the deployment block
+//     "previous": [...]            records this one replaced, without their own "previous"
+// }
+// The in-process Hardhat network vanishes after every run, so nothing is recorded for it.
+
+const DEPLOYMENT_VERSION = 1;
+
+const deploymentsDir = path.join(__dirname, "..", "deployments");
+
+module.exports = {
+    DEPLOYMENT_VERSION: DEPLOYMENT_VERSION,
+
+    deploymentFile: function (networkName, dir = deploymentsDir) {
+        return path.join(dir, `${networkName}.json`);
+    },
+
+    // Hashes the record keeps of the constructor arguments, to tell the deployed bundle apart
+    hashConstructorArguments: function (ethers, { header, mode }, imageHashes, gasMintingFees) {
+        const coder = ethers.utils.defaultAbiCoder;
+        return {
+            header: contractManifest.hashShard(header, mode),
+            imageHashes: ethers.utils.keccak256(coder.encode(["bytes32[]"], [imageHashes])),
+            gasMintingFees: ethers.utils.keccak256(coder.encode(["uint256[]"], [gasMintingFees]))
+        };
+    },
+
+    loadDeployment: function (networkName, dir = deploymentsDir) {
+        const file = module.exports.deploymentFile(networkName, dir);
+        if (!fs.existsSync(file)) return null;
+
+        const record = JSON.parse(fs.readFileSync(file, "utf8"));
+        if (record.version !== DEPLOYMENT_VERSION) {
+            throw new Error(`${file} is version ${record.version}, expected ${DEPLOYMENT_VERSION}`);
+        }
+        return record;
+    },
+
+    // Writes the record and keeps the one it replaces, if any, in its history
+    saveDeployment: function (record, dir = deploymentsDir) {
+        const existing = module.exports.loadDeployment(record.network, dir);
+        const previous = existing === null ? [] : [_.omit(existing, "previous"), ...existing.previous];
+
+        fs.mkdirSync(dir, { recursive: true });
+        fs.writeFileSync(
+            module.exports.deploymentFile(record.network, dir),
+            JSON.stringify({ ...record, previous }, undefined, 2)
+        );
+    },
+
+    // What to do with the recorded deployment of the network given the arguments of a new one:
+    //     "none"       nothing recorded (or the Hardhat network), deploy
+    //     "current"    the recorded contract was deployed with the same arguments, reuse it
+    //     "stale"      the recorded contract is gone, as on a restarted localhost node, deploy
+    //     "different"  the recorded contract has another bundle, only deploy if asked to
+    // Returns { status, record }.
+    findDeployment: async function (hre, constructorArguments, dir = deploymentsDir) {
+        const { ethers, network } = hre;
+        if (network.name === "hardhat") return { status: "none", record: null };
+
+        const record = module.exports.loadDeployment(network.name, dir);
+        if (record === null) return { status: "none", record };
+
+        const { chainId } = await ethers.provider.getNetwork();
+        if (record.chainId !== chainId) {
+            throw new Error(
+                `${network.name} is chain ${chainId} but its deployment record is for chain ${record.chainId}`
+            );
+        }
+        if ((await ethers.provider.getCode(record.contract.address)) === "0x") return { status: "stale", record };
+
+        const same = Object.keys(constructorArguments).every(
+            (name) => record.constructorArguments[name] === constructorArguments[name]
+        );
+        return { status: same ? "current" : "different", record };
+    },
+
+    // Record of a contract deployed by this run
+    createDeployment: async function (hre, jpegMiner, { constructorArguments, bundleManifest }) {
+        const { ethers, network, artifacts } = hre;
+        const contractName = bundleManifest.contractName;
+
+        const receipt = await jpegMiner.deployTransaction.wait();
+        const { timestamp } = await ethers.provider.getBlock(receipt.blockNumber);
+        const buildInfo = await artifacts.getBuildInfo(`contracts/${contractName}.sol:${contractName}`);
+        const { optimizer, evmVersion } = buildInfo.input.settings;
+
+        return {
+            version: DEPLOYMENT_VERSION,
+            network: network.name,
+            chainId: (await ethers.provider.getNetwork()).chainId,
+            contract: { name: contractName, address: jpegMiner.address },
+            deploymentTxHash: receipt.transactionHash,
+            deploymentBlock: receipt.blockNumber,
+            deployer: receipt.from,
+            constructorArguments,
+            compiler: { version: buildInfo.solcLongVersion, settings: { optimizer, evmVersion } },
+            bundle: bundleManifest,
+            timestamp: new Date(timestamp * 1000).toISOString()
+        };
+    },
+
+    // Manifest, artifact and thumbnails of the recorded contract in the frontend directory
+    saveFrontendFiles: async function (
+        hre,
+        jpegMiner,
+        record,
+        { shards, gasMintingFees, phases: { colorStart, resolutionStart }, gasCurve, thumbnails }
+    ) {
+        const contractsDir = path.join(__dirname, "..", "frontend", "src", "contracts");
+        fs.mkdirSync(contractsDir, { recursive: true });
+
+        const manifest = contractManifest.createManifest({
+            contract: {
+                name: record.contract.name,
+                address: record.contract.address,
+                chainId: networkRegistry.getNetwork(hre.network.name).chainId,
+                deploymentBlock: record.deploymentBlock,
+                deploymentTxHash: record.deploymentTxHash
+            },
+            shards,
+            phases: { colorStart, resolutionStart },
+            gasCurve,
+            gasMintingFees,
+            thumbnails: thumbnails ? thumbnailImages.hashThumbnails(thumbnails) : null
+        });
+
+        // Never publish a manifest the contract would reject
+        await contractManifest.validateManifest(manifest, jpegMiner);
+        fs.writeFileSync(path.join(contractsDir, "manifest.json"), JSON.stringify(manifest, undefined, 2));
+
+        // Thumbnails are served next to the app, where getThumbnailURL() of the manifest points
+        if (thumbnails) {
+            thumbnailImages.saveThumbnails(thumbnails, path.join(__dirname, "..", "frontend", "public", "thumbnails"));
+        }
+
+        // The frontend always imports JPEGminer.json, whatever the contract of the shard mode
+        const TokenArtifact = hre.artifacts.readArtifactSync(record.contract.name);
+        fs.writeFileSync(path.join(contractsDir, "JPEGminer.json"), JSON.stringify(TokenArtifact, null, 2));
+    }
+};
@@ -0,0 +1,194 @@
+const crypto = require("crypto");
+const tokenURI = require("./tokenURI.js");
+const jpegDecoder = require("./jpegDecoder.js");
+
+// Pulls the image back out of a deployed contract, trusting nothing but the chain. Scans are read
+// from the SSTORE2 contracts _imageScansPointers points to, whose storage slot is found by checking
+// its first pointer against getHash(0). The header is the SSTORE2 contract whose address is an
+// immutable of the runtime code and whose data starts like a JPEG. Every scan is checked against
+// getHash(i), and the header by rebuilding tokenURI(0), the cheapest one to eth_call. Collections of
+// the factory are refused: their header is not an immutable, their scans are stored past the slots
+// searched and their tokenURI() has their own metadata.
+
+// Reads of the contract that do not depend on its shard mode
+const readerABI = [
+    "function NSCANS() view returns (uint256)",
+    "function totalSupply() view returns (uint256)",
+    "function getHash(uint256 tokenId) view returns (bytes32)",
+    "function tokenURI(uint256 tokenId) view returns (string)",
+    // Only collections have it
+    "function publicMining() view returns (bool)"
+];
+
+// Storage slots searched for _imageScansPointers
+const MAX_SLOT = 64;
+
+// JPEG start of image, in binary and in Base64
+const SOI = "0xffd8";
+const SOI_B64 = "/9j/";
+
+module.exports = {
+    // Reads the image of the contract at address as of the latest block and returns { JPEG, report },
+    // JPEG being null when nothing is mined. The report has every check and is ok when all pass.
+    // manifest, optional, is compared with what the contract holds.
+    extractImage: async function (ethers, provider, address, manifest) {
+        const blockTag = await provider.getBlockNumber();
+        const contract = new ethers.Contract(address, readerABI, provider);
+        if (await isCollection(contract, blockTag)) {
+            throw new Error(`Only JPEGminer and JPEGminerBinary can be extracted, ${address} is a collection`);
+        }
+        const nScans = (await contract.NSCANS({ blockTag })).toNumber();
+        const supply = (await contract.totalSupply({ blockTag })).toNumber();
+
+        const readData = async (pointer) => {
+            const code = await provider.getCode(pointer, blockTag);
+            // SSTORE2 prepends a STOP so that the data cannot be called
+            return code.length > 4 && code.startsWith("0x00") ? `0x${code.slice(4)}` : null;
+        };
+
+        const hashes = [];
+        for (let tokenId = 0; tokenId < supply; tokenId++) hashes.push(await contract.getHash(tokenId, { blockTag }));
+
+        const header = await findHeader(ethers, provider, address, blockTag, readData);
+        const pointers = await findScanPointers(ethers, provider, address, blockTag, supply, hashes, readData);
+        const scans = [];
+        for (const pointer of pointers) scans.push(await readData(pointer));
+
+        const mode = header.data.startsWith(SOI) ? "binary" : "base64";
+        const toShard = (data) => (mode === "binary" ? data : Buffer.from(data.slice(2), "hex").toString("latin1"));
+        const shards = { mode, header: toShard(header.data), scans: scans.map(toShard) };
+
+        const report = {
+            contract: address,
+            chainId: (await provider.getNetwork()).chainId,
+            block: blockTag,
+            nScans,
+            supply,
+            complete: supply === nScans,
+            shardMode: mode,
+            header: {
+                pointer: header.pointer,
+                bytes: (header.data.length - 2) / 2,
+                hash: ethers.utils.keccak256(header.data),
+                tokenURI0:
+                    supply > 0 ? (await contract.tokenURI(0, { blockTag })) === tokenURI.getTokenURI(shards, 0) : null,
+                manifest: manifest ? manifest.header.hash === ethers.utils.keccak256(header.data) : null
+            },
+            scans: scans.map((data, tokenId) => {
+                const hash = ethers.utils.keccak256(data);
+                return {
+                    tokenId,
+                    pointer: pointers[tokenId],
+                    bytes: (data.length - 2) / 2,
+                    hash,
+                    getHash: hash === hashes[tokenId],
+                    manifest: manifest ? manifest.shards[tokenId].hash === hash : null
+                };
+            }),
+            image: null,
+            ok: false
+        };
+
+        if (supply === 0) return { JPEG: null, report };
+
+        const JPEG = Buffer.from(tokenURI.getImageB64(shards, supply - 1), "base64");
+        report.image = {
+            bytes: JPEG.length,
+            sha256: `0x${crypto.createHash("sha256").update(JPEG).digest("hex")}`,
+            keccak256: ethers.utils.keccak256(JPEG),
+            decodes: decodes(JPEG)
+        };
+        report.ok =
+            report.header.tokenURI0 &&
+            report.header.manifest !== false &&
+            report.scans.every((scan) => scan.getHash && scan.manifest !== false) &&
+            report.image.decodes;
+
+        return { JPEG, report };
+    },
+
+    // Printed summary of a report
+    formatReport: function (report) {
+        const mark = (ok) => (ok === null ? "-" : ok ? "ok" : "MISMATCH");
+        const failed = report.scans.filter((scan) => !scan.getHash || scan.manifest === false);
+        return [
+            `${report.contract} on chain ${report.chainId} at block ${report.block}`,
+            `    Scans:     ${report.supply}/${report.nScans} mined (${report.shardMode})`,
+            `    Header:    ${report.header.bytes} bytes, tokenURI(0) ${mark(report.header.tokenURI0)}, ` +
+                `manifest ${mark(report.header.manifest)}`,
+            `    getHash(): ${report.scans.length - failed.length}/${report.scans.length} scans match` +
+                (failed.length > 0 ? `, not ${failed.map((scan) => scan.tokenId).join(", ")}` : ""),
+            report.image
+                ? `    Image:     ${report.image.bytes} bytes, sha256 ${report.image.sha256}, ` +
+                  (report.image.decodes ? "decodes" : "DOES NOT DECODE")
+                : "    Image:     nothing mined",
+            report.ok ? "The on-chain image is intact" : "The on-chain image could NOT be verified"
+        ].join("\n");
+    }
+};
+
+// SSTORE2 contract of the header: an immutable of the runtime code (a PUSH32 of an address) whose
+// data is the start of a JPEG
+async function findHeader(ethers, provider, address, blockTag, readData) {
+    const code = await provider.getCode(address, blockTag);
+    const candidates = new Set();
+    const immutable = /7f000000000000000000000000([0-9a-f]{40})/g;
+    let match;
+    while ((match = immutable.exec(code.slice(2))) !== null) {
+        candidates.add(ethers.utils.getAddress(`0x${match[1]}`));
+    }
+
+    for (const pointer of candidates) {
+        const data = await readData(pointer);
+        if (data === null) continue;
+        const text = Buffer.from(data.slice(2, 10), "hex").toString("latin1");
+        if (data.startsWith(SOI) || text === SOI_B64) return { pointer, data };
+    }
+    throw new Error(`No JPEG header among the immutables of ${address}`);
+}
+
+// Pointers of the mined scans: the storage array of NSCANS addresses whose first one holds the scan
+// getHash(0) hashes
+async function findScanPointers(ethers, provider, address, blockTag, supply, hashes, readData) {
+    if (supply === 0) return [];
+
+    // Address stored in a slot, null if the slot holds something else
+    const readAddress = async (slot) => {
+        const word = ethers.utils.hexZeroPad(await provider.getStorageAt(address, slot, blockTag), 32);
+        if (!word.startsWith(`0x${"00".repeat(12)}`) || ethers.BigNumber.from(word).isZero()) return null;
+        return ethers.utils.getAddress(ethers.utils.hexDataSlice(word, 12));
+    };
+
+    for (let slot = 0; slot < MAX_SLOT; slot++) {
+        // Elements of a storage array start at the keccak256 of its slot
+        const base = ethers.BigNumber.from(ethers.utils.keccak256(ethers.utils.hexZeroPad(slot, 32)));
+        const first = await readAddress(base);
+        if (first === null) continue;
+
+        const data = await readData(first);
+        if (data === null || ethers.utils.keccak256(data) !== hashes[0]) continue;
+
+        const pointers = [first];
+        for (let tokenId = 1; tokenId < supply; tokenId++) pointers.push(await readAddress(base.add(tokenId)));
+        return pointers;
+    }
+    throw new Error(`No storage slot of ${address} points to the scans getHash() hashes`);
+}
+
+async function isCollection(contract, blockTag) {
+    try {
+        await contract.publicMining({ blockTag });
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+function decodes(JPEG) {
+    try {
+        jpegDecoder.decodeCoefficients(JPEG);
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
@@ -1,68 +1,45 @@
-const { execSync } = require("child_process");
 const fs = require("fs");
 const math = require("mathjs");
 const { ethers } = require("hardhat");
 const _ = require("lodash");
+const jpegEncoder = require("./jpegEncoder.js");
+const jpegParser = require("./jpegParser.js");
+const scanScript = require("./scanScript.js");
+
+// Contract that stores the shards of each mode: Base64 strings or raw bytes
+const contractNames = { base64: "JPEGminer", binary: "JPEGminerBinary" };
+
+// SSTORE2 keeps data as contract code, which is limited to 24576 bytes including its leading STOP
+const MAX_SCAN_BYTES = 24575;
+// Base64 scans are stored as they are, in whole groups of 4 characters
+const MAX_SCAN_B64 = MAX_SCAN_BYTES - (MAX_SCAN_BYTES % 4);
 
 module.exports = {
     toProgressiveJPEG: function (fromBMP, toJPG) {
-        execSync(
-            `${__dirname}\\..\\libjpeg-turbo\\bin\\cjpeg.exe -quality 85 -optimize -progressive -sample 1x1 -outfile ${__dirname}\\..\\images\\${toJPG}.jpg -scans ${__dirname}\\scan_script.sh ${__dirname}\\..\\images\\${fromBMP}.bmp`
-        );
+        // Same as "cjpeg -quality 85 -optimize -progressive -sample 1x1 -scans scan_script.sh" but in-process.
+        // A PNG with the same name is used when there is no BMP.
+        let input = `${__dirname}/../images/${fromBMP}.bmp`;
+        if (!fs.existsSync(input)) input = `${__dirname}/../images/${fromBMP}.png`;
+
+        const image = jpegEncoder.readImage(fs.readFileSync(input));
+        const JPEG = jpegEncoder.encodeProgressiveJPEG(image, scanScript.readScanScript(), { quality: 85 });
+        fs.writeFileSync(`${__dirname}/../images/${toJPG}.jpg`, JPEG);
     },
 
     getScans: function (imageName) {
         // Open JPEG in binary
-        let JPEG = fs.readFileSync(`${__dirname}/../images/${imageName}.jpg`);
-
-        // Store as many JPEGS as scans exist in the progressive JPEG.
-        function search2Bytes(buffer, byte1, byte2, start = 0) {
-            let index = start;
-            do {
-                index++;
-                index = buffer.indexOf(byte1, index);
-                if (buffer[index + 1] === byte2) return index;
-            } while (index !== -1);
-            return -1;
-        }
-
-        JPEG = JPEG.slice(0, JPEG.length - 2);
-        let indexEndShard;
-        let offset;
-        const JpegScans = [];
-        // console.log('__________________________________');
-        do {
-            let index0xFFDA = search2Bytes(JPEG, 0xff, 0xda, offset);
-            let index0xFFC4 = search2Bytes(JPEG.slice(0, index0xFFDA), 0xff, 0xc4, offset);
-
-            if (index0xFFC4 === -1) {
-                indexEndShard = index0xFFDA === -1 ? JPEG.length : index0xFFDA;
-                offset = 0;
-            } else {
-                indexEndShard = index0xFFC4;
-                offset = index0xFFDA - index0xFFC4 + 1;
-            }
-
-            let shard = JPEG.slice(0, indexEndShard);
-            JpegScans.push(shard);
-            // if(JpegScans.length===1) console.log(`Header is ${shard.length} bytes.`);
-            // else console.log(`Scan ${JpegScans.length-1} is ${shard.length} bytes.`);
-
-            JPEG = JPEG.slice(indexEndShard, JPEG.length);
-        } while (JPEG.length > 0);
-
-        const JpegHeader = JpegScans.shift();
-        const JpegFooter = Buffer.from([0xff, 0xd9]);
+        return module.exports.splitScans(fs.readFileSync(`${__dirname}/../images/${imageName}.jpg`));
+    },
 
-        // console.log(`${JpegScans.length} scans:`);
-        // console.log(`a) Mean length: ${Math.round(math.mean(JpegScans.map(shard=>shard.length)))} bytes`);
-        // console.log(`b) Length std: ${Math.round(math.std(JpegScans.map(shard=>shard.length),'unbiased'))} bytes`);
-        // console.log('__________________________________');
+    splitScans: function (JPEG) {
+        // Store as many JPEGS as scans exist in the progressive JPEG. Each scan carries the tables
+        // (DHT, DQT...) that precede its SOS, and bytes after EOI are dropped.
+        const { header, scans, footer } = jpegParser.parseJPEG(JPEG);
 
         return {
-            JpegHeader: JpegHeader,
-            JpegScans: JpegScans,
-            JpegFooter: JpegFooter
+            JpegHeader: header,
+            JpegScans: scans.map((scan) => scan.bytes),
+            JpegFooter: footer
         };
     },
 
@@ -90,7 +67,7 @@ module.exports = {
         const JpegScansB64 = JpegScans.map((shard) => addTrailingBytes(shard).toString("base64"));
 
         JpegScansB64.forEach((scan, id) => {
-            if (scan.length > 24576) throw `Scan ${id} is ${scan.length} bytes`;
+            if (scan.length > MAX_SCAN_B64) throw `Scan ${id} is ${scan.length} bytes (rebalance it with jpeg:balance)`;
         });
 
         return {
@@ -100,6 +77,67 @@ module.exports = {
         };
     },
 
+    // Raw scans as 0x-prefixed hex, ready for the bytes arguments of JPEGminerBinary
+    convertScansToBinary: function ({ JpegHeader, JpegScans, JpegFooter }) {
+        JpegScans.forEach((scan, id) => {
+            if (scan.length > MAX_SCAN_BYTES)
+                throw `Scan ${id} is ${scan.length} bytes (rebalance it with jpeg:balance)`;
+        });
+
+        return {
+            JpegHeaderHex: ethers.utils.hexlify(JpegHeader),
+            JpegScansHex: JpegScans.map((scan) => ethers.utils.hexlify(scan)),
+            JpegFooterHex: ethers.utils.hexlify(JpegFooter)
+        };
+    },
+
+    contractNames: contractNames,
+    MAX_SCAN_BYTES: MAX_SCAN_BYTES,
+    MAX_SCAN_B64: MAX_SCAN_B64,
+
+    // Shard mode set in hardhat.config.js ("base64" unless SHARD_MODE says otherwise)
+    getShardMode: function () {
+        const { shardMode } = require("../hardhat.config.js").jpegMining;
+        if (contractNames[shardMode] === undefined) {
+            throw new Error(`Unknown shard mode "${shardMode}", use ${Object.keys(contractNames).join(" or ")}`);
+        }
+        return shardMode;
+    },
+
+    // Image bundle set in hardhat.config.js (JPEG_BUNDLE overrides it)
+    getBundleDir: function () {
+        return require("../hardhat.config.js").jpegMining.bundle;
+    },
+
+    // Image bundle of the tests, the fixture of the shard mode in test/bundles unless JPEG_BUNDLE is set
+    getTestBundleDir: function () {
+        return require("../hardhat.config.js").jpegMining.testBundle;
+    },
+
+    // What goes on-chain in the given mode: { mode, contractName, header, scans, footer }, where header
+    // and scans are the constructor and mine() arguments
+    getShards: function (scans, mode = module.exports.getShardMode()) {
+        if (mode === "binary") {
+            const { JpegHeaderHex, JpegScansHex, JpegFooterHex } = module.exports.convertScansToBinary(scans);
+            return {
+                mode,
+                contractName: contractNames[mode],
+                header: JpegHeaderHex,
+                scans: JpegScansHex,
+                footer: JpegFooterHex
+            };
+        }
+
+        const { JpegHeaderB64, JpegScansB64, JpegFooterB64 } = module.exports.convertScansToB64(scans);
+        return {
+            mode,
+            contractName: contractNames[mode],
+            header: JpegHeaderB64,
+            scans: JpegScansB64,
+            footer: JpegFooterB64
+        };
+    },
+
     saveShardedJPEGSinB64: function ({ JpegHeaderB64, JpegScansB64, JpegFooterB64 }) {
         // console.log("");
         JpegScansB64.reduce((prevScans, currShard, ind) => {
@@ -114,7 +152,30 @@ module.exports = {
         }, "");
     },
 
-    hashScans: function (JpegScansB64) {
-        return JpegScansB64.map((scan) => ethers.utils.solidityKeccak256(["string"], [scan]));
+    // Throws if getPhase() in the contract disagrees with the phases derived from the scan script
+    checkPhases: async function (jpegMiner, scans) {
+        const { colorStart, resolutionStart } = scanScript.getPhaseBoundaries(scans);
+        const tokenIds = _.uniq([
+            0,
+            colorStart - 1,
+            colorStart,
+            resolutionStart - 1,
+            resolutionStart,
+            scans.length - 1
+        ]);
+
+        for (const tokenId of tokenIds.filter((id) => id >= 0 && id < scans.length)) {
+            const expected = scanScript.getPhase(scans, tokenId);
+            const phase = await jpegMiner.getPhase(tokenId);
+            if (phase !== expected) {
+                throw new Error(`getPhase(${tokenId}) is "${phase}" but the scan script makes it "${expected}"`);
+            }
+        }
+    },
+
+    // Same hashes mine() checks: of the Base64 string or of the raw bytes
+    hashScans: function (JpegScans, mode = "base64") {
+        if (mode === "binary") return JpegScans.map((scan) => ethers.utils.keccak256(scan));
+        return JpegScans.map((scan) => ethers.utils.solidityKeccak256(["string"], [scan]));
     }
 };
@@ -0,0 +1,96 @@
+const fs = require("fs");
+const collections = require("./collections.js");
+
+// Total gas (tx gas + minting fee) paid for each token, see the header of JPEGminerBase.sol
+const defaultGasCurve = { slope: 177551, intercept: 2422449 };
+
+module.exports = {
+    defaultGasCurve: defaultGasCurve,
+
+    getTotalGas: function ({ slope, intercept }, tokenId) {
+        return slope * tokenId + intercept;
+    },
+
+    // Deploys a throwaway contract of the shards without minting fees and returns the gas used by
+    // every mine(). Shards are the ones returned by getShards.
+    getMiningGas: async function (ethers, { contractName, header, scans }, hashes) {
+        const accounts = await ethers.getSigners();
+        if (accounts.length <= scans.length) {
+            throw new Error(`${scans.length + 1} accounts are needed, the network has ${accounts.length}`);
+        }
+
+        const jpegMiner = await deployWithoutFees(ethers, contractName, header, hashes, accounts[scans.length]);
+
+        const txGas = [];
+        for (let i = 0; i < scans.length; i++) {
+            // Paying 1 wei makes mine() return change, as it does for miners who overpay
+            const tx = await jpegMiner.connect(accounts[i]).mine(scans[i], { value: 1, gasLimit: 30e6 });
+            txGas.push((await tx.wait()).gasUsed.toNumber());
+        }
+
+        return txGas;
+    },
+
+    // Minting fee of every token so that tx gas + fee follows the curve. Throws when a mine() alone
+    // takes more gas than the curve, whose default is the one the contract documents.
+    getMintingGasFees: function (txGas, curve = defaultGasCurve) {
+        return txGas.map((gas, tokenId) => {
+            const total = module.exports.getTotalGas(curve, tokenId);
+            if (gas > total) {
+                const formula = `gas = ${curve.slope}*tokenId+${curve.intercept}`;
+                throw new Error(
+                    `Mining #${tokenId} takes ${gas} gas, more than the ${total} of the curve ${formula}, ` +
+                        "pass another curve with --slope and --intercept"
+                );
+            }
+            return total - gas;
+        });
+    },
+
+    // Fee table of the shards: { curve, txGas, gasMintingFees, imageHashes }
+    measureGasFees: async function (ethers, shards, imageHashes, curve = defaultGasCurve) {
+        const txGas = await module.exports.getMiningGas(ethers, shards, imageHashes);
+        return { curve, txGas, gasMintingFees: module.exports.getMintingGasFees(txGas, curve), imageHashes };
+    },
+
+    saveGasFees: function ({ curve, txGas, gasMintingFees, imageHashes }, file) {
+        fs.writeFileSync(file, JSON.stringify({ curve, txGas, gasMintingFees, imageHashes }, undefined, 2));
+    },
+
+    // The fee table is only valid for the scans it was measured with
+    loadGasFees: function (imageHashes, file) {
+        if (!fs.existsSync(file)) throw new Error(`${file} does not exist, run "npx hardhat jpeg:fees"`);
+        const gasFees = JSON.parse(fs.readFileSync(file, "utf8"));
+
+        if (imageHashes !== undefined && gasFees.imageHashes.join() !== imageHashes.join()) {
+            throw new Error(`${file} was measured for another image, run "npx hardhat jpeg:fees"`);
+        }
+
+        return gasFees;
+    }
+};
+
+// Collections are clones of the factory, mined like the other contracts once created
+async function deployWithoutFees(ethers, contractName, header, hashes, deployer) {
+    const fees = hashes.map(() => 0);
+    if (contractName === collections.COLLECTION_CONTRACT) {
+        const factory = await collections.deployFactory(ethers, deployer);
+        const { collection } = await collections.createCollection(ethers, factory, {
+            name: "Gas",
+            symbol: "GAS",
+            description: "",
+            imageHeader: header,
+            imageHashes: hashes,
+            mintingGasFees: fees,
+            colorStart: 0,
+            resolutionStart: 0,
+            publicMining: true
+        });
+        return collection;
+    }
+
+    const JPEGminer = await ethers.getContractFactory(contractName);
+    const jpegMiner = await JPEGminer.connect(deployer).deploy(header, hashes, fees);
+    await jpegMiner.deployed();
+    return jpegMiner;
+}
@@ -0,0 +1,106 @@
+const fs = require("fs");
+const path = require("path");
+
+// Gas report of the test suite, written after mining every token and compared with the baseline of
+// the contract in test/gasBaseline/<contract>.json:
+// {
+//     "version": 1,
+//     "contractName": "JPEGminer",
+//     "shardMode": "base64",
+//     "bundle": "0x...",            keccak256 of the image hashes, baselines only apply to their bundle
+//     "deployGas": 123,
+//     "mines": [{ "tokenId": 0, "txGas": 123, "mintingFeeGas": 123, "paidGas": 123, "premium": 12.3 }, ...],
+//                                   paidGas is what the miner paid (tx + minting fee) in gas, premium is
+//                                   the minting fee in % of the tx gas
+//     "tokenURIGas": [123, ...]     estimateGas of tokenURI() for the first tokens
+// }
+// Every entry regresses when it grows by more than the tolerance over the baseline.
+
+const GAS_REPORT_VERSION = 1;
+
+const baselineDir = path.join(__dirname, "..", "test", "gasBaseline");
+
+module.exports = {
+    GAS_REPORT_VERSION: GAS_REPORT_VERSION,
+
+    baselineFile: function (contractName, dir = baselineDir) {
+        return path.join(dir, `${contractName}.json`);
+    },
+
+    createGasReport: function (ethers, shards, imageHashes, { deployGas, txGas, paidGas, tokenURIGas }) {
+        return {
+            version: GAS_REPORT_VERSION,
+            contractName: shards.contractName,
+            shardMode: shards.mode,
+            bundle: ethers.utils.keccak256(ethers.utils.concat(imageHashes)),
+            deployGas,
+            mines: txGas.map((gas, tokenId) => ({
+                tokenId,
+                txGas: gas,
+                mintingFeeGas: paidGas[tokenId] - gas,
+                paidGas: paidGas[tokenId],
+                premium: Math.round((paidGas[tokenId] / gas - 1) * 1000) / 10
+            })),
+            tokenURIGas
+        };
+    },
+
+    saveGasReport: function (report, file) {
+        fs.mkdirSync(path.dirname(file), { recursive: true });
+        fs.writeFileSync(file, JSON.stringify(report, undefined, 2));
+    },
+
+    // Baseline of the contract, null if there is none
+    loadBaseline: function (contractName, dir = baselineDir) {
+        const file = module.exports.baselineFile(contractName, dir);
+        if (!fs.existsSync(file)) return null;
+
+        const baseline = JSON.parse(fs.readFileSync(file, "utf8"));
+        if (baseline.version !== GAS_REPORT_VERSION) {
+            throw new Error(`${file} is version ${baseline.version}, expected ${GAS_REPORT_VERSION}`);
+        }
+        return baseline;
+    },
+
+    // Entries of the report more than tolerance (0.01 for 1%) above the baseline, as messages. Both
+    // must be of the same bundle.
+    compareGasReport: function (report, baseline, tolerance) {
+        if (report.bundle !== baseline.bundle || report.contractName !== baseline.contractName) {
+            throw new Error(`The baseline is of another bundle or contract than the report`);
+        }
+
+        const regressions = [];
+        const compare = (name, value, base) => {
+            if (base === undefined || value - base <= Math.abs(base) * tolerance) return;
+            const increase = base === 0 ? "" : ` (+${(((value - base) / Math.abs(base)) * 100).toFixed(1)}%)`;
+            regressions.push(`${name} is ${value}, the baseline ${base}${increase}`);
+        };
+
+        compare("deployGas", report.deployGas, baseline.deployGas);
+        report.mines.forEach((mine, ind) => {
+            ["txGas", "mintingFeeGas", "paidGas", "premium"].forEach((key) =>
+                compare(`mines[${ind}].${key}`, mine[key], baseline.mines[ind] && baseline.mines[ind][key])
+            );
+        });
+        report.tokenURIGas.forEach((gas, ind) => compare(`tokenURIGas[${ind}]`, gas, baseline.tokenURIGas[ind]));
+
+        return regressions;
+    },
+
+    // Printed summary of the report, in ETH at gasPrice (BigNumber, wei)
+    formatGasReport: function (ethers, report, gasPrice) {
+        const eth = (gas) => `${Number(ethers.utils.formatEther(gasPrice.mul(gas)))} ETH`;
+        const price = `${ethers.utils.formatUnits(gasPrice, "gwei")} gwei`;
+        const paidGas = report.mines.map((mine) => mine.paidGas);
+        const txGas = report.mines.reduce((total, mine) => total + mine.txGas, 0);
+
+        return [
+            `Gas report of ${report.contractName}, prices at ${price}`,
+            `    Deployment:        ${report.deployGas} gas (${eth(report.deployGas)})`,
+            `    Min paid per mine: ${Math.min(...paidGas)} gas (${eth(Math.min(...paidGas))})`,
+            `    Max paid per mine: ${Math.max(...paidGas)} gas (${eth(Math.max(...paidGas))})`,
+            `    Total tx gas:      ${txGas}`,
+            `    tokenURI():        ${report.tokenURIGas.join(", ")} gas for the first tokens`
+        ].join("\n");
+    }
+};
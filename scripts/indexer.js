@@ -0,0 +1,237 @@
+const fs = require("fs");
+const path = require("path");
+const scanScript = require("./scanScript.js");
+
+// Local index of the Mined and Transfer events of a deployed contract, backfilled from its deployment
+// block and followed from any JSON-RPC node. Stored as index/<chainId>-<address>.json:
+// {
+//     "version": 1,
+//     "chainId": 1,
+//     "contract": "0x...",
+//     "startBlock": 123,           deployment block of the manifest, 0 when it has none
+//     "lastBlock": 456,            last block indexed, the next sync resumes after it
+//     "blocks": [{ "number": 456, "hash": "0x..." }, ...],
+//                                  latest blocks indexed, to find where a reorg forked
+//     "mines": [{ "tokenId", "miner", "phase", "blockNumber", "blockHash", "transactionHash", "timestamp",
+//                 "gasUsed", "effectiveGasPrice", "txFee", "mintFee" }, ...],   amounts in wei
+//     "transfers": [{ "tokenId", "from", "to", "blockNumber", "blockHash", "transactionHash", "logIndex" }, ...],
+//     "owners": { "0": "0x...", ... }    current owner of every token, replayed from the transfers
+// }
+
+const INDEX_VERSION = 1;
+
+// Blocks whose hashes are kept. A reorg deeper than this many syncs rebuilds the whole index.
+const REORG_DEPTH = 64;
+const defaultChunkSize = 2000;
+
+const indexDir = path.join(__dirname, "..", "index");
+
+const eventsABI = [
+    "event Mined(address minerAddress, string indexed phase)",
+    "event Transfer(address indexed from, address indexed to, uint256 indexed tokenId)"
+];
+
+module.exports = {
+    INDEX_VERSION: INDEX_VERSION,
+    REORG_DEPTH: REORG_DEPTH,
+
+    indexFile: function ({ contract: { chainId, address } }, dir = indexDir) {
+        return path.join(dir, `${chainId}-${address.toLowerCase()}.json`);
+    },
+
+    // Empty index of the contract of a manifest
+    createIndex: function ({ contract: { chainId, address, deploymentBlock } }) {
+        const startBlock = deploymentBlock === null || deploymentBlock === undefined ? 0 : deploymentBlock;
+        return {
+            version: INDEX_VERSION,
+            chainId,
+            contract: address,
+            startBlock,
+            lastBlock: startBlock - 1,
+            blocks: [],
+            mines: [],
+            transfers: [],
+            owners: {}
+        };
+    },
+
+    // Index of the manifest's contract saved in file, a new one if there is none
+    loadIndex: function (manifest, file) {
+        if (!fs.existsSync(file)) return module.exports.createIndex(manifest);
+
+        const index = JSON.parse(fs.readFileSync(file, "utf8"));
+        if (index.version !== INDEX_VERSION) {
+            throw new Error(`${file} is version ${index.version}, expected ${INDEX_VERSION}`);
+        }
+        if (index.chainId !== manifest.contract.chainId || !sameAddress(index.contract, manifest.contract.address)) {
+            throw new Error(`${file} indexes ${index.contract} on chain ${index.chainId}, not the manifest's contract`);
+        }
+        return index;
+    },
+
+    // Written to a temporary file first, so that an interrupted follow never leaves half an index
+    saveIndex: function (index, file) {
+        fs.mkdirSync(path.dirname(file), { recursive: true });
+        fs.writeFileSync(`${file}.tmp`, JSON.stringify(index, undefined, 2));
+        fs.renameSync(`${file}.tmp`, file);
+    },
+
+    // Indexes the blocks after index.lastBlock up to the head of the node (minus confirmations), or
+    // toBlock, after rolling back the blocks a reorg replaced. Returns { reorgBlock, fromBlock,
+    // toBlock, nMines, nTransfers }, where reorgBlock is the last block kept by a rollback, if any.
+    syncIndex: async function (
+        ethers,
+        provider,
+        index,
+        manifest,
+        { chunkSize = defaultChunkSize, confirmations = 0, toBlock } = {}
+    ) {
+        const { chainId } = await provider.getNetwork();
+        if (chainId !== index.chainId)
+            throw new Error(`The index is of chain ${index.chainId}, the node of ${chainId}`);
+
+        const reorgBlock = await rollBackReorg(provider, index);
+        const head = toBlock === undefined ? (await provider.getBlockNumber()) - confirmations : toBlock;
+        const fromBlock = index.lastBlock + 1;
+        const nMines = index.mines.length;
+        const nTransfers = index.transfers.length;
+
+        const contract = new ethers.Contract(index.contract, eventsABI, provider);
+        const topics = [[contract.interface.getEventTopic("Mined"), contract.interface.getEventTopic("Transfer")]];
+        const timestamps = {};
+
+        for (let start = fromBlock; start <= head; start += chunkSize) {
+            const end = Math.min(start + chunkSize - 1, head);
+            const logs = await provider.getLogs({ address: index.contract, fromBlock: start, toBlock: end, topics });
+            await addLogs(ethers, provider, index, manifest, contract, logs, timestamps);
+
+            const { hash } = await provider.getBlock(end);
+            index.blocks = [...index.blocks, { number: end, hash }].slice(-REORG_DEPTH);
+            index.lastBlock = end;
+        }
+
+        index.owners = getOwners(index.transfers);
+        return {
+            reorgBlock,
+            fromBlock,
+            toBlock: index.lastBlock,
+            nMines: index.mines.length - nMines,
+            nTransfers: index.transfers.length - nTransfers
+        };
+    },
+
+    // Syncs every interval seconds until shouldStop() is true, saving the index to file after every
+    // sync and passing its result to onSync
+    followIndex: async function (
+        ethers,
+        provider,
+        index,
+        manifest,
+        file,
+        { interval = 15, shouldStop = () => false, onSync = () => {}, ...options } = {}
+    ) {
+        while (!shouldStop()) {
+            const result = await module.exports.syncIndex(ethers, provider, index, manifest, options);
+            module.exports.saveIndex(index, file);
+            onSync(result);
+
+            const wakeUp = Date.now() + interval * 1000;
+            while (!shouldStop() && Date.now() < wakeUp) await new Promise((resolve) => setTimeout(resolve, 200));
+        }
+    }
+};
+
+// Finds the latest indexed block still on the chain and drops everything after it. Returns its
+// number, or null when the index is on the chain.
+async function rollBackReorg(provider, index) {
+    for (let ind = index.blocks.length - 1; ind >= 0; ind--) {
+        const { number, hash } = index.blocks[ind];
+        const block = await provider.getBlock(number);
+        if (block !== null && block.hash === hash) {
+            if (ind === index.blocks.length - 1) return null;
+            rollBack(index, number);
+            return number;
+        }
+    }
+
+    if (index.blocks.length === 0) return null;
+    rollBack(index, index.startBlock - 1);
+    return index.startBlock - 1;
+}
+
+function rollBack(index, lastBlock) {
+    index.mines = index.mines.filter((mine) => mine.blockNumber <= lastBlock);
+    index.transfers = index.transfers.filter((transfer) => transfer.blockNumber <= lastBlock);
+    index.blocks = index.blocks.filter((block) => block.number <= lastBlock);
+    index.lastBlock = lastBlock;
+}
+
+// Mined is emitted by mine() after the mint, whose Transfer from the zero address has the token id.
+// The minting fee is mine()'s: the effective gas price times the minting fee of the token in gas.
+async function addLogs(ethers, provider, index, manifest, contract, logs, timestamps) {
+    const phases = {};
+    scanScript.phaseNames.forEach((name) => (phases[ethers.utils.id(name)] = name));
+
+    for (const log of logs) {
+        const { name, args } = contract.interface.parseLog(log);
+        const position = {
+            blockNumber: log.blockNumber,
+            blockHash: log.blockHash,
+            transactionHash: log.transactionHash
+        };
+
+        if (name === "Transfer") {
+            index.transfers.push({
+                tokenId: args.tokenId.toNumber(),
+                from: args.from,
+                to: args.to,
+                ...position,
+                logIndex: log.logIndex
+            });
+            continue;
+        }
+
+        const mint = logs.find(
+            (other) =>
+                other.transactionHash === log.transactionHash &&
+                other.logIndex < log.logIndex &&
+                contract.interface.parseLog(other).name === "Transfer" &&
+                contract.interface.parseLog(other).args.from === ethers.constants.AddressZero
+        );
+        if (mint === undefined) throw new Error(`Mined in ${log.transactionHash} has no mint`);
+        const tokenId = contract.interface.parseLog(mint).args.tokenId.toNumber();
+        // Only the hash of the indexed phase is logged, and ethers leaves the arguments of Mined unnamed
+        const [miner, phase] = args;
+
+        const receipt = await provider.getTransactionReceipt(log.transactionHash);
+        const effectiveGasPrice =
+            receipt.effectiveGasPrice || (await provider.getTransaction(log.transactionHash)).gasPrice;
+        if (timestamps[log.blockNumber] === undefined) {
+            timestamps[log.blockNumber] = (await provider.getBlock(log.blockNumber)).timestamp;
+        }
+
+        index.mines.push({
+            tokenId,
+            miner,
+            phase: phases[phase.hash] || null,
+            ...position,
+            timestamp: new Date(timestamps[log.blockNumber] * 1000).toISOString(),
+            gasUsed: receipt.gasUsed.toNumber(),
+            effectiveGasPrice: effectiveGasPrice.toString(),
+            txFee: effectiveGasPrice.mul(receipt.gasUsed).toString(),
+            mintFee: effectiveGasPrice.mul(manifest.gasMintingFees[tokenId]).toString()
+        });
+    }
+}
+
+function getOwners(transfers) {
+    const owners = {};
+    [...transfers]
+        .sort((a, b) => a.blockNumber - b.blockNumber || a.logIndex - b.logIndex)
+        .forEach((transfer) => (owners[transfer.tokenId] = transfer.to));
+    return owners;
+}
+
+function sameAddress(a, b) {
+    return a.toLowerCase() === b.toLowerCase();
+}
@@ -0,0 +1,769 @@
+const jpegParser = require("./jpegParser.js");
+const { naturalOrder } = require("./jpegEncoder.js");
+
+// Baseline and progressive JPEG decoder, the counterpart of jpegEncoder.js. Entropy decoding follows
+// jdhuff.c/jdphuff.c and pixels are rebuilt with libjpeg(-turbo) integer arithmetic (islow IDCT and
+// fixed-point YCbCr to RGB) so they match "djpeg -dct int". Subsampled chroma is replicated.
+
+const CONST_BITS = 13;
+const PASS1_BITS = 2;
+const FIX_0_298631336 = 2446;
+const FIX_0_390180644 = 3196;
+const FIX_0_541196100 = 4433;
+const FIX_0_765366865 = 6270;
+const FIX_0_899976223 = 7373;
+const FIX_1_175875602 = 9633;
+const FIX_1_501321110 = 12299;
+const FIX_1_847759065 = 15137;
+const FIX_1_961570560 = 16069;
+const FIX_2_053119869 = 16819;
+const FIX_2_562915447 = 20995;
+const FIX_3_072711026 = 25172;
+
+// Lookup tables of jdcolor.c build_ycc_rgb_table()
+const SCALEBITS = 16;
+const ONE_HALF = 1 << (SCALEBITS - 1);
+const FIX = (x) => Math.floor(x * (1 << SCALEBITS) + 0.5);
+const crRTab = new Int32Array(256);
+const cbBTab = new Int32Array(256);
+const crGTab = new Int32Array(256);
+const cbGTab = new Int32Array(256);
+for (let i = 0; i < 256; i++) {
+    const x = i - 128;
+    crRTab[i] = (FIX(1.402) * x + ONE_HALF) >> SCALEBITS;
+    cbBTab[i] = (FIX(1.772) * x + ONE_HALF) >> SCALEBITS;
+    crGTab[i] = -FIX(0.71414) * x;
+    cbGTab[i] = -FIX(0.34414) * x + ONE_HALF;
+}
+
+module.exports = {
+    // Quantized DCT coefficients of a JPEG: { width, height, progressive, quantTables, components }
+    // where every component is { id, h, v, tq, widthInBlocks, heightInBlocks, blocksPerLine,
+    // blocksPerColumn, coefs, coefBits }. coefs hold one block of 64 values (natural order) after
+    // another, including the blocks that pad the last MCUs, and coefBits the point transform (Al) of
+    // the last scan of each zig-zag coefficient, -1 before its first scan, as libjpeg tracks them.
+    // onScan(coefficients, scanIndex) is called after every scan with the coefficients decoded so
+    // far, which is what a viewer shows when the file stops after that scan.
+    decodeCoefficients: function (buf, onScan) {
+        const { frame, tables, scans } = jpegParser.parseJPEG(buf);
+        if (frame.precision !== 8) throw new Error(`${frame.precision}-bit JPEGs are not supported`);
+        if (![0xc0, 0xc1, 0xc2].includes(frame.marker))
+            throw new Error("Only Huffman coded baseline and progressive JPEGs are supported");
+        if (frame.width === 0 || frame.height === 0) throw new Error("Invalid image size");
+
+        const hMax = Math.max(...frame.components.map((comp) => comp.h));
+        const vMax = Math.max(...frame.components.map((comp) => comp.v));
+        const mcusPerLine = Math.ceil(frame.width / (8 * hMax));
+        const mcusPerColumn = Math.ceil(frame.height / (8 * vMax));
+
+        const coefficients = {
+            width: frame.width,
+            height: frame.height,
+            progressive: frame.progressive,
+            quantTables: [],
+            components: frame.components.map(({ id, h, v, tq }) => {
+                const blocksPerLine = mcusPerLine * h;
+                const blocksPerColumn = mcusPerColumn * v;
+                return {
+                    id,
+                    h,
+                    v,
+                    tq,
+                    widthInBlocks: Math.ceil(Math.ceil((frame.width * h) / hMax) / 8),
+                    heightInBlocks: Math.ceil(Math.ceil((frame.height * v) / vMax) / 8),
+                    blocksPerLine,
+                    blocksPerColumn,
+                    coefs: new Int16Array(blocksPerLine * blocksPerColumn * 64),
+                    coefBits: new Int8Array(64).fill(-1)
+                };
+            })
+        };
+
+        const huffmanTables = { 0: [], 1: [] };
+        let restartInterval = 0;
+        const setTables = (table) => {
+            if (table.quantTables) {
+                table.quantTables.forEach(({ id, values }) => {
+                    const natural = new Int32Array(64);
+                    values.forEach((value, k) => (natural[naturalOrder[k]] = value));
+                    coefficients.quantTables[id] = natural;
+                });
+            }
+            if (table.huffmanTables) {
+                table.huffmanTables.forEach((huff) => (huffmanTables[huff.class][huff.id] = buildHuffmanTable(huff)));
+            }
+            if (table.restartInterval !== undefined) restartInterval = table.restartInterval;
+        };
+        tables.forEach(setTables);
+
+        const frameInfo = { hMax, vMax, mcusPerLine, mcusPerColumn, progressive: frame.progressive };
+        scans.forEach((scan, ind) => {
+            scan.tables.forEach(setTables);
+            decodeScan(buf, scan, coefficients, frameInfo, huffmanTables, restartInterval, ind);
+            if (onScan) onScan(coefficients, ind);
+        });
+
+        return coefficients;
+    },
+
+    // Samples of every component before color conversion: { width, height, stride, data } where
+    // width and height are the component's own (smaller for subsampled chroma) and stride is the
+    // length of a row of data, which includes the padding blocks. Like libjpeg, unfinished
+    // progressive images get block smoothing unless blockSmoothing is false.
+    renderPlanes: function ({ width, height, progressive, quantTables, components }, { blockSmoothing = true } = {}) {
+        const hMax = Math.max(...components.map((comp) => comp.h));
+        const vMax = Math.max(...components.map((comp) => comp.v));
+
+        const quants = components.map((comp) => {
+            const quant = quantTables[comp.tq];
+            if (quant === undefined) throw new Error(`Missing quantization table ${comp.tq}`);
+            return quant;
+        });
+        const smoothing = blockSmoothing && progressive && smoothingUseful(components, quants);
+
+        return components.map((comp, c) => ({
+            width: Math.ceil((width * comp.h) / hMax),
+            height: Math.ceil((height * comp.v) / vMax),
+            stride: comp.blocksPerLine * 8,
+            data: inverseDCT(comp, quants[c], smoothing)
+        }));
+    },
+
+    // Pixels of decoded coefficients: { width, height, data (RGB) }, same layout readImage returns.
+    // Grayscale images are expanded to RGB. options go to renderPlanes.
+    renderImage: function (coefficients, options) {
+        const { width, height, components } = coefficients;
+        if (components.length !== 1 && components.length !== 3) {
+            throw new Error(`${components.length}-component JPEGs are not supported`);
+        }
+
+        const hMax = Math.max(...components.map((comp) => comp.h));
+        const vMax = Math.max(...components.map((comp) => comp.v));
+        const planes = module.exports.renderPlanes(coefficients, options).map((plane) => plane.data);
+
+        // Sample of each component for every pixel column and row
+        const columns = components.map((comp) => {
+            const cols = new Int32Array(width);
+            for (let x = 0; x < width; x++) cols[x] = Math.floor((x * comp.h) / hMax);
+            return cols;
+        });
+        const rowOffsets = (comp, y) => Math.floor((y * comp.v) / vMax) * comp.blocksPerLine * 8;
+
+        const data = new Uint8Array(width * height * 3);
+        for (let y = 0; y < height; y++) {
+            if (components.length === 1) {
+                const row = rowOffsets(components[0], y);
+                for (let x = 0; x < width; x++) {
+                    const gray = planes[0][row + columns[0][x]];
+                    const out = (y * width + x) * 3;
+                    data[out] = gray;
+                    data[out + 1] = gray;
+                    data[out + 2] = gray;
+                }
+                continue;
+            }
+
+            const rows = components.map((comp) => rowOffsets(comp, y));
+            for (let x = 0; x < width; x++) {
+                const luma = planes[0][rows[0] + columns[0][x]];
+                const cb = planes[1][rows[1] + columns[1][x]];
+                const cr = planes[2][rows[2] + columns[2][x]];
+                const out = (y * width + x) * 3;
+                data[out] = clamp(luma + crRTab[cr]);
+                data[out + 1] = clamp(luma + ((cbGTab[cb] + crGTab[cr]) >> SCALEBITS));
+                data[out + 2] = clamp(luma + cbBTab[cb]);
+            }
+        }
+
+        return { width, height, data };
+    },
+
+    decodeJPEG: function (buf) {
+        return module.exports.renderImage(module.exports.decodeCoefficients(buf));
+    }
+};
+
+function clamp(value) {
+    return value < 0 ? 0 : value > 255 ? 255 : value;
+}
+
+// Canonical Huffman codes of a DHT table, decoded one length at a time like jdhuff.c
+function buildHuffmanTable({ bits, huffval }) {
+    const maxcode = new Int32Array(17).fill(-1);
+    const valoffset = new Int32Array(17);
+    let code = 0;
+    let count = 0;
+    for (let length = 1; length <= 16; length++) {
+        valoffset[length] = count - code;
+        code += bits[length - 1];
+        count += bits[length - 1];
+        if (bits[length - 1] > 0) maxcode[length] = code - 1;
+        code <<= 1;
+    }
+    return { maxcode, valoffset, huffval };
+}
+
+// MSB-first bit reading that removes byte stuffing. Once a marker is reached it feeds zeros, as
+// libjpeg does for truncated data.
+class BitReader {
+    constructor(buf, offset, end) {
+        this.buf = buf;
+        this.pos = offset;
+        this.end = end;
+        this.acc = 0;
+        this.nbits = 0;
+    }
+
+    bit() {
+        if (this.nbits === 0) {
+            this.acc = this.nextByte();
+            this.nbits = 8;
+        }
+        this.nbits--;
+        return (this.acc >> this.nbits) & 1;
+    }
+
+    nextByte() {
+        if (this.pos >= this.end) return 0;
+        const byte = this.buf[this.pos];
+        if (byte !== 0xff) {
+            this.pos++;
+            return byte;
+        }
+        if (this.buf[this.pos + 1] === 0x00) {
+            this.pos += 2;
+            return 0xff;
+        }
+        return 0;
+    }
+
+    receive(length) {
+        let value = 0;
+        for (let i = 0; i < length; i++) value = (value << 1) | this.bit();
+        return value;
+    }
+
+    // F.2.2.1 EXTEND of a length-bit value
+    receiveExtend(length) {
+        if (length === 0) return 0;
+        const value = this.receive(length);
+        return value < 1 << (length - 1) ? value - (1 << length) + 1 : value;
+    }
+
+    decode({ maxcode, valoffset, huffval }) {
+        let code = 0;
+        for (let length = 1; length <= 16; length++) {
+            code = (code << 1) | this.bit();
+            if (code <= maxcode[length]) return huffval[code + valoffset[length]];
+        }
+        throw new Error(`Invalid Huffman code at offset ${this.pos}`);
+    }
+
+    // Drops the bits left in the current byte and skips the RSTn marker if it is there
+    restart() {
+        this.nbits = 0;
+        if (this.buf[this.pos] === 0xff) {
+            let pos = this.pos + 1;
+            while (this.buf[pos] === 0xff) pos++;
+            if (this.buf[pos] >= 0xd0 && this.buf[pos] <= 0xd7) this.pos = pos + 1;
+        }
+    }
+}
+
+function decodeScan(buf, scan, coefficients, frameInfo, huffmanTables, restartInterval, ind) {
+    const { Ss, Se, Ah, Al } = scan;
+    if (frameInfo.progressive) {
+        if (Se > 63 || Ss > Se || (Ss === 0 && Se !== 0) || (Ss > 0 && scan.components.length !== 1)) {
+            throw new Error(`Scan ${ind}: invalid spectral selection ${Ss}-${Se}`);
+        }
+    } else if (Ss !== 0 || Se !== 63 || Ah !== 0 || Al !== 0) {
+        throw new Error(`Scan ${ind}: invalid sequential scan parameters`);
+    }
+
+    const getTable = (tableClass, id) => {
+        const table = huffmanTables[tableClass][id];
+        if (table === undefined)
+            throw new Error(`Scan ${ind}: missing ${tableClass ? "AC" : "DC"} Huffman table ${id}`);
+        return table;
+    };
+    const needsDC = Ss === 0 && Ah === 0;
+    const needsAC = Se > 0;
+    const scanComponents = scan.components.map(({ index, td, ta }) => ({
+        comp: coefficients.components[index],
+        dcTable: needsDC ? getTable(0, td) : undefined,
+        acTable: needsAC ? getTable(1, ta) : undefined,
+        pred: 0
+    }));
+
+    const reader = new BitReader(buf, scan.dataOffset, scan.dataEnd);
+    const state = { eobrun: 0 };
+    let decodeBlock;
+    if (!frameInfo.progressive) decodeBlock = decodeBaseline;
+    else if (Ss === 0) decodeBlock = Ah === 0 ? decodeDCFirst : decodeDCRefine;
+    else decodeBlock = Ah === 0 ? decodeACFirst : decodeACRefine;
+
+    // Non-interleaved scans cover the blocks of the component's own size, interleaved ones whole MCUs
+    let mcus, blocksOf;
+    if (scanComponents.length === 1) {
+        const { comp } = scanComponents[0];
+        const width = Math.ceil(Math.ceil((coefficients.width * comp.h) / frameInfo.hMax) / 8);
+        const height = Math.ceil(Math.ceil((coefficients.height * comp.v) / frameInfo.vMax) / 8);
+        mcus = width * height;
+        blocksOf = (mcu, visit) => {
+            const row = Math.floor(mcu / width);
+            visit(scanComponents[0], (row * comp.blocksPerLine + (mcu - row * width)) * 64);
+        };
+    } else {
+        mcus = frameInfo.mcusPerLine * frameInfo.mcusPerColumn;
+        blocksOf = (mcu, visit) => {
+            const mcuRow = Math.floor(mcu / frameInfo.mcusPerLine);
+            const mcuCol = mcu - mcuRow * frameInfo.mcusPerLine;
+            scanComponents.forEach((scanComp) => {
+                const { comp } = scanComp;
+                for (let y = 0; y < comp.v; y++) {
+                    for (let x = 0; x < comp.h; x++) {
+                        const row = mcuRow * comp.v + y;
+                        visit(scanComp, (row * comp.blocksPerLine + mcuCol * comp.h + x) * 64);
+                    }
+                }
+            });
+        };
+    }
+
+    if (frameInfo.progressive) {
+        scanComponents.forEach(({ comp }) => comp.coefBits.fill(Al, Ss, Se + 1));
+    }
+
+    const visit = (scanComp, offset) => decodeBlock(reader, scan, scanComp, scanComp.comp.coefs, offset, state);
+    for (let mcu = 0; mcu < mcus; mcu++) {
+        if (restartInterval > 0 && mcu > 0 && mcu % restartInterval === 0) {
+            reader.restart();
+            scanComponents.forEach((scanComp) => (scanComp.pred = 0));
+            state.eobrun = 0;
+        }
+        blocksOf(mcu, visit);
+    }
+}
+
+function decodeBaseline(reader, scan, scanComp, coefs, offset) {
+    scanComp.pred += reader.receiveExtend(reader.decode(scanComp.dcTable));
+    coefs[offset] = scanComp.pred;
+
+    for (let k = 1; k <= 63; k++) {
+        const rs = reader.decode(scanComp.acTable);
+        const r = rs >> 4;
+        const s = rs & 15;
+        if (s) {
+            k += r;
+            coefs[offset + naturalOrder[k]] = reader.receiveExtend(s);
+        } else if (r === 15) {
+            k += 15;
+        } else {
+            break;
+        }
+    }
+}
+
+// jdphuff.c decode_mcu_DC_first()
+function decodeDCFirst(reader, scan, scanComp, coefs, offset) {
+    scanComp.pred += reader.receiveExtend(reader.decode(scanComp.dcTable));
+    coefs[offset] = scanComp.pred * (1 << scan.Al);
+}
+
+// jdphuff.c decode_mcu_DC_refine()
+function decodeDCRefine(reader, scan, scanComp, coefs, offset) {
+    if (reader.bit()) coefs[offset] |= 1 << scan.Al;
+}
+
+// jdphuff.c decode_mcu_AC_first()
+function decodeACFirst(reader, { Ss, Se, Al }, scanComp, coefs, offset, state) {
+    if (state.eobrun > 0) {
+        state.eobrun--;
+        return;
+    }
+
+    for (let k = Ss; k <= Se; k++) {
+        const rs = reader.decode(scanComp.acTable);
+        const r = rs >> 4;
+        const s = rs & 15;
+        if (s) {
+            k += r;
+            coefs[offset + naturalOrder[k]] = reader.receiveExtend(s) * (1 << Al);
+        } else if (r === 15) {
+            k += 15;
+        } else {
+            state.eobrun = 1 << r;
+            if (r) state.eobrun += reader.receive(r);
+            state.eobrun--;
+            break;
+        }
+    }
+}
+
+// jdphuff.c decode_mcu_AC_refine(): one correction bit per nonzero coefficient, new coefficients
+// are +-1 at this bit position
+function decodeACRefine(reader, { Ss, Se, Al }, scanComp, coefs, offset, state) {
+    const p1 = 1 << Al;
+    const m1 = -1 * (1 << Al);
+
+    const refine = (pos) => {
+        const coef = coefs[pos];
+        if (reader.bit() && (coef & p1) === 0) coefs[pos] = coef >= 0 ? coef + p1 : coef + m1;
+    };
+
+    let k = Ss;
+    if (state.eobrun === 0) {
+        for (; k <= Se; k++) {
+            const rs = reader.decode(scanComp.acTable);
+            let r = rs >> 4;
+            let s = rs & 15;
+            if (s) {
+                if (s !== 1) throw new Error(`Invalid AC refinement value at offset ${reader.pos}`);
+                s = reader.bit() ? p1 : m1;
+            } else if (r !== 15) {
+                state.eobrun = 1 << r;
+                if (r) state.eobrun += reader.receive(r);
+                break;
+            }
+
+            // Skips r zero coefficients, refining the nonzero ones on the way
+            do {
+                const pos = offset + naturalOrder[k];
+                if (coefs[pos] !== 0) refine(pos);
+                else if (--r < 0) break;
+                k++;
+            } while (k <= Se);
+
+            if (s) coefs[offset + naturalOrder[k]] = s;
+        }
+    }
+
+    if (state.eobrun > 0) {
+        for (; k <= Se; k++) {
+            const pos = offset + naturalOrder[k];
+            if (coefs[pos] !== 0) refine(pos);
+        }
+        state.eobrun--;
+    }
+}
+
+// Dequantizes every block of a component and returns its samples, blocksPerLine * 8 wide
+function inverseDCT(comp, quant, smoothing) {
+    const { blocksPerLine, blocksPerColumn, coefs } = comp;
+    const stride = blocksPerLine * 8;
+    const plane = new Uint8Array(stride * blocksPerColumn * 8);
+    const workspace = new Int32Array(64);
+    const smoothed = new Int16Array(64);
+    const smoother = smoothing ? blockSmoother(comp, quant) : undefined;
+
+    for (let by = 0; by < blocksPerColumn; by++) {
+        for (let bx = 0; bx < blocksPerLine; bx++) {
+            const outOffset = by * 8 * stride + bx * 8;
+            if (smoother && bx < comp.widthInBlocks && by < comp.heightInBlocks) {
+                smoother(bx, by, smoothed);
+                idctIslow(smoothed, 0, quant, workspace, plane, outOffset, stride);
+            } else {
+                idctIslow(coefs, (by * blocksPerLine + bx) * 64, quant, workspace, plane, outOffset, stride);
+            }
+        }
+    }
+
+    return plane;
+}
+
+// smoothing_ok() of libjpeg-turbo's jdcoefct.c: every DC must have been sent and some of the first
+// 9 AC coefficients must still be missing or approximate
+function smoothingUseful(components, quants) {
+    let useful = false;
+    for (let c = 0; c < components.length; c++) {
+        const { coefBits } = components[c];
+        if (smoothingPositions.some((pos) => quants[c][pos] === 0)) return false;
+        if (coefBits[0] < 0) return false;
+        for (let k = 1; k < 10; k++) if (coefBits[k] !== 0) useful = true;
+    }
+    return useful;
+}
+
+// Natural positions of the first 10 zig-zag coefficients: Q00 Q01 Q10 Q20 Q11 Q02 Q03 Q12 Q21 Q30
+const smoothingPositions = [0, 1, 8, 16, 9, 2, 3, 10, 17, 24];
+
+// decompress_smooth_data() of libjpeg-turbo's jdcoefct.c. Returns a function that copies a block into
+// out, estimating its missing low frequency coefficients from the DC values of the 5x5 blocks around
+// it. When no AC coefficient has been sent at all, the DC is interpolated too.
+function blockSmoother({ widthInBlocks, heightInBlocks, blocksPerLine, coefs, coefBits }, quant) {
+    const [Q00, Q01, Q10, Q20, Q11, Q02, Q03, Q12, Q21, Q30] = smoothingPositions.map((pos) => quant[pos]);
+    let changeDC = true;
+    for (let k = 1; k < 10; k++) if (coefBits[k] !== -1) changeDC = false;
+
+    // Prediction of a coefficient quantized by q, limited to the bits that are still unknown
+    const predict = (num, q, Al) => {
+        let pred = Math.floor(((q << 7) + Math.abs(num)) / (q << 8));
+        if (Al > 0 && pred >= 1 << Al) pred = (1 << Al) - 1;
+        return num >= 0 ? pred : -pred;
+    };
+
+    // DC[row][col] of the blocks 2 rows and columns around, edges replicated
+    const dc = [0, 1, 2, 3, 4].map(() => new Int32Array(5));
+
+    return (bx, by, out) => {
+        for (let i = 0; i < 5; i++) {
+            const row = Math.min(Math.max(by + i - 2, 0), heightInBlocks - 1);
+            for (let j = 0; j < 5; j++) {
+                const col = Math.min(Math.max(bx + j - 2, 0), widthInBlocks - 1);
+                dc[i][j] = coefs[(row * blocksPerLine + col) * 64];
+            }
+        }
+        const [[DC01, DC02, DC03, DC04, DC05], [DC06, DC07, DC08, DC09, DC10]] = dc;
+        const [DC11, DC12, DC13, DC14, DC15] = dc[2];
+        const [[DC16, DC17, DC18, DC19, DC20], [DC21, DC22, DC23, DC24, DC25]] = dc.slice(3);
+
+        const offset = (by * blocksPerLine + bx) * 64;
+        for (let k = 0; k < 64; k++) out[k] = coefs[offset + k];
+
+        // AC01
+        if (coefBits[1] !== 0 && out[1] === 0) {
+            const num = changeDC
+                ? -DC01 -
+                  DC02 +
+                  DC04 +
+                  DC05 -
+                  3 * DC06 +
+                  13 * DC07 -
+                  13 * DC09 +
+                  3 * DC10 -
+                  3 * DC11 +
+                  38 * DC12 -
+                  38 * DC14 +
+                  3 * DC15 -
+                  3 * DC16 +
+                  13 * DC17 -
+                  13 * DC19 +
+                  3 * DC20 -
+                  DC21 -
+                  DC22 +
+                  DC24 +
+                  DC25
+                : -7 * DC11 + 50 * DC12 - 50 * DC14 + 7 * DC15;
+            out[1] = predict(Q00 * num, Q01, coefBits[1]);
+        }
+        // AC10
+        if (coefBits[2] !== 0 && out[8] === 0) {
+            const num = changeDC
+                ? -DC01 -
+                  3 * DC02 -
+                  3 * DC03 -
+                  3 * DC04 -
+                  DC05 -
+                  DC06 +
+                  13 * DC07 +
+                  38 * DC08 +
+                  13 * DC09 -
+                  DC10 +
+                  DC16 -
+                  13 * DC17 -
+                  38 * DC18 -
+                  13 * DC19 +
+                  DC20 +
+                  DC21 +
+                  3 * DC22 +
+                  3 * DC23 +
+                  3 * DC24 +
+                  DC25
+                : -7 * DC03 + 50 * DC08 - 50 * DC18 + 7 * DC23;
+            out[8] = predict(Q00 * num, Q10, coefBits[2]);
+        }
+        // AC20
+        if (coefBits[3] !== 0 && out[16] === 0) {
+            const num = changeDC
+                ? DC03 +
+                  2 * DC07 +
+                  7 * DC08 +
+                  2 * DC09 -
+                  5 * DC12 -
+                  14 * DC13 -
+                  5 * DC14 +
+                  2 * DC17 +
+                  7 * DC18 +
+                  2 * DC19 +
+                  DC23
+                : -DC03 + 13 * DC08 - 24 * DC13 + 13 * DC18 - DC23;
+            out[16] = predict(Q00 * num, Q20, coefBits[3]);
+        }
+        // AC11
+        if (coefBits[4] !== 0 && out[9] === 0) {
+            const num = changeDC
+                ? -DC01 + DC05 + 9 * DC07 - 9 * DC09 - 9 * DC17 + 9 * DC19 + DC21 - DC25
+                : DC10 + DC16 - 10 * DC17 + 10 * DC19 - DC02 - DC20 + DC22 - DC24 + DC04 - DC06 + 10 * DC07 - 10 * DC09;
+            out[9] = predict(Q00 * num, Q11, coefBits[4]);
+        }
+        // AC02
+        if (coefBits[5] !== 0 && out[2] === 0) {
+            const num = changeDC
+                ? 2 * DC07 -
+                  5 * DC08 +
+                  2 * DC09 +
+                  DC11 +
+                  7 * DC12 -
+                  14 * DC13 +
+                  7 * DC14 +
+                  DC15 +
+                  2 * DC17 -
+                  5 * DC18 +
+                  2 * DC19
+                : -DC11 + 13 * DC12 - 24 * DC13 + 13 * DC14 - DC15;
+            out[2] = predict(Q00 * num, Q02, coefBits[5]);
+        }
+
+        if (changeDC) {
+            // AC03, AC12, AC21 and AC30
+            if (coefBits[6] !== 0 && out[3] === 0) {
+                out[3] = predict(Q00 * (DC07 - DC09 + 2 * DC12 - 2 * DC14 + DC17 - DC19), Q03, coefBits[6]);
+            }
+            if (coefBits[7] !== 0 && out[10] === 0) {
+                out[10] = predict(Q00 * (DC07 - 3 * DC08 + DC09 - DC17 + 3 * DC18 - DC19), Q12, coefBits[7]);
+            }
+            if (coefBits[8] !== 0 && out[17] === 0) {
+                out[17] = predict(Q00 * (DC07 - DC09 - 3 * DC12 + 3 * DC14 + DC17 - DC19), Q21, coefBits[8]);
+            }
+            if (coefBits[9] !== 0 && out[24] === 0) {
+                out[24] = predict(Q00 * (DC07 + 2 * DC08 + DC09 - DC17 - 2 * DC18 - DC19), Q30, coefBits[9]);
+            }
+
+            const num =
+                -2 * DC01 -
+                6 * DC02 -
+                8 * DC03 -
+                6 * DC04 -
+                2 * DC05 -
+                6 * DC06 +
+                6 * DC07 +
+                42 * DC08 +
+                6 * DC09 -
+                6 * DC10 -
+                8 * DC11 +
+                42 * DC12 +
+                152 * DC13 +
+                42 * DC14 -
+                8 * DC15 -
+                6 * DC16 +
+                6 * DC17 +
+                42 * DC18 +
+                6 * DC19 -
+                6 * DC20 -
+                2 * DC21 -
+                6 * DC22 -
+                8 * DC23 -
+                6 * DC24 -
+                2 * DC25;
+            out[0] = predict(Q00 * num, Q00, 0);
+        }
+    };
+}
+
+// Port of libjpeg's jidctint.c (slow-but-accurate integer IDCT), output level shifted and clamped
+function idctIslow(coefs, offset, quant, ws, out, outOffset, stride) {
+    // Pass 1: columns, results scaled up by 2^PASS1_BITS
+    for (let col = 0; col < 8; col++) {
+        const i = offset + col;
+        if (
+            coefs[i + 8] === 0 &&
+            coefs[i + 16] === 0 &&
+            coefs[i + 24] === 0 &&
+            coefs[i + 32] === 0 &&
+            coefs[i + 40] === 0 &&
+            coefs[i + 48] === 0 &&
+            coefs[i + 56] === 0
+        ) {
+            const dcval = (coefs[i] * quant[col]) << PASS1_BITS;
+            for (let row = 0; row < 8; row++) ws[row * 8 + col] = dcval;
+            continue;
+        }
+
+        let z2 = coefs[i + 16] * quant[col + 16];
+        let z3 = coefs[i + 48] * quant[col + 48];
+        let z1 = (z2 + z3) * FIX_0_541196100;
+        let tmp2 = z1 + z3 * -FIX_1_847759065;
+        let tmp3 = z1 + z2 * FIX_0_765366865;
+
+        z2 = coefs[i] * quant[col];
+        z3 = coefs[i + 32] * quant[col + 32];
+        let tmp0 = (z2 + z3) << CONST_BITS;
+        let tmp1 = (z2 - z3) << CONST_BITS;
+
+        const tmp10 = tmp0 + tmp3;
+        const tmp13 = tmp0 - tmp3;
+        const tmp11 = tmp1 + tmp2;
+        const tmp12 = tmp1 - tmp2;
+
+        tmp0 = coefs[i + 56] * quant[col + 56];
+        tmp1 = coefs[i + 40] * quant[col + 40];
+        tmp2 = coefs[i + 24] * quant[col + 24];
+        tmp3 = coefs[i + 8] * quant[col + 8];
+
+        [tmp0, tmp1, tmp2, tmp3] = oddPart(tmp0, tmp1, tmp2, tmp3);
+
+        const shift = CONST_BITS - PASS1_BITS;
+        const round = 1 << (shift - 1);
+        ws[col] = (tmp10 + tmp3 + round) >> shift;
+        ws[56 + col] = (tmp10 - tmp3 + round) >> shift;
+        ws[8 + col] = (tmp11 + tmp2 + round) >> shift;
+        ws[48 + col] = (tmp11 - tmp2 + round) >> shift;
+        ws[16 + col] = (tmp12 + tmp1 + round) >> shift;
+        ws[40 + col] = (tmp12 - tmp1 + round) >> shift;
+        ws[24 + col] = (tmp13 + tmp0 + round) >> shift;
+        ws[32 + col] = (tmp13 - tmp0 + round) >> shift;
+    }
+
+    // Pass 2: rows, removing the PASS1_BITS scaling and the factor of 8
+    const shift = CONST_BITS + PASS1_BITS + 3;
+    const round = 1 << (shift - 1);
+    for (let row = 0; row < 8; row++) {
+        const w = row * 8;
+        const o = outOffset + row * stride;
+
+        let z2 = ws[w + 2];
+        let z3 = ws[w + 6];
+        const z1 = (z2 + z3) * FIX_0_541196100;
+        let tmp2 = z1 + z3 * -FIX_1_847759065;
+        let tmp3 = z1 + z2 * FIX_0_765366865;
+
+        let tmp0 = (ws[w] + ws[w + 4]) << CONST_BITS;
+        let tmp1 = (ws[w] - ws[w + 4]) << CONST_BITS;
+
+        const tmp10 = tmp0 + tmp3;
+        const tmp13 = tmp0 - tmp3;
+        const tmp11 = tmp1 + tmp2;
+        const tmp12 = tmp1 - tmp2;
+
+        [tmp0, tmp1, tmp2, tmp3] = oddPart(ws[w + 7], ws[w + 5], ws[w + 3], ws[w + 1]);
+
+        out[o] = clamp(((tmp10 + tmp3 + round) >> shift) + 128);
+        out[o + 7] = clamp(((tmp10 - tmp3 + round) >> shift) + 128);
+        out[o + 1] = clamp(((tmp11 + tmp2 + round) >> shift) + 128);
+        out[o + 6] = clamp(((tmp11 - tmp2 + round) >> shift) + 128);
+        out[o + 2] = clamp(((tmp12 + tmp1 + round) >> shift) + 128);
+        out[o + 5] = clamp(((tmp12 - tmp1 + round) >> shift) + 128);
+        out[o + 3] = clamp(((tmp13 + tmp0 + round) >> shift) + 128);
+        out[o + 4] = clamp(((tmp13 - tmp0 + round) >> shift) + 128);
+    }
+}
+
+// Odd part of both passes, inputs are the values at rows (or columns) 7, 5, 3 and 1
+function oddPart(tmp0, tmp1, tmp2, tmp3) {
+    let z1 = tmp0 + tmp3;
+    let z2 = tmp1 + tmp2;
+    let z3 = tmp0 + tmp2;
+    let z4 = tmp1 + tmp3;
+    const z5 = (z3 + z4) * FIX_1_175875602;
+
+    tmp0 *= FIX_0_298631336;
+    tmp1 *= FIX_2_053119869;
+    tmp2 *= FIX_3_072711026;
+    tmp3 *= FIX_1_501321110;
+    z1 *= -FIX_0_899976223;
+    z2 *= -FIX_2_562915447;
+    z3 = z3 * -FIX_1_961570560 + z5;
+    z4 = z4 * -FIX_0_390180644 + z5;
+
+    return [tmp0 + z1 + z3, tmp1 + z2 + z4, tmp2 + z2 + z3, tmp3 + z1 + z4];
+}
@@ -0,0 +1,875 @@
+const zlib = require("zlib");
+
+// In-process replacement for "cjpeg -quality Q -optimize -progressive -sample 1x1 -scans <script>".
+// Every stage follows libjpeg(-turbo) integer arithmetic (color conversion, islow DCT, quantization,
+// optimal Huffman tables and progressive entropy coding) so the output matches the native encoder.
+
+// Annex K tables, scaled by quality like jpeg_set_quality() does
+const stdLuminanceQuantTbl = [
+    16, 11, 10, 16, 24, 40, 51, 61, 12, 12, 14, 19, 26, 58, 60, 55, 14, 13, 16, 24, 40, 57, 69, 56, 14, 17, 22, 29, 51,
+    87, 80, 62, 18, 22, 37, 56, 68, 109, 103, 77, 24, 35, 55, 64, 81, 104, 113, 92, 49, 64, 78, 87, 103, 121, 120, 101,
+    72, 92, 95, 98, 112, 100, 103, 99
+];
+const stdChrominanceQuantTbl = [
+    17, 18, 24, 47, 99, 99, 99, 99, 18, 21, 26, 66, 99, 99, 99, 99, 24, 26, 56, 99, 99, 99, 99, 99, 47, 66, 99, 99, 99,
+    99, 99, 99, 99, 99, 99, 99, 99, 99, 99, 99, 99, 99, 99, 99, 99, 99, 99, 99, 99, 99, 99, 99, 99, 99, 99, 99, 99, 99,
+    99, 99, 99, 99, 99, 99
+];
+
+// Zig-zag index to natural (row-major) index
+const naturalOrder = [
+    0, 1, 8, 16, 9, 2, 3, 10, 17, 24, 32, 25, 18, 11, 4, 5, 12, 19, 26, 33, 40, 48, 41, 34, 27, 20, 13, 6, 7, 14, 21,
+    28, 35, 42, 49, 56, 57, 50, 43, 36, 29, 22, 15, 23, 30, 37, 44, 51, 58, 59, 52, 45, 38, 31, 39, 46, 53, 60, 61, 54,
+    47, 55, 62, 63
+];
+
+// Component ids, sampling and table numbers written by libjpeg for YCbCr
+const components = [
+    { id: 1, quantTbl: 0, dcTbl: 0, acTbl: 0 },
+    { id: 2, quantTbl: 1, dcTbl: 1, acTbl: 1 },
+    { id: 3, quantTbl: 1, dcTbl: 1, acTbl: 1 }
+];
+
+const MAX_CORR_BITS = 1000;
+
+module.exports = {
+    naturalOrder: naturalOrder,
+
+    // Returns the luminance and chrominance quantization tables (natural order) for a given quality
+    getQuantTables: function (quality = 85) {
+        quality = Math.min(Math.max(quality, 1), 100);
+        const scale = quality < 50 ? Math.floor(5000 / quality) : 200 - quality * 2;
+
+        return [stdLuminanceQuantTbl, stdChrominanceQuantTbl].map((basic) =>
+            basic.map((value) => Math.min(Math.max(Math.floor((value * scale + 50) / 100), 1), 255))
+        );
+    },
+
+    // Reads 8, 24 and 32 bit uncompressed BMPs into { width, height, data (RGB), density }
+    readBMP: function (buf) {
+        if (buf.toString("ascii", 0, 2) !== "BM") throw new Error("Not a BMP file");
+
+        const dataOffset = buf.readUInt32LE(10);
+        const headerSize = buf.readUInt32LE(14);
+        const isCore = headerSize === 12;
+        const width = isCore ? buf.readUInt16LE(18) : buf.readInt32LE(18);
+        const rawHeight = isCore ? buf.readInt16LE(20) : buf.readInt32LE(22);
+        const bitCount = buf.readUInt16LE(isCore ? 24 : 28);
+        const compression = isCore ? 0 : buf.readUInt32LE(30);
+
+        if (compression !== 0 && !(compression === 3 && bitCount === 32)) {
+            throw new Error(`Compressed BMPs are not supported (compression ${compression})`);
+        }
+        if (bitCount !== 8 && bitCount !== 24 && bitCount !== 32) {
+            throw new Error(`${bitCount}-bit BMPs are not supported`);
+        }
+
+        const height = Math.abs(rawHeight);
+        const bottomUp = rawHeight > 0;
+        const stride = Math.floor((bitCount * width + 31) / 32) * 4;
+
+        const paletteOffset = 14 + headerSize;
+        const paletteEntrySize = isCore ? 3 : 4;
+
+        const data = new Uint8Array(width * height * 3);
+        for (let y = 0; y < height; y++) {
+            const row = dataOffset + (bottomUp ? height - 1 - y : y) * stride;
+            for (let x = 0; x < width; x++) {
+                const out = (y * width + x) * 3;
+                const src = bitCount === 8 ? paletteOffset + buf[row + x] * paletteEntrySize : row + x * (bitCount / 8);
+
+                // BMP pixels (and palette entries) are stored as BGR(A)
+                data[out] = buf[src + 2];
+                data[out + 1] = buf[src + 1];
+                data[out + 2] = buf[src];
+            }
+        }
+
+        // Same JFIF density cjpeg takes from the BMP header
+        let density;
+        if (!isCore) {
+            const xPelsPerMeter = buf.readInt32LE(38);
+            const yPelsPerMeter = buf.readInt32LE(42);
+            if (xPelsPerMeter > 0 && yPelsPerMeter > 0) {
+                density = { unit: 2, x: Math.floor(xPelsPerMeter / 100), y: Math.floor(yPelsPerMeter / 100) };
+            }
+        }
+
+        return { width, height, data, density };
+    },
+
+    // Reads non-interlaced 8/16 bit PNGs into { width, height, data (RGB) }. Alpha is dropped.
+    readPNG: function (buf) {
+        const signature = [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a];
+        if (!signature.every((byte, i) => buf[i] === byte)) throw new Error("Not a PNG file");
+
+        let width, height, bitDepth, colorType, interlace, palette;
+        const idat = [];
+        let offset = 8;
+        while (offset < buf.length) {
+            const length = buf.readUInt32BE(offset);
+            const type = buf.toString("ascii", offset + 4, offset + 8);
+            const chunk = buf.slice(offset + 8, offset + 8 + length);
+            offset += 12 + length;
+
+            if (type === "IHDR") {
+                width = chunk.readUInt32BE(0);
+                height = chunk.readUInt32BE(4);
+                bitDepth = chunk[8];
+                colorType = chunk[9];
+                interlace = chunk[12];
+            } else if (type === "PLTE") {
+                palette = chunk;
+            } else if (type === "IDAT") {
+                idat.push(chunk);
+            } else if (type === "IEND") {
+                break;
+            }
+        }
+
+        if (interlace !== 0) throw new Error("Interlaced PNGs are not supported");
+        if (bitDepth !== 8 && bitDepth !== 16) throw new Error(`${bitDepth}-bit PNGs are not supported`);
+
+        const channels = { 0: 1, 2: 3, 3: 1, 4: 2, 6: 4 }[colorType];
+        if (channels === undefined) throw new Error(`PNG color type ${colorType} is not supported`);
+        if (colorType === 3 && bitDepth !== 8) throw new Error("Palette PNGs must be 8-bit");
+
+        const bpp = (channels * bitDepth) / 8;
+        const stride = width * bpp;
+        const raw = zlib.inflateSync(Buffer.concat(idat));
+        const pixels = new Uint8Array(stride * height);
+
+        // Undo the per-row filters
+        for (let y = 0; y < height; y++) {
+            const filter = raw[y * (stride + 1)];
+            const src = y * (stride + 1) + 1;
+            const dst = y * stride;
+            for (let x = 0; x < stride; x++) {
+                const a = x >= bpp ? pixels[dst + x - bpp] : 0;
+                const b = y > 0 ? pixels[dst - stride + x] : 0;
+                const c = x >= bpp && y > 0 ? pixels[dst - stride + x - bpp] : 0;
+                let predictor;
+                switch (filter) {
+                    case 0:
+                        predictor = 0;
+                        break;
+                    case 1:
+                        predictor = a;
+                        break;
+                    case 2:
+                        predictor = b;
+                        break;
+                    case 3:
+                        predictor = (a + b) >> 1;
+                        break;
+                    case 4: {
+                        const p = a + b - c;
+                        const pa = Math.abs(p - a);
+                        const pb = Math.abs(p - b);
+                        const pc = Math.abs(p - c);
+                        predictor = pa <= pb && pa <= pc ? a : pb <= pc ? b : c;
+                        break;
+                    }
+                    default:
+                        throw new Error(`Unknown PNG filter ${filter}`);
+                }
+                pixels[dst + x] = (raw[src + x] + predictor) & 0xff;
+            }
+        }
+
+        const data = new Uint8Array(width * height * 3);
+        const sampleSize = bitDepth / 8;
+        for (let i = 0; i < width * height; i++) {
+            const src = i * bpp;
+            if (colorType === 3) {
+                const entry = pixels[src] * 3;
+                data.set(palette.slice(entry, entry + 3), i * 3);
+            } else if (channels <= 2) {
+                data.fill(pixels[src], i * 3, i * 3 + 3);
+            } else {
+                for (let c = 0; c < 3; c++) data[i * 3 + c] = pixels[src + c * sampleSize];
+            }
+        }
+
+        return { width, height, data };
+    },
+
+    // Picks the reader from the file signature
+    readImage: function (buf) {
+        if (buf.toString("ascii", 0, 2) === "BM") return module.exports.readBMP(buf);
+        if (buf[0] === 0x89 && buf.toString("ascii", 1, 4) === "PNG") return module.exports.readPNG(buf);
+        throw new Error("Unsupported image format (expected BMP or PNG)");
+    },
+
+    // Quantized DCT coefficients of raw pixels { width, height, data, channels = 3 }. Scans are
+    // entropy coded independently from each other, so these can be reused to size scan variants.
+    computeCoefficients: function (image, quality = 85) {
+        const { width, height } = image;
+        if (!(width > 0 && height > 0 && width < 65536 && height < 65536)) {
+            throw new Error(`Invalid image size ${width}x${height}`);
+        }
+
+        const quantTables = module.exports.getQuantTables(quality);
+        return {
+            width,
+            height,
+            density: image.density,
+            quantTables,
+            nBlocks: Math.ceil(width / 8) * Math.ceil(height / 8),
+            coefs: forwardDCT(image, quantTables)
+        };
+    },
+
+    // Table segments (DHT), SOS and entropy-coded data of a single scan { components, Ss, Se, Ah, Al }
+    encodeScanSegment: function ({ coefs, nBlocks }, scan, ind = 0) {
+        scan.components.forEach((c) => {
+            if (components[c] === undefined) throw new Error(`Scan ${ind}: invalid component ${c}`);
+        });
+        if (scan.Ss === 0 && scan.Se !== 0) throw new Error(`Scan ${ind}: DC and AC cannot share a scan`);
+        if (scan.Ss > 0 && scan.components.length !== 1) {
+            throw new Error(`Scan ${ind}: AC scans must contain a single component`);
+        }
+
+        const out = new ByteWriter();
+
+        // First pass gathers symbol statistics, second one emits with the optimal tables
+        const counts = encodeScan(scan, coefs, nBlocks, null);
+        const tables = {};
+        Object.keys(counts).forEach((key) => {
+            tables[key] = genOptimalTable(counts[key]);
+            const [isAC, tbl] = key.split(":").map(Number);
+            writeDHT(out, isAC ? 0x10 + tbl : tbl, tables[key]);
+        });
+
+        // SOS
+        out.bytes([0xff, 0xda]);
+        out.uint16(6 + 2 * scan.components.length);
+        out.bytes([scan.components.length]);
+        scan.components.forEach((c) => {
+            let td = components[c].dcTbl;
+            let ta = components[c].acTbl;
+            if (scan.Ss === 0) {
+                ta = 0;
+                if (scan.Ah !== 0) td = 0;
+            } else {
+                td = 0;
+            }
+            out.bytes([components[c].id, (td << 4) | ta]);
+        });
+        out.bytes([scan.Ss, scan.Se, (scan.Ah << 4) | scan.Al]);
+
+        const bits = new BitWriter(out);
+        encodeScan(scan, coefs, nBlocks, bits, tables);
+        bits.flush();
+
+        return out.toBuffer();
+    },
+
+    // Encodes raw pixels { width, height, data, channels = 3 } into a progressive JPEG that follows
+    // the given scans ([{ components, Ss, Se, Ah, Al }], see scanScript.js).
+    encodeProgressiveJPEG: function (image, scans, { quality = 85, density } = {}) {
+        if (scans.length === 0) throw new Error("The scan script is empty");
+
+        const coefficients = module.exports.computeCoefficients(image, quality);
+        const out = new ByteWriter();
+        writeHeader(out, coefficients, density || image.density, 0xc2);
+
+        scans.forEach((scan, ind) => out.bytes(module.exports.encodeScanSegment(coefficients, scan, ind)));
+
+        // EOI
+        out.bytes([0xff, 0xd9]);
+
+        return out.toBuffer();
+    },
+
+    // Same as "cjpeg -quality Q -optimize -sample 1x1": a baseline JPEG with a single interleaved scan,
+    // which every decoder shows at once
+    encodeBaselineJPEG: function (image, { quality = 85, density } = {}) {
+        const coefficients = module.exports.computeCoefficients(image, quality);
+        const { coefs, nBlocks } = coefficients;
+        const out = new ByteWriter();
+        writeHeader(out, coefficients, density || image.density, 0xc0);
+
+        // DHT, tables in the order libjpeg emits them: DC then AC of each component
+        const counts = encodeSequentialScan(coefs, nBlocks, null);
+        const tables = {};
+        components.forEach((comp) => {
+            [`0:${comp.dcTbl}`, `1:${comp.acTbl}`].forEach((key) => {
+                if (tables[key] !== undefined) return;
+                tables[key] = genOptimalTable(counts[key]);
+                const [isAC, tbl] = key.split(":").map(Number);
+                writeDHT(out, isAC ? 0x10 + tbl : tbl, tables[key]);
+            });
+        });
+
+        // SOS
+        out.bytes([0xff, 0xda]);
+        out.uint16(6 + 2 * components.length);
+        out.bytes([components.length]);
+        components.forEach((comp) => out.bytes([comp.id, (comp.dcTbl << 4) | comp.acTbl]));
+        out.bytes([0, 63, 0]);
+
+        const bits = new BitWriter(out);
+        encodeSequentialScan(coefs, nBlocks, bits, tables);
+        bits.flush();
+
+        // EOI
+        out.bytes([0xff, 0xd9]);
+
+        return out.toBuffer();
+    }
+};
+
+// SOI, JFIF APP0, DQT and the frame header (SOF0 or SOF2)
+function writeHeader(out, { width, height, quantTables }, density = { unit: 0, x: 1, y: 1 }, sofMarker) {
+    // SOI + JFIF APP0
+    out.bytes([0xff, 0xd8, 0xff, 0xe0, 0x00, 0x10, 0x4a, 0x46, 0x49, 0x46, 0x00, 0x01, 0x01, density.unit]);
+    out.uint16(density.x);
+    out.uint16(density.y);
+    out.bytes([0x00, 0x00]);
+
+    // DQT, one marker per table
+    quantTables.forEach((table, tbl) => {
+        out.bytes([0xff, 0xdb]);
+        out.uint16(67);
+        out.bytes([tbl]);
+        out.bytes(naturalOrder.map((k) => table[k]));
+    });
+
+    // SOFn
+    out.bytes([0xff, sofMarker]);
+    out.uint16(8 + 3 * components.length);
+    out.bytes([8]);
+    out.uint16(height);
+    out.uint16(width);
+    out.bytes([components.length]);
+    components.forEach((comp) => out.bytes([comp.id, 0x11, comp.quantTbl]));
+}
+
+// Converts to YCbCr, pads to whole blocks replicating the edges and returns the quantized
+// coefficients of every component (natural order, one Int16Array per component).
+function forwardDCT({ width, height, data, channels = 3 }, quantTables) {
+    const SCALEBITS = 16;
+    const ONE_HALF = 1 << (SCALEBITS - 1);
+    const CBCR_OFFSET = 128 << SCALEBITS;
+    const FIX = (x) => Math.floor(x * (1 << SCALEBITS) + 0.5);
+
+    const blocksW = Math.ceil(width / 8);
+    const blocksH = Math.ceil(height / 8);
+    const planeW = blocksW * 8;
+    const planeH = blocksH * 8;
+    const planes = [0, 1, 2].map(() => new Uint8Array(planeW * planeH));
+
+    for (let y = 0; y < planeH; y++) {
+        const srcY = Math.min(y, height - 1);
+        for (let x = 0; x < planeW; x++) {
+            const src = (srcY * width + Math.min(x, width - 1)) * channels;
+            const r = data[src];
+            const g = data[src + 1];
+            const b = data[src + 2];
+            const dst = y * planeW + x;
+
+            planes[0][dst] = (FIX(0.299) * r + FIX(0.587) * g + FIX(0.114) * b + ONE_HALF) >> SCALEBITS;
+            planes[1][dst] =
+                (-FIX(0.16874) * r - FIX(0.33126) * g + FIX(0.5) * b + CBCR_OFFSET + ONE_HALF - 1) >> SCALEBITS;
+            planes[2][dst] =
+                (FIX(0.5) * r - FIX(0.41869) * g - FIX(0.08131) * b + CBCR_OFFSET + ONE_HALF - 1) >> SCALEBITS;
+        }
+    }
+
+    const block = new Int32Array(64);
+    return planes.map((plane, c) => {
+        const divisors = quantTables[components[c].quantTbl].map((q) => q << 3);
+        const out = new Int16Array(blocksW * blocksH * 64);
+
+        for (let by = 0; by < blocksH; by++) {
+            for (let bx = 0; bx < blocksW; bx++) {
+                for (let row = 0; row < 8; row++) {
+                    for (let col = 0; col < 8; col++) {
+                        block[row * 8 + col] = plane[(by * 8 + row) * planeW + bx * 8 + col] - 128;
+                    }
+                }
+                fdctIslow(block);
+
+                const base = (by * blocksW + bx) * 64;
+                for (let i = 0; i < 64; i++) {
+                    const qval = divisors[i];
+                    let temp = block[i];
+                    if (temp < 0) {
+                        temp = -Math.floor((-temp + (qval >> 1)) / qval);
+                    } else {
+                        temp = Math.floor((temp + (qval >> 1)) / qval);
+                    }
+                    out[base + i] = temp;
+                }
+            }
+        }
+
+        return out;
+    });
+}
+
+// Port of libjpeg's jfdctint.c (slow-but-accurate integer DCT). Output is scaled up by 8.
+function fdctIslow(data) {
+    const CONST_BITS = 13;
+    const PASS1_BITS = 2;
+    const FIX_0_298631336 = 2446;
+    const FIX_0_390180644 = 3196;
+    const FIX_0_541196100 = 4433;
+    const FIX_0_765366865 = 6270;
+    const FIX_0_899976223 = 7373;
+    const FIX_1_175875602 = 9633;
+    const FIX_1_501321110 = 12299;
+    const FIX_1_847759065 = 15137;
+    const FIX_1_961570560 = 16069;
+    const FIX_2_053119869 = 16819;
+    const FIX_2_562915447 = 20995;
+    const FIX_3_072711026 = 25172;
+    const descale = (x, n) => Math.floor((x + 2 ** (n - 1)) / 2 ** n);
+
+    // Pass 1 works on rows and pass 2 on columns
+    for (let pass = 0; pass < 2; pass++) {
+        for (let i = 0; i < 8; i++) {
+            const p = pass === 0 ? i * 8 : i;
+            const s = pass === 0 ? 1 : 8;
+
+            const tmp0 = data[p] + data[p + 7 * s];
+            const tmp7 = data[p] - data[p + 7 * s];
+            const tmp1 = data[p + s] + data[p + 6 * s];
+            const tmp6 = data[p + s] - data[p + 6 * s];
+            const tmp2 = data[p + 2 * s] + data[p + 5 * s];
+            const tmp5 = data[p + 2 * s] - data[p + 5 * s];
+            const tmp3 = data[p + 3 * s] + data[p + 4 * s];
+            const tmp4 = data[p + 3 * s] - data[p + 4 * s];
+
+            const tmp10 = tmp0 + tmp3;
+            const tmp13 = tmp0 - tmp3;
+            const tmp11 = tmp1 + tmp2;
+            const tmp12 = tmp1 - tmp2;
+
+            const evenBits = pass === 0 ? CONST_BITS - PASS1_BITS : CONST_BITS + PASS1_BITS;
+            if (pass === 0) {
+                data[p] = (tmp10 + tmp11) * (1 << PASS1_BITS);
+                data[p + 4 * s] = (tmp10 - tmp11) * (1 << PASS1_BITS);
+            } else {
+                data[p] = descale(tmp10 + tmp11, PASS1_BITS);
+                data[p + 4 * s] = descale(tmp10 - tmp11, PASS1_BITS);
+            }
+
+            let z1 = (tmp12 + tmp13) * FIX_0_541196100;
+            data[p + 2 * s] = descale(z1 + tmp13 * FIX_0_765366865, evenBits);
+            data[p + 6 * s] = descale(z1 - tmp12 * FIX_1_847759065, evenBits);
+
+            z1 = (tmp4 + tmp7) * -FIX_0_899976223;
+            const z2 = (tmp5 + tmp6) * -FIX_2_562915447;
+            const z5 = (tmp4 + tmp6 + tmp5 + tmp7) * FIX_1_175875602;
+            const z3 = (tmp4 + tmp6) * -FIX_1_961570560 + z5;
+            const z4 = (tmp5 + tmp7) * -FIX_0_390180644 + z5;
+
+            data[p + 7 * s] = descale(tmp4 * FIX_0_298631336 + z1 + z3, evenBits);
+            data[p + 5 * s] = descale(tmp5 * FIX_2_053119869 + z2 + z4, evenBits);
+            data[p + 3 * s] = descale(tmp6 * FIX_3_072711026 + z2 + z3, evenBits);
+            data[p + s] = descale(tmp7 * FIX_1_501321110 + z1 + z4, evenBits);
+        }
+    }
+}
+
+// Progressive entropy coding of one scan (jcphuff.c). Without a bit writer it only gathers
+// symbol counts, keyed "isAC:tableNumber", and returns them.
+function encodeScan(scan, coefs, nBlocks, bits, tables) {
+    const { Ss, Se, Ah, Al } = scan;
+    const counts = {};
+    const isAC = Ss !== 0 ? 1 : 0;
+
+    function emitSymbol(tbl, symbol) {
+        const key = `${isAC}:${tbl}`;
+        if (bits === null) {
+            if (counts[key] === undefined) counts[key] = new Array(257).fill(0);
+            counts[key][symbol]++;
+        } else {
+            const { code, size } = tables[key].codes;
+            if (!size[symbol]) throw new Error(`Missing Huffman code for symbol ${symbol}`);
+            bits.emit(code[symbol], size[symbol]);
+        }
+    }
+
+    function emitBits(value, size) {
+        if (bits !== null) bits.emit(value, size);
+    }
+
+    function nbitsOf(value) {
+        let nbits = 0;
+        while (value) {
+            nbits++;
+            value >>= 1;
+        }
+        return nbits;
+    }
+
+    // DC scans may interleave several components, one block each per MCU (1x1 sampling)
+    if (Ss === 0) {
+        const lastDC = scan.components.map(() => 0);
+        for (let b = 0; b < nBlocks; b++) {
+            scan.components.forEach((c, ci) => {
+                const dc = coefs[c][b * 64];
+                if (Ah !== 0) {
+                    emitBits((dc >> Al) & 1, 1);
+                    return;
+                }
+
+                const temp2 = dc >> Al;
+                let temp = temp2 - lastDC[ci];
+                lastDC[ci] = temp2;
+
+                let value = temp;
+                if (temp < 0) {
+                    temp = -temp;
+                    value--;
+                }
+                const nbits = nbitsOf(temp);
+                if (nbits > 11) throw new Error("DC coefficient out of range");
+
+                emitSymbol(components[c].dcTbl, nbits);
+                if (nbits) emitBits(value & ((1 << nbits) - 1), nbits);
+            });
+        }
+
+        return counts;
+    }
+
+    const c = scan.components[0];
+    const tbl = components[c].acTbl;
+    const block = coefs[c];
+    let EOBRUN = 0;
+    let pendingBits = [];
+
+    function emitCorrectionBits(corrBits) {
+        if (bits !== null) corrBits.forEach((bit) => bits.emit(bit, 1));
+    }
+
+    function emitEOBRUN() {
+        if (EOBRUN === 0) return;
+
+        const nbits = nbitsOf(EOBRUN) - 1;
+        if (nbits > 14) throw new Error("EOB run out of range");
+        emitSymbol(tbl, nbits << 4);
+        if (nbits) emitBits(EOBRUN & ((1 << nbits) - 1), nbits);
+        EOBRUN = 0;
+
+        emitCorrectionBits(pendingBits);
+        pendingBits = [];
+    }
+
+    const absValues = new Int32Array(64);
+    for (let b = 0; b < nBlocks; b++) {
+        const base = b * 64;
+
+        if (Ah === 0) {
+            // AC first pass
+            let r = 0;
+            for (let k = Ss; k <= Se; k++) {
+                let temp = block[base + naturalOrder[k]];
+                let temp2;
+                if (temp < 0) {
+                    temp = -temp >> Al;
+                    temp2 = ~temp;
+                } else {
+                    temp >>= Al;
+                    temp2 = temp;
+                }
+                if (temp === 0) {
+                    r++;
+                    continue;
+                }
+
+                emitEOBRUN();
+                while (r > 15) {
+                    emitSymbol(tbl, 0xf0);
+                    r -= 16;
+                }
+
+                const nbits = nbitsOf(temp);
+                if (nbits > 10) throw new Error("AC coefficient out of range");
+                emitSymbol(tbl, (r << 4) + nbits);
+                emitBits(temp2 & ((1 << nbits) - 1), nbits);
+                r = 0;
+            }
+
+            if (r > 0) {
+                EOBRUN++;
+                if (EOBRUN === 0x7fff) emitEOBRUN();
+            }
+            continue;
+        }
+
+        // AC refinement: find the last coefficient that becomes nonzero in this pass
+        let EOB = 0;
+        for (let k = Ss; k <= Se; k++) {
+            absValues[k] = Math.abs(block[base + naturalOrder[k]]) >> Al;
+            if (absValues[k] === 1) EOB = k;
+        }
+
+        let r = 0;
+        let blockBits = [];
+        for (let k = Ss; k <= Se; k++) {
+            const temp = absValues[k];
+            if (temp === 0) {
+                r++;
+                continue;
+            }
+
+            while (r > 15 && k <= EOB) {
+                emitEOBRUN();
+                emitSymbol(tbl, 0xf0);
+                r -= 16;
+                emitCorrectionBits(blockBits);
+                blockBits = [];
+            }
+
+            // Coefficients that were already nonzero only send a correction bit
+            if (temp > 1) {
+                blockBits.push(temp & 1);
+                continue;
+            }
+
+            emitEOBRUN();
+            emitSymbol(tbl, (r << 4) + 1);
+            emitBits(block[base + naturalOrder[k]] < 0 ? 0 : 1, 1);
+            emitCorrectionBits(blockBits);
+            blockBits = [];
+            r = 0;
+        }
+
+        if (r > 0 || blockBits.length > 0) {
+            EOBRUN++;
+            pendingBits = pendingBits.concat(blockBits);
+            if (EOBRUN === 0x7fff || pendingBits.length > MAX_CORR_BITS - 64 + 1) emitEOBRUN();
+        }
+    }
+
+    emitEOBRUN();
+
+    return counts;
+}
+
+// Sequential entropy coding of all components, one block each per MCU (jchuff.c encode_one_block).
+// Without a bit writer it only gathers symbol counts, keyed "isAC:tableNumber", and returns them.
+function encodeSequentialScan(coefs, nBlocks, bits, tables) {
+    const counts = {};
+
+    function emitSymbol(key, symbol) {
+        if (bits === null) {
+            if (counts[key] === undefined) counts[key] = new Array(257).fill(0);
+            counts[key][symbol]++;
+        } else {
+            const { code, size } = tables[key].codes;
+            if (!size[symbol]) throw new Error(`Missing Huffman code for symbol ${symbol}`);
+            bits.emit(code[symbol], size[symbol]);
+        }
+    }
+
+    // Magnitude category of a coefficient and its bits, one's complement when negative
+    function emitValue(key, run, value) {
+        let temp = value < 0 ? -value : value;
+        let nbits = 0;
+        while (temp) {
+            nbits++;
+            temp >>= 1;
+        }
+
+        emitSymbol(key, (run << 4) + nbits);
+        if (nbits && bits !== null) bits.emit((value < 0 ? value - 1 : value) & ((1 << nbits) - 1), nbits);
+        return nbits;
+    }
+
+    const lastDC = components.map(() => 0);
+    for (let b = 0; b < nBlocks; b++) {
+        const base = b * 64;
+        components.forEach((comp, c) => {
+            const block = coefs[c];
+
+            const dcKey = `0:${comp.dcTbl}`;
+            if (emitValue(dcKey, 0, block[base] - lastDC[c]) > 11) throw new Error("DC coefficient out of range");
+            lastDC[c] = block[base];
+
+            const acKey = `1:${comp.acTbl}`;
+            let r = 0;
+            for (let k = 1; k < 64; k++) {
+                const value = block[base + naturalOrder[k]];
+                if (value === 0) {
+                    r++;
+                    continue;
+                }
+
+                while (r > 15) {
+                    emitSymbol(acKey, 0xf0);
+                    r -= 16;
+                }
+                if (emitValue(acKey, r, value) > 10) throw new Error("AC coefficient out of range");
+                r = 0;
+            }
+            if (r > 0) emitSymbol(acKey, 0x00);
+        });
+    }
+
+    return counts;
+}
+
+// jpeg_gen_optimal_table() from jchuff.c, code lengths limited to 16 bits
+function genOptimalTable(counts) {
+    const MAX_CLEN = 32;
+    const freq = counts.slice();
+    const bits = new Array(MAX_CLEN + 1).fill(0);
+    const codesize = new Array(257).fill(0);
+    const others = new Array(257).fill(-1);
+
+    // Reserve one code point so no real code is all ones
+    freq[256] = 1;
+
+    for (;;) {
+        let c1 = -1;
+        let v = 1000000000;
+        for (let i = 0; i <= 256; i++) {
+            if (freq[i] && freq[i] <= v) {
+                v = freq[i];
+                c1 = i;
+            }
+        }
+
+        let c2 = -1;
+        v = 1000000000;
+        for (let i = 0; i <= 256; i++) {
+            if (freq[i] && freq[i] <= v && i !== c1) {
+                v = freq[i];
+                c2 = i;
+            }
+        }
+
+        if (c2 < 0) break;
+
+        freq[c1] += freq[c2];
+        freq[c2] = 0;
+
+        codesize[c1]++;
+        while (others[c1] >= 0) {
+            c1 = others[c1];
+            codesize[c1]++;
+        }
+        others[c1] = c2;
+
+        codesize[c2]++;
+        while (others[c2] >= 0) {
+            c2 = others[c2];
+            codesize[c2]++;
+        }
+    }
+
+    for (let i = 0; i <= 256; i++) {
+        if (codesize[i]) bits[codesize[i]]++;
+    }
+
+    for (let i = MAX_CLEN; i > 16; i--) {
+        while (bits[i] > 0) {
+            let j = i - 2;
+            while (bits[j] === 0) j--;
+
+            bits[i] -= 2;
+            bits[i - 1]++;
+            bits[j + 1] += 2;
+            bits[j]--;
+        }
+    }
+
+    // Remove the reserved code point
+    let i = 16;
+    while (bits[i] === 0) i--;
+    bits[i]--;
+
+    const huffval = [];
+    for (let len = 1; len <= MAX_CLEN; len++) {
+        for (let j = 0; j <= 255; j++) {
+            if (codesize[j] === len) huffval.push(j);
+        }
+    }
+
+    // Canonical codes (jpeg_make_c_derived_tbl)
+    const code = new Array(256).fill(0);
+    const size = new Array(256).fill(0);
+    let p = 0;
+    let nextCode = 0;
+    for (let len = 1; len <= 16; len++) {
+        for (let n = 0; n < bits[len]; n++) {
+            code[huffval[p]] = nextCode++;
+            size[huffval[p]] = len;
+            p++;
+        }
+        nextCode <<= 1;
+    }
+
+    return { bits: bits.slice(1, 17), huffval, codes: { code, size } };
+}
+
+function writeDHT(out, index, table) {
+    out.bytes([0xff, 0xc4]);
+    out.uint16(2 + 1 + 16 + table.huffval.length);
+    out.bytes([index]);
+    out.bytes(table.bits);
+    out.bytes(table.huffval);
+}
+
+class ByteWriter {
+    constructor() {
+        this.buf = Buffer.alloc(1 << 16);
+        this.length = 0;
+    }
+
+    byte(value) {
+        if (this.length === this.buf.length) {
+            const grown = Buffer.alloc(this.buf.length * 2);
+            this.buf.copy(grown);
+            this.buf = grown;
+        }
+        this.buf[this.length++] = value;
+    }
+
+    bytes(values) {
+        for (const value of values) this.byte(value);
+    }
+
+    uint16(value) {
+        this.byte(value >> 8);
+        this.byte(value & 0xff);
+    }
+
+    toBuffer() {
+        return Buffer.from(this.buf.slice(0, this.length));
+    }
+}
+
+// MSB-first bit packing with 0xFF byte stuffing
+class BitWriter {
+    constructor(out) {
+        this.out = out;
+        this.acc = 0;
+        this.nbits = 0;
+    }
+
+    emit(value, size) {
+        this.acc = (this.acc << size) | (value & ((1 << size) - 1));
+        this.nbits += size;
+        while (this.nbits >= 8) {
+            const byte = (this.acc >> (this.nbits - 8)) & 0xff;
+            this.out.byte(byte);
+            if (byte === 0xff) this.out.byte(0x00);
+            this.nbits -= 8;
+        }
+        this.acc &= (1 << this.nbits) - 1;
+    }
+
+    // Pads the last byte with ones
+    flush() {
+        this.emit(0x7f, 7);
+        this.acc = 0;
+        this.nbits = 0;
+    }
+}
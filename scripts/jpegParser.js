@@ -0,0 +1,248 @@
+// Marker-aware JPEG parser. Segments are walked by their length fields and entropy-coded data is
+// skipped honoring byte stuffing (0xFF00) and restart markers, so the split into scans does not
+// depend on guessing where 0xFFDA/0xFFC4 byte pairs are.
+
+const markerNames = {
+    0xc0: "SOF0",
+    0xc1: "SOF1",
+    0xc2: "SOF2",
+    0xc3: "SOF3",
+    0xc4: "DHT",
+    0xc5: "SOF5",
+    0xc6: "SOF6",
+    0xc7: "SOF7",
+    0xc9: "SOF9",
+    0xca: "SOF10",
+    0xcb: "SOF11",
+    0xcc: "DAC",
+    0xcd: "SOF13",
+    0xce: "SOF14",
+    0xcf: "SOF15",
+    0xd8: "SOI",
+    0xd9: "EOI",
+    0xda: "SOS",
+    0xdb: "DQT",
+    0xdc: "DNL",
+    0xdd: "DRI",
+    0xfe: "COM",
+    0x01: "TEM"
+};
+for (let n = 0; n < 8; n++) markerNames[0xd0 + n] = `RST${n}`;
+for (let n = 0; n < 16; n++) markerNames[0xe0 + n] = `APP${n}`;
+
+function isSOF(marker) {
+    return marker >= 0xc0 && marker <= 0xcf && marker !== 0xc4 && marker !== 0xc8 && marker !== 0xcc;
+}
+
+// Markers that are not followed by a length field
+function isStandalone(marker) {
+    return marker === 0xd8 || marker === 0xd9 || marker === 0x01 || (marker >= 0xd0 && marker <= 0xd7);
+}
+
+module.exports = {
+    markerNames: markerNames,
+
+    // Flat list of segments: { marker, name, offset, end, payload }. SOS segments also carry
+    // { dataOffset, dataEnd, restarts } for their entropy-coded data, and end after it.
+    // Bytes that are not a marker where one is expected (like the zeros padding Base64 shards) are
+    // skipped as libjpeg does: they end the previous segment, which counts them in extraneous.
+    parseSegments: function (buf) {
+        if (buf[0] !== 0xff || buf[1] !== 0xd8) throw new Error("Missing SOI marker");
+
+        const segments = [];
+        let offset = 0;
+        let ended = false;
+        while (offset < buf.length && !ended) {
+            if (buf[offset] !== 0xff) {
+                const next = buf.indexOf(0xff, offset);
+                if (next === -1 || segments.length === 0) throw new Error(`Expected a marker at offset ${offset}`);
+
+                const previous = segments[segments.length - 1];
+                previous.extraneous = next - offset;
+                previous.end = next;
+                offset = next;
+            }
+
+            // Skip fill bytes
+            let pos = offset + 1;
+            while (buf[pos] === 0xff) pos++;
+            if (pos >= buf.length) throw new Error(`Truncated marker at offset ${offset}`);
+
+            const marker = buf[pos];
+            const segment = { marker, name: markerNames[marker] || `0x${marker.toString(16)}`, offset };
+            pos++;
+
+            if (isStandalone(marker)) {
+                segment.payload = Buffer.alloc(0);
+                ended = marker === 0xd9;
+            } else {
+                if (pos + 2 > buf.length) throw new Error(`Truncated ${segment.name} at offset ${offset}`);
+                const length = buf.readUInt16BE(pos);
+                if (length < 2 || pos + length > buf.length) {
+                    throw new Error(`Invalid ${segment.name} length ${length} at offset ${offset}`);
+                }
+                segment.payload = buf.slice(pos + 2, pos + length);
+                pos += length;
+
+                if (marker === 0xda) {
+                    segment.dataOffset = pos;
+                    segment.restarts = 0;
+                    pos = skipEntropyData(buf, pos, segment);
+                    segment.dataEnd = pos;
+                }
+            }
+
+            segment.end = pos;
+            segments.push(segment);
+            offset = pos;
+        }
+
+        if (!ended) throw new Error("Missing EOI marker");
+
+        return { segments, trailing: buf.slice(offset) };
+    },
+
+    // Structured view of a JPEG: { frame, header, tables, scans, footer, trailing, segments }.
+    // The header runs from SOI to the end of the frame header (SOFn) and tables are the ones it
+    // defines (usually DQT), decoded like the tables of each scan. Each scan owns the table and
+    // misc segments (DHT, DQT, DRI, COM, APPn...) found after the previous scan, so concatenating
+    // header + scans + footer rebuilds the file without the trailing bytes.
+    parseJPEG: function (buf) {
+        const { segments, trailing } = module.exports.parseSegments(buf);
+
+        const sofIndex = segments.findIndex((segment) => isSOF(segment.marker));
+        if (sofIndex === -1) throw new Error("Missing SOF marker");
+        const frame = parseSOF(segments[sofIndex]);
+
+        const headerEnd = segments[sofIndex].end;
+        const headerTables = segments
+            .slice(1, sofIndex)
+            .filter((segment) => !isStandalone(segment.marker))
+            .map(parseTableSegment);
+        const scans = [];
+        let tables = [];
+        let scanStart = headerEnd;
+        let footer;
+        segments.slice(sofIndex + 1).forEach((segment) => {
+            if (segment.marker === 0xda) {
+                const scan = parseSOS(segment, frame);
+                scan.tables = tables.map(parseTableSegment);
+                scan.offset = scanStart;
+                scan.end = segment.end;
+                scan.restarts = segment.restarts;
+                scan.bytes = buf.slice(scanStart, segment.end);
+                scans.push(scan);
+
+                tables = [];
+                scanStart = segment.end;
+            } else if (segment.marker === 0xd9) {
+                footer = buf.slice(segment.offset, segment.end);
+            } else {
+                tables.push(segment);
+            }
+        });
+
+        if (tables.length > 0) throw new Error(`${tables[0].name} segment after the last scan`);
+
+        return { frame, header: buf.slice(0, headerEnd), tables: headerTables, scans, footer, trailing, segments };
+    }
+};
+
+// Returns the offset of the marker that ends the entropy-coded data
+function skipEntropyData(buf, pos, segment) {
+    for (;;) {
+        pos = buf.indexOf(0xff, pos);
+        if (pos === -1 || pos + 1 >= buf.length) throw new Error("Entropy-coded data is not terminated");
+
+        const next = buf[pos + 1];
+        if (next === 0x00) {
+            pos += 2;
+        } else if (next >= 0xd0 && next <= 0xd7) {
+            segment.restarts++;
+            pos += 2;
+        } else {
+            return pos;
+        }
+    }
+}
+
+function parseSOF(segment) {
+    const p = segment.payload;
+    const nComponents = p[5];
+    const components = [];
+    for (let i = 0; i < nComponents; i++) {
+        components.push({ id: p[6 + 3 * i], h: p[7 + 3 * i] >> 4, v: p[7 + 3 * i] & 0x0f, tq: p[8 + 3 * i] });
+    }
+
+    return {
+        marker: segment.marker,
+        progressive: segment.marker === 0xc2 || segment.marker === 0xc6 || segment.marker === 0xca,
+        precision: p[0],
+        height: p.readUInt16BE(1),
+        width: p.readUInt16BE(3),
+        components
+    };
+}
+
+function parseSOS(segment, frame) {
+    const p = segment.payload;
+    const nComponents = p[0];
+    const components = [];
+    for (let i = 0; i < nComponents; i++) {
+        const id = p[1 + 2 * i];
+        const index = frame.components.findIndex((comp) => comp.id === id);
+        if (index === -1) throw new Error(`Scan references unknown component ${id}`);
+        components.push({ id, index, td: p[2 + 2 * i] >> 4, ta: p[2 + 2 * i] & 0x0f });
+    }
+
+    const params = 1 + 2 * nComponents;
+    return {
+        components,
+        Ss: p[params],
+        Se: p[params + 1],
+        Ah: p[params + 2] >> 4,
+        Al: p[params + 2] & 0x0f,
+        dataOffset: segment.dataOffset,
+        dataEnd: segment.dataEnd
+    };
+}
+
+// Decodes DHT, DQT (values in zig-zag order) and DRI contents, other segments keep their payload
+function parseTableSegment(segment) {
+    const p = segment.payload;
+    const table = { marker: segment.marker, name: segment.name, offset: segment.offset, end: segment.end };
+
+    if (segment.marker === 0xc4) {
+        table.huffmanTables = [];
+        let pos = 0;
+        while (pos < p.length) {
+            const bits = Array.from(p.slice(pos + 1, pos + 17));
+            const count = bits.reduce((sum, n) => sum + n, 0);
+            table.huffmanTables.push({
+                class: p[pos] >> 4,
+                id: p[pos] & 0x0f,
+                bits,
+                huffval: Array.from(p.slice(pos + 17, pos + 17 + count))
+            });
+            pos += 17 + count;
+        }
+    } else if (segment.marker === 0xdb) {
+        table.quantTables = [];
+        let pos = 0;
+        while (pos < p.length) {
+            const precision = p[pos] >> 4;
+            const values = [];
+            for (let k = 0; k < 64; k++) {
+                values.push(precision ? p.readUInt16BE(pos + 1 + 2 * k) : p[pos + 1 + k]);
+            }
+            table.quantTables.push({ precision, id: p[pos] & 0x0f, values });
+            pos += 1 + 64 * (precision ? 2 : 1);
+        }
+    } else if (segment.marker === 0xdd) {
+        table.restartInterval = p.readUInt16BE(0);
+    } else {
+        table.payload = p;
+    }
+
+    return table;
+}
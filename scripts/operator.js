@@ -0,0 +1,146 @@
+const fs = require("fs");
+const contractManifest = require("../frontend/src/contracts/manifest.js");
+const reservations = require("../frontend/src/contracts/reservations.js");
+const gasFees = require("./gasFees.js");
+
+// Operating a deployed JPEG Miner: its status, mining a token and withdrawing what it holds. The
+// contract is the one of the frontend manifest, so the tasks act on what the website shows.
+
+const defaultManifestFile = `${__dirname}/../frontend/src/contracts/manifest.json`;
+
+module.exports = {
+    defaultManifestFile: defaultManifestFile,
+
+    loadManifest: function (manifestFile = defaultManifestFile) {
+        const manifest = JSON.parse(fs.readFileSync(manifestFile, "utf8"));
+        contractManifest.checkManifest(manifest);
+        return manifest;
+    },
+
+    // Contract of the manifest on the current network, after checking it is deployed there and that
+    // the manifest is the one of its shards
+    attachContract: async function (ethers, manifest) {
+        const { chainId } = await ethers.provider.getNetwork();
+        const { name, address } = manifest.contract;
+        if (manifest.contract.chainId !== chainId) {
+            throw new Error(`The manifest is for chain ${manifest.contract.chainId}, the network is chain ${chainId}`);
+        }
+        if ((await ethers.provider.getCode(address)) === "0x") {
+            throw new Error(`There is no contract at ${address} on chain ${chainId}`);
+        }
+
+        const jpegMiner = (await ethers.getContractFactory(name)).attach(address);
+        await contractManifest.validateManifest(manifest, jpegMiner);
+        return jpegMiner;
+    },
+
+    // EIP-1559 fees if the network has them, legacy gas price otherwise. gwei overrides, if given,
+    // replace the ones of the node.
+    getFeeOverrides: async function (ethers, { maxFeePerGas, maxPriorityFeePerGas } = {}) {
+        const feeData = await ethers.provider.getFeeData();
+        const gwei = (value) => ethers.utils.parseUnits(String(value), "gwei");
+
+        if (feeData.maxFeePerGas === null) {
+            return { gasPrice: maxFeePerGas === undefined ? feeData.gasPrice : gwei(maxFeePerGas) };
+        }
+        return {
+            maxFeePerGas: maxFeePerGas === undefined ? feeData.maxFeePerGas : gwei(maxFeePerGas),
+            maxPriorityFeePerGas:
+                maxPriorityFeePerGas === undefined ? feeData.maxPriorityFeePerGas : gwei(maxPriorityFeePerGas)
+        };
+    },
+
+    // Highest price per gas the fee overrides can pay, which mine() multiplies by the minting fee
+    getMaxGasPrice: function (feeOverrides) {
+        return feeOverrides.maxFeePerGas || feeOverrides.gasPrice;
+    },
+
+    // Gas limit of mine() for a token: the total gas of the curve minus the minting fee, plus 10%,
+    // same as the frontend
+    getMiningGasLimit: function ({ gasCurve, gasMintingFees }, tokenId) {
+        return Math.floor(((gasFees.getTotalGas(gasCurve, tokenId) - gasMintingFees[tokenId]) * 11) / 10);
+    },
+
+    // { supply, nScans, nextScan, phase, mintingGasFee, fee, balance, owner }, where nextScan is null
+    // once mining is over and fee is what mining it costs at maxGasPrice (BigNumber, wei)
+    getStatus: async function (jpegMiner, maxGasPrice) {
+        const nScans = (await jpegMiner.NSCANS()).toNumber();
+        const supply = (await jpegMiner.totalSupply()).toNumber();
+        const status = {
+            supply,
+            nScans,
+            nextScan: supply < nScans ? supply : null,
+            phase: null,
+            mintingGasFee: null,
+            fee: null,
+            balance: await jpegMiner.provider.getBalance(jpegMiner.address),
+            owner: await jpegMiner.owner()
+        };
+
+        if (status.nextScan !== null) {
+            status.phase = await jpegMiner.getPhase(supply);
+            status.mintingGasFee = (await jpegMiner.getMintingGasFee(supply)).toNumber();
+            status.fee = maxGasPrice.mul(status.mintingGasFee);
+        }
+
+        return status;
+    },
+
+    // Mines the scan of tokenId with signer and returns the receipt. Throws before sending anything
+    // mine() would reject: another token is next, the signer already has one or mining is over. With
+    // the voucher of a collection's reservation, see scripts/vouchers.js, mines with mineReserved().
+    mine: async function (jpegMiner, manifest, signer, tokenId, feeOverrides, voucher) {
+        const address = await signer.getAddress();
+        const { nextScan, fee } = await module.exports.getStatus(
+            jpegMiner,
+            module.exports.getMaxGasPrice(feeOverrides)
+        );
+
+        if (nextScan === null) throw new Error("Mining is over");
+        if (tokenId !== undefined && tokenId !== nextScan) {
+            throw new Error(`Token ${nextScan} is the next to mine, not ${tokenId}`);
+        }
+        if ((await jpegMiner.balanceOf(address)).gt(0)) throw new Error(`${address} has already mined a token`);
+
+        const imageScan = contractManifest.getImageScans(manifest)[nextScan];
+        const gasLimit = module.exports.getMiningGasLimit(manifest, nextScan);
+        // Change is returned, so paying the fee at the highest price is safe
+        if (voucher === undefined) {
+            const tx = await jpegMiner.connect(signer).mine(imageScan, { ...feeOverrides, value: fee, gasLimit });
+            return tx.wait();
+        }
+
+        const { timestamp } = await jpegMiner.provider.getBlock("latest");
+        const reserved = await jpegMiner.reservedScans(nextScan);
+        const voucherError = reservations.getVoucherError(voucher, { miner: address, nextScan, timestamp, reserved });
+        if (voucherError !== null) throw new Error(voucherError);
+        const reservation = reservations.toReservation(voucher);
+        if (await jpegMiner.usedReservations(await jpegMiner.hashReservation(reservation))) {
+            throw new Error("The voucher has already been used");
+        }
+
+        const tx = await jpegMiner.connect(signer).mineReserved(imageScan, reservation, voucher.signature, {
+            ...feeOverrides,
+            value: fee,
+            gasLimit: gasLimit + reservations.RESERVATION_GAS
+        });
+        return tx.wait();
+    },
+
+    // withdrawEth(), or withdrawToken() of the ERC20 at token, and returns the receipt. Only the owner
+    // of the contract can withdraw.
+    withdraw: async function (jpegMiner, signer, token, feeOverrides) {
+        const address = await signer.getAddress();
+        const owner = await jpegMiner.owner();
+        if (address.toLowerCase() !== owner.toLowerCase()) {
+            throw new Error(`Only the owner ${owner} can withdraw, not ${address}`);
+        }
+
+        const contract = jpegMiner.connect(signer);
+        const tx =
+            token === undefined
+                ? await contract.withdrawEth(feeOverrides)
+                : await contract.withdrawToken(token, feeOverrides);
+        return tx.wait();
+    }
+};
@@ -0,0 +1,323 @@
+const fs = require("fs");
+const path = require("path");
+const zlib = require("zlib");
+const jpegEncoder = require("./jpegEncoder.js");
+const jpegDecoder = require("./jpegDecoder.js");
+const gasFees = require("./gasFees.js");
+const tokenURI = require("./tokenURI.js");
+const scanScript = require("./scanScript.js");
+
+// Progression preview of a bundle: every token state labelled with its number, phase, kilobytes and
+// mint gas, as an HTML contact sheet and an animated PNG. Frames are decoded like libjpeg-turbo
+// (and therefore browsers) show the token images.
+
+const previewFiles = { sheet: "index.html", animation: "progression.png" };
+
+// 5x7 bitmap font for the animation labels, one hex byte per row (bit 4 is the leftmost pixel)
+const font = {
+    " ": "00000000000000",
+    "#": "0a0a1f0a1f0a0a",
+    "&": "0c12140815120d",
+    "(": "02040808080402",
+    ")": "08040202020408",
+    "+": "0004041f040400",
+    ",": "000000000c0408",
+    "-": "0000001f000000",
+    ".": "00000000000c0c",
+    "/": "00010204081000",
+    ":": "000c0c000c0c00",
+    0: "0e11131519110e",
+    1: "040c040404040e",
+    2: "0e11010204081f",
+    3: "1f02040201110e",
+    4: "02060a121f0202",
+    5: "1f101e0101110e",
+    6: "0608101e11110e",
+    7: "1f010204080808",
+    8: "0e11110e11110e",
+    9: "0e11110f01020c",
+    A: "0e1111111f1111",
+    B: "1e11111e11111e",
+    C: "0e11101010110e",
+    D: "1c12111111121c",
+    E: "1f10101e10101f",
+    F: "1f10101e101010",
+    G: "0e11101711110f",
+    H: "1111111f111111",
+    I: "0e04040404040e",
+    J: "0702020202120c",
+    K: "11121418141211",
+    L: "1010101010101f",
+    M: "111b1515111111",
+    N: "11111915131111",
+    O: "0e11111111110e",
+    P: "1e11111e101010",
+    Q: "0e11111115120d",
+    R: "1e11111e141211",
+    S: "0f10100e01011e",
+    T: "1f040404040404",
+    U: "1111111111110e",
+    V: "11111111110a04",
+    W: "1111111515150a",
+    X: "11110a040a1111",
+    Y: "1111110a040404",
+    Z: "1f01020408101f"
+};
+
+module.exports = {
+    previewFiles: previewFiles,
+
+    // Labels of every token: { tokenId, phase, kilobytes, txGas, mintingFee, totalGas }. Gas comes from
+    // the fee table of the bundle, so it is what mining costs on the contract deployed with it.
+    getProgression: function ({ shards, gasFees: fees }) {
+        return shards.scans.map((scan, tokenId) => ({
+            tokenId,
+            phase: tokenURI.getPhase(tokenId),
+            kilobytes: tokenURI.getKilobytes(shards, tokenId),
+            txGas: fees.txGas[tokenId],
+            mintingFee: fees.gasMintingFees[tokenId],
+            totalGas: gasFees.getTotalGas(fees.curve, tokenId)
+        }));
+    },
+
+    // Calls onFrame(image, tokenId) with the pixels of every token state, scaled down to width. The
+    // JPEG is decoded once and rendered after each scan, which is what the token images show.
+    renderProgression: function (JPEG, width, onFrame) {
+        jpegDecoder.decodeCoefficients(JPEG, (coefficients, tokenId) => {
+            onFrame(module.exports.resizeImage(jpegDecoder.renderImage(coefficients), width), tokenId);
+        });
+    },
+
+    // Box filter downscale of { width, height, data (RGB) }, keeping the aspect ratio
+    resizeImage: function (image, width) {
+        if (width >= image.width) return image;
+        const height = Math.max(1, Math.round((image.height * width) / image.width));
+
+        const data = new Uint8Array(width * height * 3);
+        for (let y = 0; y < height; y++) {
+            const y0 = Math.floor((y * image.height) / height);
+            const y1 = Math.max(y0 + 1, Math.floor(((y + 1) * image.height) / height));
+            for (let x = 0; x < width; x++) {
+                const x0 = Math.floor((x * image.width) / width);
+                const x1 = Math.max(x0 + 1, Math.floor(((x + 1) * image.width) / width));
+
+                let r = 0;
+                let g = 0;
+                let b = 0;
+                for (let sy = y0; sy < y1; sy++) {
+                    for (let sx = x0; sx < x1; sx++) {
+                        const src = (sy * image.width + sx) * 3;
+                        r += image.data[src];
+                        g += image.data[src + 1];
+                        b += image.data[src + 2];
+                    }
+                }
+
+                const count = (y1 - y0) * (x1 - x0);
+                const out = (y * width + x) * 3;
+                data[out] = Math.round(r / count);
+                data[out + 1] = Math.round(g / count);
+                data[out + 2] = Math.round(b / count);
+            }
+        }
+
+        return { width, height, data };
+    },
+
+    // Adds a black band under the image with the label written in white capitals
+    drawLabel: function (image, text) {
+        const scale = Math.max(1, Math.floor(image.width / 320));
+        const band = 11 * scale;
+        const height = image.height + band;
+        const data = new Uint8Array(image.width * height * 3);
+        data.set(image.data);
+
+        let x0 = 2 * scale;
+        for (const char of text.toUpperCase()) {
+            const glyph = font[char] === undefined ? font[" "] : font[char];
+            for (let row = 0; row < 7; row++) {
+                const bits = parseInt(glyph.slice(2 * row, 2 * row + 2), 16);
+                for (let col = 0; col < 5; col++) {
+                    if (((bits >> (4 - col)) & 1) === 0) continue;
+                    for (let dy = 0; dy < scale; dy++) {
+                        for (let dx = 0; dx < scale; dx++) {
+                            const x = x0 + col * scale + dx;
+                            const y = image.height + 2 * scale + row * scale + dy;
+                            if (x < image.width)
+                                data.fill(255, (y * image.width + x) * 3, (y * image.width + x) * 3 + 3);
+                        }
+                    }
+                }
+            }
+            x0 += 6 * scale;
+        }
+
+        return { width: image.width, height, data };
+    },
+
+    // Animated PNG of RGB frames of the same size. delays are in milliseconds, one per frame.
+    encodeAPNG: function (frames, delays) {
+        const { width, height } = frames[0];
+        frames.forEach((frame, ind) => {
+            if (frame.width !== width || frame.height !== height) throw new Error(`Frame ${ind} has another size`);
+        });
+
+        const chunks = [];
+        const ihdr = Buffer.alloc(13);
+        ihdr.writeUInt32BE(width, 0);
+        ihdr.writeUInt32BE(height, 4);
+        ihdr[8] = 8; // bit depth
+        ihdr[9] = 2; // RGB
+        chunks.push(pngChunk("IHDR", ihdr));
+
+        const actl = Buffer.alloc(8);
+        actl.writeUInt32BE(frames.length, 0);
+        actl.writeUInt32BE(0, 4); // loop forever
+        chunks.push(pngChunk("acTL", actl));
+
+        let sequence = 0;
+        frames.forEach((frame, ind) => {
+            const fctl = Buffer.alloc(26);
+            fctl.writeUInt32BE(sequence++, 0);
+            fctl.writeUInt32BE(width, 4);
+            fctl.writeUInt32BE(height, 8);
+            fctl.writeUInt16BE(delays[ind], 20);
+            fctl.writeUInt16BE(1000, 22);
+            chunks.push(pngChunk("fcTL", fctl));
+
+            const compressed = zlib.deflateSync(filterRows(frame), { level: 9 });
+            if (ind === 0) {
+                chunks.push(pngChunk("IDAT", compressed));
+            } else {
+                const sequenceNumber = Buffer.alloc(4);
+                sequenceNumber.writeUInt32BE(sequence++, 0);
+                chunks.push(pngChunk("fdAT", Buffer.concat([sequenceNumber, compressed])));
+            }
+        });
+
+        chunks.push(pngChunk("IEND", Buffer.alloc(0)));
+        return Buffer.concat([Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]), ...chunks]);
+    },
+
+    // Self-contained HTML page with a JPEG thumbnail of every token state and its labels
+    contactSheet: function ({ manifest, JPEG }, progression, thumbnails) {
+        const last = progression[progression.length - 1];
+        const figures = progression.map(({ tokenId, phase, kilobytes, txGas, mintingFee, totalGas }) => {
+            const src = `data:image/jpeg;base64,${thumbnails[tokenId].toString("base64")}`;
+            return [
+                `<figure class="phase-${phaseClass(phase)}">`,
+                `<img src="${src}" alt="Token ${tokenId + 1}">`,
+                `<figcaption><b>#${tokenId + 1} of ${progression.length}</b> &middot; ${escapeHTML(phase)} &middot; `,
+                `${kilobytes} KB<br>${formatGas(totalGas)} gas to mint `,
+                `(${formatGas(txGas)} mine() + ${formatGas(mintingFee)} fee)</figcaption>`,
+                "</figure>"
+            ].join("");
+        });
+
+        return [
+            "<!DOCTYPE html>",
+            '<html lang="en">',
+            "<head>",
+            '<meta charset="utf-8">',
+            `<title>${escapeHTML(manifest.name)} progression</title>`,
+            "<style>",
+            "body { font-family: sans-serif; background: #222; color: #eee; margin: 1em; }",
+            "main { display: grid; grid-template-columns: repeat(auto-fill, minmax(360px, 1fr)); gap: 1em; }",
+            "figure { margin: 0; border-top: 4px solid; }",
+            "figure img { display: block; width: 100%; }",
+            "figcaption { font-size: 0.85em; padding: 0.3em 0; }",
+            ".phase-bw { border-color: #aaa; } .phase-color { border-color: #e5a50a; }",
+            ".phase-resolution { border-color: #3584e4; }",
+            "</style>",
+            "</head>",
+            "<body>",
+            `<h1>${escapeHTML(manifest.name)}</h1>`,
+            `<p>${manifest.width}x${manifest.height}, ${JPEG.length} bytes in ${progression.length} `,
+            `${manifest.shardMode} shards (${last.kilobytes} KB stored). `,
+            `Color from #${manifest.phases.colorStart + 1}, resolution from #${
+                manifest.phases.resolutionStart + 1
+            }.</p>`,
+            "<main>",
+            ...figures,
+            "</main>",
+            "</body>",
+            "</html>",
+            ""
+        ].join("\n");
+    },
+
+    // Writes the contact sheet and the animation of a bundle (see loadBundle) to dir
+    savePreview: function (bundle, dir, { width = 480, delay = 200, lastDelay = 3000 } = {}) {
+        const progression = module.exports.getProgression(bundle);
+        const thumbnails = [];
+        const frames = [];
+
+        module.exports.renderProgression(bundle.JPEG, width, (image, tokenId) => {
+            thumbnails.push(jpegEncoder.encodeBaselineJPEG(image, { quality: 92 }));
+
+            const { phase, kilobytes, totalGas } = progression[tokenId];
+            const label = `#${tokenId + 1}/${progression.length} ${phase} ${kilobytes} KB ${formatGas(totalGas)} GAS`;
+            frames.push(module.exports.drawLabel(image, label));
+        });
+
+        const delays = frames.map((frame, ind) => (ind === frames.length - 1 ? lastDelay : delay));
+
+        fs.mkdirSync(dir, { recursive: true });
+        fs.writeFileSync(
+            path.join(dir, previewFiles.sheet),
+            module.exports.contactSheet(bundle, progression, thumbnails)
+        );
+        fs.writeFileSync(path.join(dir, previewFiles.animation), module.exports.encodeAPNG(frames, delays));
+
+        return progression;
+    }
+};
+
+function phaseClass(phase) {
+    return ["bw", "color", "resolution"][scanScript.phaseNames.indexOf(phase)];
+}
+
+function formatGas(gas) {
+    return gas.toLocaleString("en-US");
+}
+
+function escapeHTML(text) {
+    return String(text).replace(/[&<>"]/g, (char) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;" }[char]));
+}
+
+// Every row with the Sub filter, which suits photographs better than none
+function filterRows({ width, height, data }) {
+    const stride = width * 3;
+    const out = Buffer.alloc((stride + 1) * height);
+    for (let y = 0; y < height; y++) {
+        const row = y * (stride + 1);
+        out[row] = 1;
+        for (let i = 0; i < stride; i++) {
+            const left = i >= 3 ? data[y * stride + i - 3] : 0;
+            out[row + 1 + i] = (data[y * stride + i] - left) & 0xff;
+        }
+    }
+    return out;
+}
+
+const crcTable = new Int32Array(256);
+for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    crcTable[n] = c;
+}
+
+function crc32(buf) {
+    let crc = -1;
+    for (let i = 0; i < buf.length; i++) crc = crcTable[(crc ^ buf[i]) & 0xff] ^ (crc >>> 8);
+    return (crc ^ -1) >>> 0;
+}
+
+function pngChunk(type, data) {
+    const chunk = Buffer.alloc(12 + data.length);
+    chunk.writeUInt32BE(data.length, 0);
+    chunk.write(type, 4, "ascii");
+    data.copy(chunk, 8);
+    chunk.writeUInt32BE(crc32(chunk.slice(4, 8 + data.length)), 8 + data.length);
+    return chunk;
+}
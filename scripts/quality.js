@@ -0,0 +1,213 @@
+const jpegDecoder = require("./jpegDecoder.js");
+const scanScript = require("./scanScript.js");
+const tokenURI = require("./tokenURI.js");
+
+// Image quality of every token state against the final image, and the phase boundaries it supports.
+// States are decoded without block smoothing: phases are about what the mined scans add, not about
+// how much a viewer manages to interpolate.
+
+// Chroma presence above which a token is in color
+const CHROMA_THRESHOLD = 0.01;
+// Luma SSIM gain over the last black & white token that starts the resolution phase
+const DETAIL_THRESHOLD = 0.01;
+
+const SSIM_C1 = (0.01 * 255) ** 2;
+const SSIM_C2 = (0.03 * 255) ** 2;
+
+module.exports = {
+    CHROMA_THRESHOLD: CHROMA_THRESHOLD,
+    DETAIL_THRESHOLD: DETAIL_THRESHOLD,
+
+    // Metrics of every token: { tokenId, psnr, ssim, chroma, chromaPSNR }. psnr (dB) and ssim are of
+    // the luma, chroma is the mean chroma magnitude relative to the final image's (0 for gray) and
+    // chromaPSNR compares Cb and Cr. Identical planes have an Infinity PSNR.
+    measureProgression: function (JPEG) {
+        const render = (coefficients) => jpegDecoder.renderPlanes(coefficients, { blockSmoothing: false });
+
+        // The final image is decoded first so that states are measured as they come
+        const final = render(jpegDecoder.decodeCoefficients(JPEG));
+        const finalChroma = chromaMagnitude(final);
+
+        const metrics = [];
+        jpegDecoder.decodeCoefficients(JPEG, (coefficients, tokenId) => {
+            const planes = render(coefficients);
+            metrics.push({
+                tokenId,
+                psnr: psnr([planes[0]], [final[0]]),
+                ssim: ssim(planes[0], final[0]),
+                chroma: finalChroma === 0 ? 0 : chromaMagnitude(planes) / finalChroma,
+                chromaPSNR: planes.length === 3 ? psnr(planes.slice(1), final.slice(1)) : Infinity
+            });
+        });
+
+        return metrics;
+    },
+
+    // Boundaries the metrics support, same shape as scanScript.getPhaseBoundaries(): color starts
+    // with the first token that has chroma and resolution with the first one whose luma improves
+    recommendPhases: function (metrics) {
+        let colorStart = metrics.findIndex((metric) => metric.chroma > CHROMA_THRESHOLD);
+        if (colorStart === -1) colorStart = metrics.length;
+
+        const baseline = metrics[Math.max(colorStart - 1, 0)].ssim;
+        let resolutionStart = metrics.findIndex(
+            (metric, tokenId) => tokenId >= colorStart && metric.ssim - baseline >= DETAIL_THRESHOLD
+        );
+        if (resolutionStart === -1) resolutionStart = metrics.length;
+
+        return { colorStart, resolutionStart, lengths: phaseLengths(colorStart, resolutionStart, metrics.length) };
+    },
+
+    // Boundaries of getPhase() in the contract and the phase lengths its description claims
+    getAdvertisedPhases: function () {
+        const { COLOR_START: colorStart, RESOLUTION_START: resolutionStart } = tokenURI;
+
+        const uploads = (pattern) => parseInt(tokenURI.DESCRIPTION.match(pattern)[1], 10);
+        const description = {
+            [scanScript.phaseNames[0]]: uploads(/B&W phase[^.]*? (\d+) uploads/),
+            [scanScript.phaseNames[1]]: uploads(/color phase[^,]*? (\d+) uploads/),
+            [scanScript.phaseNames[2]]: uploads(/resolution phase[^.]*? (\d+) uploads/)
+        };
+
+        return {
+            colorStart,
+            resolutionStart,
+            lengths: phaseLengths(colorStart, resolutionStart, tokenURI.NSCANS),
+            description
+        };
+    },
+
+    // Everything the contract advertises that the metrics contradict, empty when the phases are true
+    getPhaseErrors: function (metrics) {
+        const recommended = module.exports.recommendPhases(metrics);
+        const advertised = module.exports.getAdvertisedPhases();
+        const errors = [];
+
+        if (recommended.colorStart !== advertised.colorStart) {
+            errors.push(`Color starts with token ${recommended.colorStart}, getPhase() says ${advertised.colorStart}`);
+        }
+        if (recommended.resolutionStart !== advertised.resolutionStart) {
+            errors.push(
+                `Resolution starts with token ${recommended.resolutionStart}, getPhase() says ${advertised.resolutionStart}`
+            );
+        }
+        Object.keys(recommended.lengths).forEach((phase) => {
+            if (recommended.lengths[phase] !== advertised.description[phase]) {
+                errors.push(
+                    `The ${phase} phase lasts ${recommended.lengths[phase]} uploads, ` +
+                        `the description says ${advertised.description[phase]}`
+                );
+            }
+        });
+
+        return errors;
+    },
+
+    // One line per token with its advertised and recommended phases, "!" marks disagreements
+    formatReport: function (metrics) {
+        const recommended = module.exports.recommendPhases(metrics);
+        const recommendedPhase = (tokenId) => {
+            if (tokenId < recommended.colorStart) return scanScript.phaseNames[0];
+            else if (tokenId < recommended.resolutionStart) return scanScript.phaseNames[1];
+            else return scanScript.phaseNames[2];
+        };
+        const dB = (value) => (value === Infinity ? "inf" : value.toFixed(2));
+        const row = (columns) =>
+            [7, 7, 6, 6, 9, -13, 0]
+                .map((width, ind) => (width < 0 ? columns[ind].padEnd(-width) : columns[ind].padStart(width)))
+                .join("  ");
+
+        const lines = [
+            row(["Token", "PSNR dB", "SSIM", "Chroma", "Chroma dB", "Phase", "Recommended"]),
+            ...metrics.map(({ tokenId, psnr, ssim, chroma, chromaPSNR }) => {
+                const phase = tokenURI.getPhase(tokenId);
+                const mark = phase === recommendedPhase(tokenId) ? " " : "!";
+                return row([
+                    `${mark}${tokenId}`,
+                    dB(psnr),
+                    ssim.toFixed(4),
+                    chroma.toFixed(3),
+                    dB(chromaPSNR),
+                    phase,
+                    recommendedPhase(tokenId)
+                ]);
+            })
+        ];
+        return lines.join("\n");
+    }
+};
+
+function phaseLengths(colorStart, resolutionStart, nTokens) {
+    return {
+        [scanScript.phaseNames[0]]: colorStart,
+        [scanScript.phaseNames[1]]: resolutionStart - colorStart,
+        [scanScript.phaseNames[2]]: nTokens - resolutionStart
+    };
+}
+
+function psnr(planes, finalPlanes) {
+    let squaredError = 0;
+    let count = 0;
+    planes.forEach(({ width, height, stride, data }, ind) => {
+        const final = finalPlanes[ind].data;
+        for (let y = 0; y < height; y++) {
+            for (let i = y * stride; i < y * stride + width; i++) squaredError += (data[i] - final[i]) ** 2;
+        }
+        count += width * height;
+    });
+
+    if (squaredError === 0) return Infinity;
+    return 10 * Math.log10((255 * 255 * count) / squaredError);
+}
+
+// Mean SSIM over 8x8 windows, the block size of the JPEG itself
+function ssim({ width, height, stride, data }, final) {
+    let sum = 0;
+    let windows = 0;
+    for (let by = 0; by + 8 <= height; by += 8) {
+        for (let bx = 0; bx + 8 <= width; bx += 8) {
+            let sumA = 0;
+            let sumB = 0;
+            let sumAA = 0;
+            let sumBB = 0;
+            let sumAB = 0;
+            for (let y = by; y < by + 8; y++) {
+                for (let i = y * stride + bx; i < y * stride + bx + 8; i++) {
+                    const a = data[i];
+                    const b = final.data[i];
+                    sumA += a;
+                    sumB += b;
+                    sumAA += a * a;
+                    sumBB += b * b;
+                    sumAB += a * b;
+                }
+            }
+
+            const meanA = sumA / 64;
+            const meanB = sumB / 64;
+            const varA = sumAA / 64 - meanA * meanA;
+            const varB = sumBB / 64 - meanB * meanB;
+            const covariance = sumAB / 64 - meanA * meanB;
+            sum +=
+                ((2 * meanA * meanB + SSIM_C1) * (2 * covariance + SSIM_C2)) /
+                ((meanA * meanA + meanB * meanB + SSIM_C1) * (varA + varB + SSIM_C2));
+            windows++;
+        }
+    }
+
+    return windows === 0 ? 1 : sum / windows;
+}
+
+// Mean distance of (Cb, Cr) from neutral gray
+function chromaMagnitude(planes) {
+    if (planes.length !== 3) return 0;
+
+    const [, cb, cr] = planes;
+    let sum = 0;
+    for (let y = 0; y < cb.height; y++) {
+        for (let x = 0; x < cb.width; x++) {
+            sum += Math.hypot(cb.data[y * cb.stride + x] - 128, cr.data[y * cr.stride + x] - 128);
+        }
+    }
+    return sum / (cb.width * cb.height);
+}
@@ -0,0 +1,283 @@
+const math = require("mathjs");
+const jpegEncoder = require("./jpegEncoder.js");
+const scanScript = require("./scanScript.js");
+const { MAX_SCAN_B64, MAX_SCAN_BYTES } = require("./functions.js");
+const { MAX_AH_AL } = scanScript;
+
+// Largest scan of each shard mode, in the unit createScanSizer measures it in
+const scanLimits = { base64: MAX_SCAN_B64, binary: MAX_SCAN_BYTES };
+
+// Splits and merges tried per balancing iteration
+const CANDIDATES = 3;
+
+module.exports = {
+    scanLimits: scanLimits,
+
+    // Base64 length of a scan once padded to a multiple of 3 bytes (see convertScansToB64)
+    b64Length: function (nBytes) {
+        return 4 * Math.ceil(nBytes / 3);
+    },
+
+    // Returns size(scan), the size of the stored scan in the shard mode (Base64 length or bytes),
+    // caching every encoded variant
+    createScanSizer: function (coefficients, mode = "base64") {
+        const cache = new Map();
+
+        return function (scan) {
+            const key = scanKey(scan);
+            if (!cache.has(key)) {
+                const nBytes = jpegEncoder.encodeScanSegment(coefficients, scan).length;
+                cache.set(key, mode === "binary" ? nBytes : module.exports.b64Length(nBytes));
+            }
+            return cache.get(key);
+        };
+    },
+
+    getSizeDistribution: function (sizes, limit = MAX_SCAN_B64) {
+        return {
+            sizes,
+            min: Math.min(...sizes),
+            max: Math.max(...sizes),
+            mean: Math.round(math.mean(sizes)),
+            std: Math.round(math.std(sizes, "unbiased")),
+            limit,
+            overLimit: sizes.map((size, ind) => (size > limit ? ind : -1)).filter((ind) => ind !== -1)
+        };
+    },
+
+    // Searches scan script variants with nScans scans whose shards in the mode fit the limit and are as
+    // even as possible. Only AC scans are split (by spectral band or with an extra refinement pass)
+    // or merged back, so the Black & White and Color phases keep their length.
+    balanceScans: function (
+        image,
+        {
+            scans = scanScript.readScanScript(),
+            nScans = 100,
+            quality = 85,
+            mode = "base64",
+            limit = scanLimits[mode],
+            maxIterations = 500
+        } = {}
+    ) {
+        if (scanLimits[mode] === undefined) throw new Error(`Unknown shard mode "${mode}"`);
+        scanScript.validateScanScript(scans);
+
+        const size = module.exports.createScanSizer(jpegEncoder.computeCoefficients(image, quality), mode);
+        let current = scans.map((scan) => ({ ...scan, components: scan.components.slice() }));
+
+        // Split until all scans fit and there are enough of them. Oversized scans are packed (largest
+        // band that fits first) and then the largest scans are halved.
+        for (;;) {
+            const sizes = current.map(size);
+            const [oversized] = largestSplittable(current, sizes, limit + 1, 1);
+            const [largest] = largestSplittable(current, sizes, 0, 1);
+
+            if (oversized !== undefined) {
+                current.splice(oversized, 1, ...packSplit(current[oversized], size, limit));
+            } else if (Math.max(...sizes) > limit) {
+                const ind = sizes.findIndex((s) => s > limit);
+                throw new Error(`Scan ${ind} is ${sizes[ind]} bytes in ${mode} and cannot be split`);
+            } else if (current.length < nScans && largest !== undefined) {
+                current.splice(largest, 1, ...bestSplit(current[largest], size));
+            } else {
+                break;
+            }
+        }
+
+        // Merge the cheapest pairs until the count is right
+        while (current.length > nScans) {
+            const pair = smallestMerges(current, size, limit, 1)[0];
+            if (pair === undefined) throw new Error(`Cannot merge down to ${nScans} scans within ${limit} bytes`);
+            current = applyMerge(current, pair);
+        }
+
+        // Even the sizes while it lowers their deviation, either trading a split of one of the largest
+        // scans for a merge of one of the smallest pairs, or moving the boundary between two bands
+        let std = math.std(current.map(size));
+        for (let iteration = 0; iteration < maxIterations; iteration++) {
+            const candidates = [];
+
+            largestSplittable(current, current.map(size), 0, CANDIDATES).forEach((ind) => {
+                const split = current.slice();
+                split.splice(ind, 1, ...bestSplit(current[ind], size));
+                smallestMerges(split, size, limit, CANDIDATES, ind).forEach((pair) =>
+                    candidates.push(applyMerge(split, pair))
+                );
+            });
+            candidates.push(...rebalancedBands(current, size, limit));
+
+            let best;
+            candidates.forEach((candidate) => {
+                const candidateStd = math.std(candidate.map(size));
+                if (candidateStd < std) {
+                    best = candidate;
+                    std = candidateStd;
+                }
+            });
+
+            if (best === undefined) break;
+            current = best;
+        }
+
+        scanScript.validateScanScript(current);
+
+        return {
+            scans: current,
+            script: scanScript.serializeScanScript(current),
+            distribution: module.exports.getSizeDistribution(current.map(size), limit)
+        };
+    }
+};
+
+function scanKey({ components, Ss, Se, Ah, Al }) {
+    return `${components.join(",")}:${Ss}-${Se},${Ah},${Al}`;
+}
+
+function canSplit(scan) {
+    return scan.Ss !== 0 && (scan.Se > scan.Ss || (scan.Ah === 0 && scan.Al < MAX_AH_AL));
+}
+
+// Indexes of the (up to count) largest AC scans that can be split and are at least minSize
+function largestSplittable(scans, sizes, minSize, count) {
+    return scans
+        .map((scan, ind) => ind)
+        .filter((ind) => canSplit(scans[ind]) && sizes[ind] >= minSize)
+        .sort((a, b) => sizes[b] - sizes[a])
+        .slice(0, count);
+}
+
+// Splits the band of a scan where both halves are closest in size
+function bandSplit(scan, size) {
+    // size(Ss..k) grows with k and size(k+1..Se) shrinks, so binary search where they cross
+    let lo = scan.Ss;
+    let hi = scan.Se - 1;
+    while (lo < hi) {
+        const k = Math.floor((lo + hi) / 2);
+        if (size({ ...scan, Se: k }) < size({ ...scan, Ss: k + 1 })) lo = k + 1;
+        else hi = k;
+    }
+
+    return [lo - 1, lo]
+        .filter((k) => k >= scan.Ss && k < scan.Se)
+        .map((k) => [
+            { ...scan, Se: k },
+            { ...scan, Ss: k + 1 }
+        ])
+        .reduce((best, pair) => (worstOf(pair, size) < worstOf(best, size) ? pair : best));
+}
+
+// Splits a scan in two, either by spectral band or by adding a refinement pass, whichever gives
+// the smaller largest half
+function bestSplit(scan, size) {
+    const options = [];
+    if (scan.Se > scan.Ss) options.push(bandSplit(scan, size));
+    if (scan.Ah === 0 && scan.Al < MAX_AH_AL) {
+        options.push([
+            { ...scan, Al: scan.Al + 1 },
+            { ...scan, Ah: scan.Al + 1, Al: scan.Al }
+        ]);
+    }
+
+    return options.reduce((best, pair) => (worstOf(pair, size) < worstOf(best, size) ? pair : best));
+}
+
+function worstOf(pair, size) {
+    return Math.max(size(pair[0]), size(pair[1]));
+}
+
+// Splits an oversized scan keeping the largest leading band that fits the limit, or adds a
+// refinement pass when not even one coefficient fits
+function packSplit(scan, size, limit) {
+    if (scan.Se > scan.Ss && size({ ...scan, Se: scan.Ss }) <= limit) {
+        let lo = scan.Ss;
+        let hi = scan.Se - 1;
+        while (lo < hi) {
+            const k = Math.ceil((lo + hi) / 2);
+            if (size({ ...scan, Se: k }) <= limit) lo = k;
+            else hi = k - 1;
+        }
+        return [
+            { ...scan, Se: lo },
+            { ...scan, Ss: lo + 1 }
+        ];
+    }
+
+    return bestSplit(scan, size);
+}
+
+// Scans that can be coded as one: same component with adjacent bands and bits, or a first scan and
+// its refinement of the same band
+function canMerge(a, b) {
+    if (a.Ss === 0 || b.Ss === 0 || a.components[0] !== b.components[0]) return false;
+
+    const adjacentBands = a.Ah === b.Ah && a.Al === b.Al && b.Ss === a.Se + 1;
+    const refinement = a.Ss === b.Ss && a.Se === b.Se && a.Ah === 0 && b.Ah === a.Al && b.Al === a.Al - 1;
+    return adjacentBands || refinement;
+}
+
+function merge(a, b) {
+    if (a.Ss === b.Ss && a.Se === b.Se) return { ...a, Al: b.Al };
+    return { ...a, Se: b.Se };
+}
+
+// The merged scan takes the place of the first one, which is only valid if no scan in between
+// touches the coefficients of the pair
+function isMergeable(scans, i, j) {
+    const a = scans[i];
+    const b = scans[j];
+    if (!canMerge(a, b)) return false;
+
+    const Ss = Math.min(a.Ss, b.Ss);
+    const Se = Math.max(a.Se, b.Se);
+    for (let k = i + 1; k < j; k++) {
+        const scan = scans[k];
+        if (scan.components.includes(a.components[0]) && scan.Ss <= Se && scan.Se >= Ss) return false;
+    }
+    return true;
+}
+
+function applyMerge(scans, [i, j]) {
+    const merged = scans.slice();
+    merged.splice(j, 1);
+    merged.splice(i, 1, merge(scans[i], scans[j]));
+    return merged;
+}
+
+// Scripts where the boundary between two scans of adjacent bands (and same bits) moved to even
+// their sizes, keeping both within the limit
+function rebalancedBands(scans, size, limit) {
+    const candidates = [];
+    for (let i = 0; i < scans.length - 1; i++) {
+        for (let j = i + 1; j < scans.length; j++) {
+            if (scans[i].Ah !== scans[j].Ah || !isMergeable(scans, i, j)) continue;
+
+            const [low, high] = bandSplit(merge(scans[i], scans[j]), size);
+            if (low.Se === scans[i].Se || size(low) > limit || size(high) > limit) continue;
+
+            const candidate = scans.slice();
+            candidate[i] = low;
+            candidate[j] = high;
+            candidates.push(candidate);
+        }
+    }
+    return candidates;
+}
+
+// Up to count mergeable pairs [i, j] with the smallest result within the limit. The pair made of
+// scans skip and skip + 1 is ignored so a split is not undone right away.
+function smallestMerges(scans, size, limit, count, skip = -1) {
+    const pairs = [];
+    for (let i = 0; i < scans.length - 1; i++) {
+        for (let j = i + 1; j < scans.length; j++) {
+            if ((i === skip && j === skip + 1) || !isMergeable(scans, i, j)) continue;
+
+            const merged = size(merge(scans[i], scans[j]));
+            if (merged <= limit) pairs.push({ pair: [i, j], merged });
+        }
+    }
+
+    return pairs
+        .sort((a, b) => a.merged - b.merged)
+        .slice(0, count)
+        .map(({ pair }) => pair);
+}
@@ -0,0 +1,194 @@
+const fs = require("fs");
+
+const defaultScanScript = `${__dirname}/scan_script.sh`;
+
+// Phases the image goes through while it is mined, in order (see getPhase() in JPEGminerBase.sol)
+const phaseNames = ["Black & White", "Color", "Resolution"];
+
+// Largest Ah/Al libjpeg accepts for 8-bit samples
+const MAX_AH_AL = 10;
+
+module.exports = {
+    phaseNames: phaseNames,
+    MAX_AH_AL: MAX_AH_AL,
+
+    // Parses a libjpeg scan script (the file passed to cjpeg -scans). Every scan reads
+    // "comp, comp, ...: Ss-Se, Ah, Al;" and "#" starts a comment until the end of the line.
+    parseScanScript: function (text) {
+        const scans = [];
+        const body = text.replace(/#[^\n]*/g, "");
+
+        body.split(";").forEach((entry, ind) => {
+            if (entry.trim() === "") return;
+
+            const [compsText, paramsText] = entry.split(":");
+            const components = compsText
+                .trim()
+                .split(/[\s,]+/)
+                .map((comp) => parseInteger(comp, ind));
+
+            let Ss = 0;
+            let Se = 63;
+            let Ah = 0;
+            let Al = 0;
+            if (paramsText !== undefined && paramsText.trim() !== "") {
+                const params = paramsText.trim().split(/\s*,\s*/);
+                if (params.length !== 3) throw new Error(`Scan ${ind}: expected "Ss-Se, Ah, Al"`);
+
+                const range = params[0].split("-");
+                Ss = parseInteger(range[0], ind);
+                Se = range.length > 1 ? parseInteger(range[1], ind) : Ss;
+                Ah = parseInteger(params[1], ind);
+                Al = parseInteger(params[2], ind);
+            }
+
+            scans.push({ components, Ss, Se, Ah, Al });
+        });
+
+        return scans;
+    },
+
+    readScanScript: function (path = defaultScanScript) {
+        return module.exports.parseScanScript(fs.readFileSync(path, "utf8"));
+    },
+
+    // Inverse of parseScanScript. A comment is added where each phase starts.
+    serializeScanScript: function (scans) {
+        const { colorStart, resolutionStart } = module.exports.getPhaseBoundaries(scans);
+        const phaseStarts = { 0: phaseNames[0], [colorStart]: phaseNames[1], [resolutionStart]: phaseNames[2] };
+
+        const lines = [];
+        scans.forEach((scan, ind) => {
+            if (phaseStarts[ind] !== undefined) {
+                if (ind > 0) lines.push("");
+                lines.push(`# ${phaseStarts[ind]}`);
+            }
+            lines.push(`${scan.components.join(",")}: ${scan.Ss}-${scan.Se}, ${scan.Ah}, ${scan.Al};`);
+        });
+
+        return `${lines.join("\n")}\n`;
+    },
+
+    writeScanScript: function (scans, path = defaultScanScript) {
+        fs.writeFileSync(path, module.exports.serializeScanScript(scans));
+    },
+
+    // Checks the progressive JPEG rules libjpeg enforces (validate_script() in jcmaster.c) plus full
+    // coverage: every coefficient of every component must end with its least significant bit coded.
+    // Returns a list of problems, empty when the script is valid.
+    getScanScriptErrors: function (scans, nComponents = 3) {
+        const errors = [];
+
+        // Last Al coded for every coefficient, -1 while the coefficient has not been sent
+        const lastBitPos = [];
+        for (let c = 0; c < nComponents; c++) lastBitPos.push(new Array(64).fill(-1));
+
+        scans.forEach(({ components, Ss, Se, Ah, Al }, ind) => {
+            const error = (message) => errors.push(`Scan ${ind}: ${message}`);
+
+            if (components.length < 1 || components.length > 4) {
+                return error(`${components.length} components per scan, expected 1 to 4`);
+            }
+            for (let i = 0; i < components.length; i++) {
+                if (!(components[i] >= 0 && components[i] < nComponents)) {
+                    return error(`component ${components[i]} does not exist`);
+                }
+                if (i > 0 && components[i] <= components[i - 1]) {
+                    return error("components must be listed in increasing order");
+                }
+            }
+            if (!(Ss >= 0 && Ss <= Se && Se <= 63)) return error(`invalid spectral selection ${Ss}-${Se}`);
+            if (!(Ah >= 0 && Ah <= MAX_AH_AL && Al >= 0 && Al <= MAX_AH_AL)) {
+                return error(`invalid successive approximation ${Ah}, ${Al}`);
+            }
+            if (Ss === 0 && Se !== 0) return error("DC and AC coefficients cannot share a scan");
+            if (Ss !== 0 && components.length !== 1) return error("AC scans must contain a single component");
+
+            components.forEach((c) => {
+                const bitPos = lastBitPos[c];
+                if (Ss !== 0 && bitPos[0] < 0) error(`AC of component ${c} sent before its DC`);
+
+                for (let k = Ss; k <= Se; k++) {
+                    if (bitPos[k] < 0) {
+                        if (Ah !== 0) {
+                            error(`coefficient ${k} of component ${c} is refined before its first scan`);
+                            break;
+                        }
+                    } else if (bitPos[k] === 0) {
+                        error(`coefficient ${k} of component ${c} is already fully coded`);
+                        break;
+                    } else if (Ah !== bitPos[k] || Al !== Ah - 1) {
+                        error(
+                            `coefficient ${k} of component ${c} expected Ah=${bitPos[k]}, Al=${bitPos[k] - 1}` +
+                                ` after its previous scan`
+                        );
+                        break;
+                    }
+                    bitPos[k] = Al;
+                }
+            });
+        });
+
+        lastBitPos.forEach((bitPos, c) => {
+            const missing = bitPos.map((pos, k) => (pos !== 0 ? k : -1)).filter((k) => k !== -1);
+            if (missing.length > 0) {
+                errors.push(`Component ${c}: coefficients ${formatRanges(missing)} are not fully coded`);
+            }
+        });
+
+        return errors;
+    },
+
+    validateScanScript: function (scans, nComponents = 3) {
+        const errors = module.exports.getScanScriptErrors(scans, nComponents);
+        if (errors.length > 0) throw new Error(`Invalid scan script:\n${errors.join("\n")}`);
+    },
+
+    // The image is gray until the first scan with chroma (Cb or Cr) and its resolution only starts
+    // to improve with the first AC scan. Both are scan indexes, and therefore token ids.
+    getPhaseBoundaries: function (scans) {
+        let colorStart = scans.findIndex((scan) => scan.components.some((c) => c !== 0));
+        let resolutionStart = scans.findIndex((scan) => scan.Ss !== 0);
+        if (colorStart === -1) colorStart = scans.length;
+        if (resolutionStart === -1) resolutionStart = scans.length;
+
+        if (resolutionStart < colorStart) {
+            throw new Error(`AC scan ${resolutionStart} comes before the first color scan ${colorStart}`);
+        }
+
+        return {
+            colorStart,
+            resolutionStart,
+            lengths: {
+                [phaseNames[0]]: colorStart,
+                [phaseNames[1]]: resolutionStart - colorStart,
+                [phaseNames[2]]: scans.length - resolutionStart
+            }
+        };
+    },
+
+    // Same result as getPhase() in the contract, derived from the scan script
+    getPhase: function (scans, tokenId) {
+        const { colorStart, resolutionStart } = module.exports.getPhaseBoundaries(scans);
+
+        if (tokenId < colorStart) return phaseNames[0];
+        else if (tokenId < resolutionStart) return phaseNames[1];
+        else return phaseNames[2];
+    }
+};
+
+function parseInteger(text, ind) {
+    if (!/^\s*\d+\s*$/.test(text)) throw new Error(`Scan ${ind}: "${text.trim()}" is not an integer`);
+    return parseInt(text, 10);
+}
+
+// [1, 2, 3, 7] => "1-3, 7"
+function formatRanges(values) {
+    const ranges = [];
+    values.forEach((value) => {
+        const last = ranges[ranges.length - 1];
+        if (last && last[1] === value - 1) last[1] = value;
+        else ranges.push([value, value]);
+    });
+    return ranges.map(([from, to]) => (from === to ? `${from}` : `${from}-${to}`)).join(", ");
+}
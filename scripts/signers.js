@@ -0,0 +1,136 @@
+const fs = require("fs");
+const path = require("path");
+const { execFileSync } = require("child_process");
+
+// Signer of a run, picked with JPEG_SIGNER in the environment or in .env (see .env.example):
+//     keystore    encrypted JSON keystore JPEG_KEYSTORE, unlocked with JPEG_KEYSTORE_PASSWORD
+//     mnemonic    account JPEG_HD_PATH of JPEG_MNEMONIC
+//     ledger      account JPEG_HD_PATH of a Ledger plugged over USB
+// Without JPEG_SIGNER scripts use the accounts of the network in hardhat.config.js. Secrets come from the
+// environment or .env (see .env.example), never from the repository, which getSigner() checks.
+
+const defaultHDPath = "m/44'/60'/0'/0/0";
+const signerTypes = ["keystore", "mnemonic", "ledger"];
+
+// Public mnemonic of the Hardhat network accounts, not a secret
+const hardhatMnemonic = "test test test test test test test test test test test junk";
+
+// Raw private keys and mnemonics written in code or config, each with the name it is assigned to
+const plaintextKeyPatterns = [
+    /(?:private_?key|priv_?key|secret)["'`]?\s*[:=(]\s*["'`]?(?:0x)?[0-9a-f]{64}\b/i,
+    /accounts\s*:\s*\[\s*["'`](?:0x)?[0-9a-f]{64}\b/i,
+    /Wallet\(\s*["'`](?:0x)?[0-9a-f]{64}\b/i,
+    /mnemonic["'`]?\s*[:=(]\s*["'`]([a-z]+(?: [a-z]+){11,23})["'`]/i
+];
+
+// Files scanned for keys, the bigger ones are image data
+const scannedExtensions = [".js", ".json", ".ts", ".sol", ".sh", ".md", ".txt", ".yml", ".yaml"];
+const maxScannedSize = 5e6;
+
+const repositoryRoot = path.join(__dirname, "..");
+
+module.exports = {
+    defaultHDPath: defaultHDPath,
+    signerTypes: signerTypes,
+
+    // Signer of JPEG_SIGNER connected to the network, or account (address or index, 0 by default) of
+    // the network when JPEG_SIGNER is not set. Throws first if the repository has a plaintext key.
+    getSigner: async function (ethers, account, env = process.env) {
+        module.exports.checkNoPlaintextKeys(repositoryRoot);
+
+        const type = env.JPEG_SIGNER;
+        if (!type) return getNetworkSigner(ethers, account === undefined ? "0" : account);
+
+        if (account !== undefined) throw new Error(`An account cannot be picked with JPEG_SIGNER=${type}`);
+        const hdPath = env.JPEG_HD_PATH || defaultHDPath;
+
+        switch (type) {
+            case "keystore": {
+                if (!env.JPEG_KEYSTORE) throw new Error("JPEG_SIGNER=keystore needs JPEG_KEYSTORE");
+                if (!env.JPEG_KEYSTORE_PASSWORD) throw new Error("JPEG_SIGNER=keystore needs JPEG_KEYSTORE_PASSWORD");
+                const json = fs.readFileSync(env.JPEG_KEYSTORE, "utf8");
+                const wallet = await ethers.Wallet.fromEncryptedJson(json, env.JPEG_KEYSTORE_PASSWORD);
+                return wallet.connect(ethers.provider);
+            }
+            case "mnemonic":
+                if (!env.JPEG_MNEMONIC) throw new Error("JPEG_SIGNER=mnemonic needs JPEG_MNEMONIC");
+                return ethers.Wallet.fromMnemonic(env.JPEG_MNEMONIC, hdPath).connect(ethers.provider);
+            case "ledger": {
+                const { LedgerSigner } = require("@ethersproject/hardware-wallets");
+                return new LedgerSigner(ethers.provider, "hid", hdPath);
+            }
+            default:
+                throw new Error(`Unknown JPEG_SIGNER "${type}", use ${signerTypes.join(", ")}`);
+        }
+    },
+
+    // Lines of text holding a raw private key or mnemonic (1-based)
+    findPlaintextKeys: function (text) {
+        const lines = [];
+        text.split("\n").forEach((line, ind) => {
+            const found = plaintextKeyPatterns.some((pattern) => {
+                const match = line.match(pattern);
+                return match && match[1] !== hardhatMnemonic;
+            });
+            if (found) lines.push(ind + 1);
+        });
+        return lines;
+    },
+
+    // Throws if a file of the repository (tracked or not ignored) has a plaintext key. Secrets belong
+    // in the environment or in .env, which git ignores.
+    checkNoPlaintextKeys: function (root) {
+        const found = [];
+        listRepositoryFiles(root)
+            .filter((file) => scannedExtensions.includes(path.extname(file)))
+            .forEach((file) => {
+                const fullPath = path.join(root, file);
+                if (!fs.existsSync(fullPath) || fs.statSync(fullPath).size > maxScannedSize) return;
+
+                module.exports
+                    .findPlaintextKeys(fs.readFileSync(fullPath, "utf8"))
+                    .forEach((line) => found.push(`${file}:${line}`));
+            });
+
+        if (found.length > 0) {
+            throw new Error(
+                `Plaintext keys found in ${found.join(", ")}. Move them to .env or use a keystore or a Ledger.`
+            );
+        }
+    }
+};
+
+async function getNetworkSigner(ethers, account) {
+    if (ethers.utils.isAddress(account)) return ethers.getSigner(account);
+
+    const signers = await ethers.getSigners();
+    const ind = Number(account);
+    if (!Number.isInteger(ind) || ind < 0 || ind >= signers.length) {
+        throw new Error(`Account ${account} is neither an address nor one of the ${signers.length} of the network`);
+    }
+    return signers[ind];
+}
+
+// Files git would commit, or every file outside dependencies and build output without git
+function listRepositoryFiles(root) {
+    try {
+        const output = execFileSync("git", ["ls-files", "--cached", "--others", "--exclude-standard"], {
+            cwd: root,
+            encoding: "utf8",
+            stdio: ["ignore", "pipe", "ignore"],
+            maxBuffer: 64e6
+        });
+        return output.split("\n").filter((file) => file !== "");
+    } catch (error) {
+        return walk(root, "");
+    }
+}
+
+function walk(root, dir) {
+    const skipped = ["node_modules", ".git", "cache", "artifacts", "build", "images"];
+    return fs.readdirSync(path.join(root, dir), { withFileTypes: true }).flatMap((entry) => {
+        const file = path.join(dir, entry.name);
+        if (entry.isDirectory()) return skipped.includes(entry.name) ? [] : walk(root, file);
+        return [file];
+    });
+}
@@ -0,0 +1,108 @@
+const fs = require("fs");
+const path = require("path");
+const { ethers } = require("ethers");
+const jpegEncoder = require("./jpegEncoder.js");
+const jpegDecoder = require("./jpegDecoder.js");
+const preview = require("./preview.js");
+
+// Small baseline JPEGs of every token state for wallets and marketplaces, which choke on the data URL
+// of tokenURI(). They are rendered from the mined scans like the token images, so anyone can make
+// them again from the full JPEG and check them against their hashes.
+
+const defaultWidths = [512];
+
+// Hashes of all the thumbnails of a directory, next to one subdirectory per width
+const thumbnailHashes = "hashes.json";
+
+module.exports = {
+    defaultWidths: defaultWidths,
+
+    // { quality, widths: { [width]: [JPEG of every token] } }
+    renderThumbnails: function (JPEG, { widths = defaultWidths, quality = 85 } = {}) {
+        widths.forEach((width) => {
+            if (!Number.isInteger(width) || width < 1) throw new Error(`Invalid thumbnail width ${width}`);
+        });
+
+        const thumbnails = { quality, widths: {} };
+        widths.forEach((width) => (thumbnails.widths[width] = []));
+
+        jpegDecoder.decodeCoefficients(JPEG, (coefficients) => {
+            const image = jpegDecoder.renderImage(coefficients);
+            widths.forEach((width) => {
+                const thumbnail = preview.resizeImage(image, width);
+                thumbnails.widths[width].push(jpegEncoder.encodeBaselineJPEG(thumbnail, { quality }));
+            });
+        });
+
+        return thumbnails;
+    },
+
+    // Same shape with the keccak256 of every JPEG instead of its data
+    hashThumbnails: function ({ quality, widths }) {
+        const hashes = { quality, widths: {} };
+        Object.keys(widths).forEach((width) => {
+            hashes.widths[width] = widths[width].map((data) => ethers.utils.keccak256(data));
+        });
+        return hashes;
+    },
+
+    // Relative path of a thumbnail, in bundles and in the frontend
+    thumbnailFile: function (width, tokenId) {
+        return `${width}/${String(tokenId).padStart(3, "0")}.jpg`;
+    },
+
+    saveThumbnails: function (thumbnails, dir) {
+        const hashes = module.exports.hashThumbnails(thumbnails);
+        Object.keys(thumbnails.widths).forEach((width) => {
+            fs.mkdirSync(path.join(dir, String(width)), { recursive: true });
+            thumbnails.widths[width].forEach((data, tokenId) =>
+                fs.writeFileSync(path.join(dir, module.exports.thumbnailFile(width, tokenId)), data)
+            );
+        });
+        fs.writeFileSync(path.join(dir, thumbnailHashes), JSON.stringify(hashes, undefined, 2));
+        return hashes;
+    },
+
+    // Reads thumbnails back, checking every file against its hash. null if dir has none.
+    loadThumbnails: function (dir, nTokens) {
+        const hashesFile = path.join(dir, thumbnailHashes);
+        if (!fs.existsSync(hashesFile)) return null;
+
+        const hashes = JSON.parse(fs.readFileSync(hashesFile, "utf8"));
+        const thumbnails = { quality: hashes.quality, widths: {} };
+        Object.keys(hashes.widths).forEach((width) => {
+            if (hashes.widths[width].length !== nTokens) {
+                throw new Error(`${dir} has ${hashes.widths[width].length} thumbnails ${width} wide, not ${nTokens}`);
+            }
+
+            thumbnails.widths[width] = hashes.widths[width].map((hash, tokenId) => {
+                const data = fs.readFileSync(path.join(dir, module.exports.thumbnailFile(width, tokenId)));
+                if (ethers.utils.keccak256(data) !== hash) {
+                    throw new Error(
+                        `Thumbnail ${module.exports.thumbnailFile(width, tokenId)} does not match its hash`
+                    );
+                }
+                return data;
+            });
+        });
+
+        return thumbnails;
+    },
+
+    // Throws unless the thumbnails are exactly what the JPEG renders to
+    verifyThumbnails: function (JPEG, thumbnails) {
+        const widths = Object.keys(thumbnails.widths).map(Number);
+        const expected = module.exports.hashThumbnails(
+            module.exports.renderThumbnails(JPEG, { widths, quality: thumbnails.quality })
+        );
+        const actual = module.exports.hashThumbnails(thumbnails);
+
+        widths.forEach((width) => {
+            expected.widths[width].forEach((hash, tokenId) => {
+                if (actual.widths[width][tokenId] !== hash) {
+                    throw new Error(`Thumbnail ${tokenId} ${width} wide is not a rendering of the image`);
+                }
+            });
+        });
+    }
+};
@@ -0,0 +1,103 @@
+const fs = require("fs");
+const path = require("path");
+const scanScript = require("./scanScript.js");
+
+// Constants of JPEGminerBase.sol, read from its source so that they cannot drift from the contract
+const contractSource = fs.readFileSync(path.join(__dirname, "..", "contracts", "JPEGminerBase.sol"), "utf8");
+const NSCANS = Number(readConstant("NSCANS"));
+const NAME = readConstant("_NAME");
+const DESCRIPTION = readConstant("_DESCRIPTION");
+// First tokens of the color and resolution phases in getPhase()
+const COLOR_START = Number(readConstant("COLOR_START"));
+const RESOLUTION_START = Number(readConstant("RESOLUTION_START"));
+
+const FOOTER_B64 = "/9k=";
+const FOOTER = Buffer.from([0xff, 0xd9]);
+
+// Reproduces tokenURI() of JPEGminer.sol and JPEGminerBinary.sol off-chain, which is too expensive to
+// eth_call for the last tokens. Shards are the ones returned by getShards, in either mode.
+module.exports = {
+    NSCANS: NSCANS,
+    NAME: NAME,
+    DESCRIPTION: DESCRIPTION,
+    COLOR_START: COLOR_START,
+    RESOLUTION_START: RESOLUTION_START,
+
+    // Same result as getPhase() in the contract
+    getPhase: function (tokenId) {
+        if (!(tokenId >= 0 && tokenId < NSCANS)) throw new Error(`Token ${tokenId} does not exist`);
+
+        if (tokenId < COLOR_START) return scanScript.phaseNames[0];
+        else if (tokenId < RESOLUTION_START) return scanScript.phaseNames[1];
+        else return scanScript.phaseNames[2];
+    },
+
+    // Base64 JPEG of the token: the header, scans 0 to tokenId and the footer. Binary shards are
+    // concatenated before encoding, Base64 ones are already padded to be concatenated as they are.
+    getImageB64: function ({ mode, header, scans }, tokenId) {
+        checkScans(scans, tokenId);
+        const tokenScans = scans.slice(0, tokenId + 1);
+
+        if (mode === "binary") {
+            return Buffer.concat([toBuffer(header), ...tokenScans.map(toBuffer), FOOTER]).toString("base64");
+        }
+        return header + tokenScans.join("") + FOOTER_B64;
+    },
+
+    // Value of the kilobytes attribute: the scans only, in Base64 in both modes as _lengthB64() counts them,
+    // rounded down as in mergeScans()
+    getKilobytes: function ({ mode, scans }, tokenId) {
+        checkScans(scans, tokenId);
+        const lengthB64 = (scan) => (mode === "binary" ? 4 * Math.ceil(toBuffer(scan).length / 3) : scan.length);
+        return Math.floor(scans.slice(0, tokenId + 1).reduce((sum, scan) => sum + lengthB64(scan), 0) / 1024);
+    },
+
+    // Byte for byte the data URL tokenURI(tokenId) returns once the token is mined
+    getTokenURI: function (shards, tokenId) {
+        return (
+            "data:application/json;charset=UTF-8,%7B%22name%22%3A %22" +
+            `${NAME}%3A ${tokenId + 1} of ${NSCANS}` +
+            `%22, %22description%22%3A %22${DESCRIPTION}` +
+            "%22, %22image%22%3A %22data%3Aimage/jpeg;base64," +
+            module.exports.getImageB64(shards, tokenId) +
+            "%22,%22attributes%22%3A %5B%7B%22trait_type%22%3A %22kilobytes%22, %22value%22%3A " +
+            module.exports.getKilobytes(shards, tokenId) +
+            "%7D, %7B%22trait_type%22%3A %22phase%22, %22value%22%3A %22" +
+            module.exports.getPhase(tokenId) +
+            "%22%7D%5D%7D"
+        );
+    },
+
+    // JSON metadata of a tokenURI() data URL. Only well-formed %XX escapes are decoded, like
+    // browsers do, because the contract description has a few broken ones ("%2 ").
+    parseTokenURI: function (uri) {
+        const prefix = "data:application/json;charset=UTF-8,";
+        if (!uri.startsWith(prefix)) throw new Error("Not a tokenURI() data URL");
+
+        const json = uri
+            .slice(prefix.length)
+            .replace(/%([0-9a-fA-F]{2})/g, (escape, hex) => String.fromCharCode(parseInt(hex, 16)));
+        return JSON.parse(json);
+    }
+};
+
+// Value of a constant of the contract: a number, or its string literals joined like Solidity does. The
+// literals have no escape sequences, the description escapes its characters for the data URL instead.
+function readConstant(name) {
+    const match = contractSource.match(new RegExp(`constant ${name} =([^;]*);`));
+    if (match === null) throw new Error(`${name} is not a constant of JPEGminerBase.sol`);
+
+    const literals = match[1].match(/"[^"]*"/g);
+    if (literals === null) return match[1].trim();
+    return literals.map((literal) => literal.slice(1, -1)).join("");
+}
+
+function checkScans(scans, tokenId) {
+    if (!(tokenId >= 0 && tokenId < NSCANS)) throw new Error(`Token ${tokenId} does not exist`);
+    if (tokenId >= scans.length) throw new Error(`Token ${tokenId} needs ${tokenId + 1} scans`);
+}
+
+// 0x-prefixed hex of a binary shard
+function toBuffer(hex) {
+    return Buffer.from(hex.slice(2), "hex");
+}
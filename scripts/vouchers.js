@@ -0,0 +1,138 @@
+const fs = require("fs");
+const path = require("path");
+const reservations = require("../frontend/src/contracts/reservations.js");
+
+// Vouchers of curated drops: the owner of a collection signs one EIP-712 reservation per miner, which
+// mineReserved() checks. Reservations are listed in a CSV file with the header miner,scan,notBefore,notAfter
+// where scan, notBefore and notAfter can be empty or "any" for no restriction, and times are seconds
+// since the epoch or ISO dates, and the scans of the reservations are reserved with jpeg:reserveScans:
+//     miner,scan,notBefore,notAfter
+//     0x1234...,0,,
+//     0x5678...,any,2022-03-01T00:00:00Z,2022-03-02T00:00:00Z
+// The voucher file format is described in frontend/src/contracts/reservations.js.
+
+const csvColumns = ["miner", "scan", "notBefore", "notAfter"];
+
+module.exports = {
+    csvColumns: csvColumns,
+
+    // Reservations of a CSV file, see the header. Each voucher mines one token, and each miner has one.
+    parseReservations: function (ethers, text) {
+        const [header, ...lines] = text
+            .split("\n")
+            .map((line) => line.trim())
+            .filter((line) => line !== "");
+        if (header === undefined || header.replace(/\s/g, "") !== csvColumns.join(",")) {
+            throw new Error(`Reservations need the header ${csvColumns.join(",")}`);
+        }
+
+        const miners = new Set();
+        return lines.map((line, ind) => {
+            const cells = line.split(",").map((cell) => cell.trim());
+            const where = `line ${ind + 2}`;
+            if (cells.length !== csvColumns.length) {
+                throw new Error(`${csvColumns.length} columns expected on ${where}`);
+            }
+
+            const [miner, scan, notBefore, notAfter] = cells;
+            if (!ethers.utils.isAddress(miner)) throw new Error(`"${miner}" on ${where} is not an address`);
+            const reservation = {
+                miner: ethers.utils.getAddress(miner),
+                scan: parseScan(scan, where),
+                notBefore: parseTime(notBefore, where),
+                notAfter: parseTime(notAfter, where)
+            };
+
+            if (miners.has(reservation.miner)) throw new Error(`${reservation.miner} is reserved twice, on ${where}`);
+            miners.add(reservation.miner);
+            if (reservation.notBefore !== null && reservation.notAfter !== null) {
+                if (reservation.notBefore > reservation.notAfter) throw new Error(`Empty time window on ${where}`);
+            }
+            return reservation;
+        });
+    },
+
+    // Throws if a reserved scan is not one of the collection's, or is reserved twice
+    checkReservations: function (list, nScans) {
+        const scans = new Set();
+        list.filter(({ scan }) => scan !== null).forEach(({ miner, scan }) => {
+            if (scan >= nScans) throw new Error(`Scan ${scan} of ${miner} is not one of the ${nScans} scans`);
+            if (scans.has(scan)) throw new Error(`Scan ${scan} is reserved twice`);
+            scans.add(scan);
+        });
+    },
+
+    // Scans the reservations are for which the collection does not reserve, so that mine() and
+    // vouchers of any scan could take them first, see setReservedScans() of JPEGcollection.sol
+    getUnreservedScans: async function (collection, list) {
+        const unreserved = [];
+        for (const { scan } of list) {
+            if (scan !== null && !(await collection.reservedScans(scan))) unreserved.push(scan);
+        }
+        return unreserved;
+    },
+
+    // Voucher file of the reservations, signed by signer for the collection at address on chainId
+    signVouchers: async function (signer, { chainId, address }, list) {
+        const domain = reservations.getReservationDomain(chainId, address);
+        const vouchers = [];
+        // One at a time, hardware wallets sign one message at a time
+        for (const reservation of list) {
+            const signature = await signer._signTypedData(
+                domain,
+                reservations.reservationTypes,
+                reservations.toReservation(reservation)
+            );
+            vouchers.push({ ...reservation, signature });
+        }
+
+        return {
+            version: reservations.VOUCHERS_VERSION,
+            chainId,
+            contract: address,
+            signer: await signer.getAddress(),
+            vouchers
+        };
+    },
+
+    loadVouchers: function (file) {
+        return JSON.parse(fs.readFileSync(file, "utf8"));
+    },
+
+    saveVouchers: function (file, vouchers) {
+        fs.mkdirSync(path.dirname(file), { recursive: true });
+        fs.writeFileSync(file, JSON.stringify(vouchers, undefined, 2));
+        return file;
+    },
+
+    // Writes every voucher alone in dir/<miner>.json, the file each miner loads in the frontend.
+    // Returns the files written.
+    splitVouchers: function (dir, file) {
+        return file.vouchers.map((voucher) =>
+            module.exports.saveVouchers(path.join(dir, `${voucher.miner.toLowerCase()}.json`), {
+                ...file,
+                vouchers: [voucher]
+            })
+        );
+    }
+};
+
+function parseScan(cell, where) {
+    if (isOpen(cell)) return null;
+    if (!/^\d+$/.test(cell)) throw new Error(`Scan "${cell}" on ${where} is not a token index`);
+    return Number(cell);
+}
+
+// Seconds since the epoch, from seconds or an ISO date
+function parseTime(cell, where) {
+    if (isOpen(cell)) return null;
+    if (/^\d+$/.test(cell)) return Number(cell);
+
+    const time = Date.parse(cell);
+    if (Number.isNaN(time)) throw new Error(`Time "${cell}" on ${where} is neither seconds nor an ISO date`);
+    return Math.floor(time / 1000);
+}
+
+function isOpen(cell) {
+    return cell === "" || cell.toLowerCase() === "any";
+}
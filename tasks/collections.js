@@ -0,0 +1,232 @@
+const { types } = require("hardhat/config");
+
+// Tasks for the factory of collections and the collections it creates, see scripts/collections.js.
+// Once created, a collection is operated like the main contract by passing its manifest, e.g.
+// "npx hardhat jpeg:status --manifest frontend/public/collections/<address>.json". Collections created
+// with --reserved are mined with the vouchers of jpeg:vouchers, see scripts/vouchers.js, and the scans
+// of vouchers are kept to them with jpeg:reserveScans.
+
+task("jpeg:factory", "Deploys the JPEGcollection implementation and the factory of its clones")
+    .addOptionalParam("account", "Address or index of the deploying account (0 unless JPEG_SIGNER is set)")
+    .addOptionalParam("maxFee", "Max fee per gas in gwei (by default the network's)", undefined, types.float)
+    .addOptionalParam("priorityFee", "Max priority fee per gas in gwei", undefined, types.float)
+    .setAction(async ({ account, maxFee, priorityFee }) => {
+        const operator = require("../scripts/operator.js");
+        const signers = require("../scripts/signers.js");
+        const collections = require("../scripts/collections.js");
+
+        const signer = await signers.getSigner(ethers, account);
+        const feeOverrides = await operator.getFeeOverrides(ethers, {
+            maxFeePerGas: maxFee,
+            maxPriorityFeePerGas: priorityFee
+        });
+
+        console.log(`Deploying with ${await signer.getAddress()} on ${network.name}...`);
+        const factory = await collections.deployFactory(ethers, signer, feeOverrides);
+        console.log(`${collections.FACTORY_CONTRACT} address: ${factory.address}`);
+        console.log(`    Implementation: ${await factory.implementation()}`);
+    });
+
+task("jpeg:collection", "Creates a collection from a binary bundle with the factory and writes its manifest")
+    .addParam("factory", "Address of the JPEGfactory")
+    .addParam("name", "Name of the collection and its tokens")
+    .addParam("symbol", "Symbol of the collection")
+    .addOptionalParam("description", "Description of the tokens", "")
+    .addOptionalParam("descriptionFile", "Text file with the description, instead of --description")
+    .addOptionalParam("bundle", "Bundle directory made with jpeg:prepare --collection")
+    .addFlag("reserved", "Only the holders of vouchers can mine, until jpeg:publicMining --enabled true")
+    .addOptionalParam("account", "Address or index of the owner account (0 unless JPEG_SIGNER is set)")
+    .addOptionalParam("maxFee", "Max fee per gas in gwei (by default the network's)", undefined, types.float)
+    .addOptionalParam("priorityFee", "Max priority fee per gas in gwei", undefined, types.float)
+    .setAction(async (args) => {
+        const { factory: factoryAddress, name, symbol, description, descriptionFile, bundle } = args;
+        const fs = require("fs");
+        const utils = require("../scripts/functions.js");
+        const bundles = require("../scripts/bundle.js");
+        const operator = require("../scripts/operator.js");
+        const signers = require("../scripts/signers.js");
+        const collections = require("../scripts/collections.js");
+        const contractManifest = require("../frontend/src/contracts/manifest.js");
+
+        const loaded = bundles.loadBundle(bundle || utils.getBundleDir());
+        if (loaded.shards.contractName !== collections.COLLECTION_CONTRACT) {
+            throw new Error(`${loaded.dir} is not the bundle of a collection, make it with jpeg:prepare --collection`);
+        }
+        const collectionArguments = collections.getCollectionArguments(loaded, {
+            name,
+            symbol,
+            description: descriptionFile ? fs.readFileSync(descriptionFile, "utf8").trim() : description,
+            publicMining: !args.reserved
+        });
+
+        const signer = await signers.getSigner(ethers, args.account);
+        const feeOverrides = await operator.getFeeOverrides(ethers, {
+            maxFeePerGas: args.maxFee,
+            maxPriorityFeePerGas: args.priorityFee
+        });
+        const factory = (await ethers.getContractFactory(collections.FACTORY_CONTRACT, signer)).attach(factoryAddress);
+
+        console.log(`Creating ${name} (${loaded.manifest.nScans} scans) with ${await signer.getAddress()}...`);
+        const { collection, receipt } = await collections.createCollection(
+            ethers,
+            factory,
+            collectionArguments,
+            feeOverrides
+        );
+
+        const manifest = contractManifest.createManifest({
+            contract: {
+                name: collections.COLLECTION_CONTRACT,
+                address: collection.address,
+                chainId: (await ethers.provider.getNetwork()).chainId,
+                deploymentBlock: receipt.blockNumber,
+                deploymentTxHash: receipt.transactionHash
+            },
+            shards: loaded.shards,
+            phases: loaded.manifest.phases,
+            gasCurve: loaded.gasFees.curve,
+            // The frontend serves the thumbnails of the main contract only
+            gasMintingFees: loaded.gasFees.gasMintingFees
+        });
+        // Never publish a manifest the contract would reject
+        await contractManifest.validateManifest(manifest, collection);
+        const file = collections.saveCollectionManifest(manifest);
+
+        console.log(`Collection address: ${collection.address}`);
+        console.log(`Manifest written to ${file}, the frontend opens it with ?collection=${collection.address}`);
+    });
+
+task("jpeg:collections", "Lists the collections of a factory")
+    .addParam("factory", "Address of the JPEGfactory")
+    .setAction(async ({ factory: factoryAddress }) => {
+        const collections = require("../scripts/collections.js");
+
+        const factory = (await ethers.getContractFactory(collections.FACTORY_CONTRACT)).attach(factoryAddress);
+        const list = await collections.getCollections(ethers, factory);
+
+        console.log(`${list.length} collections of ${factoryAddress} on ${network.name}`);
+        list.forEach(({ address, name, symbol, supply, nScans, owner }) =>
+            console.log(`    ${address} ${name} (${symbol}): ${supply}/${nScans} mined, owned by ${owner}`)
+        );
+    });
+
+task("jpeg:vouchers", "Signs the reservations of a CSV file as vouchers of a collection, with its owner")
+    .addParam("manifest", "Manifest of the collection")
+    .addParam("reservations", "CSV file of reservations, see scripts/vouchers.js")
+    .addOptionalParam("out", "Voucher file to write", "vouchers.json")
+    .addOptionalParam("split", "Directory to also write the voucher of every miner to, alone in <miner>.json")
+    .addOptionalParam("account", "Address or index of the owner account (0 unless JPEG_SIGNER is set)")
+    .setAction(async ({ manifest: manifestFile, reservations: reservationsFile, out, split, account }) => {
+        const fs = require("fs");
+        const operator = require("../scripts/operator.js");
+        const signers = require("../scripts/signers.js");
+        const collections = require("../scripts/collections.js");
+        const vouchers = require("../scripts/vouchers.js");
+        const reservations = require("../frontend/src/contracts/reservations.js");
+
+        const manifest = operator.loadManifest(manifestFile);
+        if (manifest.contract.name !== collections.COLLECTION_CONTRACT) {
+            throw new Error(`Only collections of the factory have reservations, not ${manifest.contract.name}`);
+        }
+        const collection = await operator.attachContract(ethers, manifest);
+        const signer = await signers.getSigner(ethers, account);
+        const address = await signer.getAddress();
+        const owner = await collection.owner();
+        if (address.toLowerCase() !== owner.toLowerCase()) {
+            throw new Error(`Only the owner ${owner} can sign vouchers, not ${address}`);
+        }
+
+        const list = vouchers.parseReservations(ethers, fs.readFileSync(reservationsFile, "utf8"));
+        vouchers.checkReservations(list, (await collection.NSCANS()).toNumber());
+        const unreserved = await vouchers.getUnreservedScans(collection, list);
+        if (unreserved.length > 0) {
+            throw new Error(
+                `Scans ${unreserved.join(",")} are not reserved, anyone could mine them first: ` +
+                    `npx hardhat jpeg:reserveScans --manifest ${manifestFile} --scans ${unreserved.join(",")}`
+            );
+        }
+
+        console.log(`Signing ${list.length} vouchers with ${address}...`);
+        const file = await vouchers.signVouchers(signer, manifest.contract, list);
+        reservations.checkVoucherFile(file, manifest);
+        // Every voucher has the same domain and types, so the first one tells whether the contract
+        // hashes them the same
+        if (list.length > 0) {
+            const { chainId, address: contract } = manifest.contract;
+            const reservation = reservations.toReservation(list[0]);
+            const digest = ethers.utils._TypedDataEncoder.hash(
+                reservations.getReservationDomain(chainId, contract),
+                reservations.reservationTypes,
+                reservation
+            );
+            if (digest !== (await collection.hashReservation(reservation))) {
+                throw new Error("The collection hashes reservations differently, its vouchers would be rejected");
+            }
+        }
+
+        console.log(`Vouchers written to ${vouchers.saveVouchers(out, file)}`);
+        if (split !== undefined) {
+            console.log(`${vouchers.splitVouchers(split, file).length} voucher files written to ${split}`);
+        }
+    });
+
+task("jpeg:publicMining", "Lets anyone mine a collection, or only the holders of its vouchers")
+    .addParam("manifest", "Manifest of the collection")
+    .addParam("enabled", "Whether anyone can mine", undefined, types.boolean)
+    .addOptionalParam("account", "Address or index of the owner account (0 unless JPEG_SIGNER is set)")
+    .addOptionalParam("maxFee", "Max fee per gas in gwei (by default the network's)", undefined, types.float)
+    .addOptionalParam("priorityFee", "Max priority fee per gas in gwei", undefined, types.float)
+    .setAction(async ({ manifest: manifestFile, enabled, account, maxFee, priorityFee }) => {
+        const operator = require("../scripts/operator.js");
+        const signers = require("../scripts/signers.js");
+        const collections = require("../scripts/collections.js");
+
+        const manifest = operator.loadManifest(manifestFile);
+        if (manifest.contract.name !== collections.COLLECTION_CONTRACT) {
+            throw new Error(`Only collections of the factory have reservations, not ${manifest.contract.name}`);
+        }
+        const collection = await operator.attachContract(ethers, manifest);
+        const signer = await signers.getSigner(ethers, account);
+        const feeOverrides = await operator.getFeeOverrides(ethers, {
+            maxFeePerGas: maxFee,
+            maxPriorityFeePerGas: priorityFee
+        });
+
+        const receipt = await (await collection.connect(signer).setPublicMining(enabled, feeOverrides)).wait();
+        const miners = enabled ? "Anyone" : "Only the holders of vouchers";
+        console.log(`${miners} can mine ${collection.address}, set in ${receipt.transactionHash}`);
+    });
+
+task("jpeg:reserveScans", "Keeps scans of a collection to their vouchers, or lets anyone mine them again")
+    .addParam("manifest", "Manifest of the collection")
+    .addParam("scans", "Comma separated scans, e.g. 0,3")
+    .addOptionalParam("reserved", "Whether only the vouchers of the scans mine them", true, types.boolean)
+    .addOptionalParam("account", "Address or index of the owner account (0 unless JPEG_SIGNER is set)")
+    .addOptionalParam("maxFee", "Max fee per gas in gwei (by default the network's)", undefined, types.float)
+    .addOptionalParam("priorityFee", "Max priority fee per gas in gwei", undefined, types.float)
+    .setAction(async ({ manifest: manifestFile, scans, reserved, account, maxFee, priorityFee }) => {
+        const operator = require("../scripts/operator.js");
+        const signers = require("../scripts/signers.js");
+        const collections = require("../scripts/collections.js");
+
+        const manifest = operator.loadManifest(manifestFile);
+        if (manifest.contract.name !== collections.COLLECTION_CONTRACT) {
+            throw new Error(`Only collections of the factory have reservations, not ${manifest.contract.name}`);
+        }
+        const list = scans.split(",").map((scan) => {
+            if (!/^\d+$/.test(scan.trim())) throw new Error(`Scan "${scan}" is not a token index`);
+            return Number(scan);
+        });
+        const collection = await operator.attachContract(ethers, manifest);
+        const signer = await signers.getSigner(ethers, account);
+        const feeOverrides = await operator.getFeeOverrides(ethers, {
+            maxFeePerGas: maxFee,
+            maxPriorityFeePerGas: priorityFee
+        });
+
+        const receipt = await (await collection.connect(signer).setReservedScans(list, reserved, feeOverrides)).wait();
+        const miners = reserved ? "Only their vouchers" : "Anyone who can mine";
+        console.log(
+            `${miners} can mine scans ${list.join(",")} of ${collection.address}, set in ${receipt.transactionHash}`
+        );
+    });
@@ -0,0 +1,251 @@
+const fs = require("fs");
+const { types } = require("hardhat/config");
+
+// Image pipeline tasks. They run in-process and do not need a network.
+
+task("jpeg:balance", "Finds a scan script whose scans fit mine() and are as even as possible")
+    .addParam("input", "BMP or PNG image")
+    .addOptionalParam("scans", "Number of scans (and therefore tokens)", 100, types.int)
+    .addOptionalParam("script", "Scan script to start from", `${__dirname}/../scripts/scan_script.sh`)
+    .addOptionalParam("out", "File to write the balanced scan script to (printed if not given)")
+    .addOptionalParam("quality", "JPEG quality", 85, types.int)
+    .addOptionalParam("mode", "Shard mode, base64 or binary (by default the one in hardhat.config.js)")
+    .setAction(async ({ input, scans, script, out, quality, mode }) => {
+        const utils = require("../scripts/functions.js");
+        const jpegEncoder = require("../scripts/jpegEncoder.js");
+        const scanScript = require("../scripts/scanScript.js");
+        const scanOptimizer = require("../scripts/scanOptimizer.js");
+
+        const shardMode = mode || utils.getShardMode();
+        const image = jpegEncoder.readImage(fs.readFileSync(input));
+        const {
+            scans: balanced,
+            script: text,
+            distribution
+        } = scanOptimizer.balanceScans(image, {
+            scans: scanScript.readScanScript(script),
+            nScans: scans,
+            quality,
+            mode: shardMode
+        });
+
+        if (out) {
+            fs.writeFileSync(out, text);
+            console.log(`Scan script written to ${out}`);
+        } else {
+            console.log(text);
+        }
+
+        console.log("Phases:", scanScript.getPhaseBoundaries(balanced).lengths);
+        console.log(
+            `Scan sizes in ${shardMode}: min ${distribution.min}, max ${distribution.max}, mean ${distribution.mean},`,
+            `std ${distribution.std} (limit ${distribution.limit})`
+        );
+        distribution.sizes.forEach((size, ind) => console.log(`    Scan ${String(ind).padStart(3)}: ${size}`));
+    });
+
+task("jpeg:prepare", "Encodes an image and writes the bundle deploy.js and the tests use")
+    .addParam("input", "BMP or PNG image")
+    .addOptionalParam("out", "Bundle directory (by default the one in hardhat.config.js)")
+    .addOptionalParam("mode", "Shard mode, base64 or binary (by default the one in hardhat.config.js)")
+    .addOptionalParam("script", "Scan script", `${__dirname}/../scripts/scan_script.sh`)
+    .addOptionalParam("quality", "JPEG quality", 85, types.int)
+    .addOptionalParam("slope", "Total gas added per token", undefined, types.int)
+    .addOptionalParam("intercept", "Total gas of the first token", undefined, types.int)
+    .addOptionalParam("thumbnails", "Comma-separated thumbnail widths, empty for none", "512")
+    .addFlag("collection", "Bundle of a collection of the factory: binary, with as many tokens as scans")
+    .setAction(async ({ input, out, mode, script, quality, slope, intercept, thumbnails, collection }) => {
+        const utils = require("../scripts/functions.js");
+        const scanScript = require("../scripts/scanScript.js");
+        const bundles = require("../scripts/bundle.js");
+
+        checkInProcessNetwork("jpeg:prepare");
+
+        const dir = out || utils.getBundleDir();
+        const bundle = await bundles.prepareBundle(ethers, input, {
+            shardMode: mode || (collection ? "binary" : utils.getShardMode()),
+            quality,
+            scans: scanScript.readScanScript(script),
+            curve: getGasCurve(slope, intercept),
+            thumbnailWidths: parseWidths(thumbnails),
+            collection
+        });
+        bundles.saveBundle(bundle, dir);
+
+        const { manifest, JPEG, gasFees: fees } = bundle;
+        console.log(`Bundle of ${manifest.name} written to ${dir}`);
+        console.log(
+            `${manifest.width}x${manifest.height}, ${JPEG.length} bytes in ${manifest.nScans} ${manifest.shardMode} shards`
+        );
+        console.log("Phases:", scanScript.getPhaseBoundaries(bundle.scans).lengths);
+        console.log(`Minting fees from ${Math.min(...fees.gasMintingFees)} to ${Math.max(...fees.gasMintingFees)} gas`);
+        if (bundle.thumbnails) console.log("Thumbnail widths:", Object.keys(bundle.thumbnails.widths).join(", "));
+    });
+
+task("jpeg:fees", "Measures the gas of every mine() again and rewrites the minting fee table of a bundle")
+    .addOptionalParam("bundle", "Bundle directory (by default the one in hardhat.config.js)")
+    .addOptionalParam("slope", "Total gas added per token", undefined, types.int)
+    .addOptionalParam("intercept", "Total gas of the first token", undefined, types.int)
+    .setAction(async ({ bundle, slope, intercept }) => {
+        const path = require("path");
+        const utils = require("../scripts/functions.js");
+        const gasFees = require("../scripts/gasFees.js");
+        const bundles = require("../scripts/bundle.js");
+
+        checkInProcessNetwork("jpeg:fees");
+
+        const dir = bundle || utils.getBundleDir();
+        const { shards, hashes } = bundles.loadBundle(dir);
+        const curve = getGasCurve(slope, intercept);
+        const fees = await gasFees.measureGasFees(ethers, shards, hashes, curve);
+
+        gasFees.saveGasFees(fees, path.join(dir, bundles.bundleFiles.gasFees));
+        console.log(`Fee table for ${fees.txGas.length} ${shards.mode} scans written to ${dir}`);
+        console.log(
+            `Total gas goes from ${gasFees.getTotalGas(curve, 0)} to ${gasFees.getTotalGas(
+                curve,
+                fees.txGas.length - 1
+            )}`
+        );
+    });
+
+task("jpeg:preview", "Renders every token state of a bundle into a contact sheet and an animation")
+    .addOptionalParam("bundle", "Bundle directory (by default the one in hardhat.config.js)")
+    .addOptionalParam("out", "Preview directory (by default preview/ in the bundle)")
+    .addOptionalParam("width", "Width of the frames in pixels", 480, types.int)
+    .addOptionalParam("delay", "Milliseconds each frame of the animation is shown", 200, types.int)
+    .setAction(async ({ bundle, out, width, delay }) => {
+        const path = require("path");
+        const utils = require("../scripts/functions.js");
+        const bundles = require("../scripts/bundle.js");
+        const preview = require("../scripts/preview.js");
+
+        const dir = bundle || utils.getBundleDir();
+        const outDir = out || path.join(dir, "preview");
+        const progression = preview.savePreview(bundles.loadBundle(dir), outDir, { width, delay });
+
+        console.log(`Preview of ${progression.length} tokens written to ${outDir}`);
+        console.log(`    Contact sheet: ${path.join(outDir, preview.previewFiles.sheet)}`);
+        console.log(`    Animation:     ${path.join(outDir, preview.previewFiles.animation)}`);
+    });
+
+task("jpeg:quality", "Measures the quality of every token state and checks the phases the contract advertises")
+    .addOptionalParam("bundle", "Bundle directory (by default the one in hardhat.config.js)")
+    .addOptionalParam("out", "JSON file to write the report to")
+    .setAction(async ({ bundle, out }) => {
+        const utils = require("../scripts/functions.js");
+        const bundles = require("../scripts/bundle.js");
+        const quality = require("../scripts/quality.js");
+
+        const { JPEG } = bundles.loadBundle(bundle || utils.getBundleDir());
+        const metrics = quality.measureProgression(JPEG);
+        const recommended = quality.recommendPhases(metrics);
+        const advertised = quality.getAdvertisedPhases();
+        const errors = quality.getPhaseErrors(metrics);
+
+        console.log(quality.formatReport(metrics));
+        console.log("Recommended phases:", recommended.lengths);
+        console.log("getPhase() phases: ", advertised.lengths);
+        errors.forEach((error) => console.log(`    ${error}`));
+        if (errors.length === 0) console.log("The phases the contract advertises are true");
+
+        if (out) {
+            // Infinity (identical planes) becomes null in JSON
+            fs.writeFileSync(out, JSON.stringify({ recommended, advertised, errors, metrics }, undefined, 2));
+            console.log(`Report written to ${out}`);
+        }
+    });
+
+task("jpeg:thumbnails", "Renders the baseline thumbnails of every token state of a bundle")
+    .addOptionalParam("bundle", "Bundle directory (by default the one in hardhat.config.js)")
+    .addOptionalParam("widths", "Comma-separated thumbnail widths", "512")
+    .addOptionalParam("quality", "JPEG quality", 85, types.int)
+    .addFlag("verify", "Check the thumbnails of the bundle are renderings of its image instead")
+    .setAction(async ({ bundle, widths, quality, verify }) => {
+        const path = require("path");
+        const utils = require("../scripts/functions.js");
+        const bundles = require("../scripts/bundle.js");
+        const thumbnails = require("../scripts/thumbnails.js");
+
+        const dir = bundle || utils.getBundleDir();
+        const { JPEG, thumbnails: existing } = bundles.loadBundle(dir);
+
+        if (verify) {
+            if (!existing) throw new Error(`${dir} has no thumbnails, make them with "npx hardhat jpeg:thumbnails"`);
+            thumbnails.verifyThumbnails(JPEG, existing);
+            console.log("Thumbnails of every width match the image:", Object.keys(existing.widths).join(", "));
+            return;
+        }
+
+        const outDir = path.join(dir, bundles.bundleFiles.thumbnails);
+        const rendered = thumbnails.renderThumbnails(JPEG, { widths: parseWidths(widths), quality });
+        thumbnails.saveThumbnails(rendered, outDir);
+
+        console.log(`Thumbnails written to ${outDir}`);
+        Object.keys(rendered.widths).forEach((width) => {
+            const sizes = rendered.widths[width].map((data) => data.length);
+            console.log(`    ${width} wide: ${Math.min(...sizes)} to ${Math.max(...sizes)} bytes`);
+        });
+    });
+
+task("jpeg:campaign", "Simulates the cost of mining every token of a bundle under a base fee trajectory")
+    .addOptionalParam("bundle", "Bundle directory (by default the one in hardhat.config.js)")
+    .addOptionalParam(
+        "baseFee",
+        "Base fee trajectory: constant:GWEI, linear:FROM:TO, eip1559:GWEI:FULLNESS or file:JSON",
+        "constant:30"
+    )
+    .addOptionalParam("priorityFee", "Max priority fee per gas of the miners in gwei", 2, types.float)
+    .addOptionalParam("maxFeeMultiplier", "Miners offer this times the base fee plus the priority fee", 2, types.float)
+    .addOptionalParam("csv", "CSV file to write every mine to")
+    .addOptionalParam("json", "JSON file to write the parameters, summary and every mine to")
+    .setAction(async ({ bundle, baseFee, priorityFee, maxFeeMultiplier, csv, json }) => {
+        const utils = require("../scripts/functions.js");
+        const bundles = require("../scripts/bundle.js");
+        const campaign = require("../scripts/campaign.js");
+
+        const { shards, gasFees } = bundles.loadBundle(bundle || utils.getBundleDir());
+        const baseFees = campaign.getBaseFees(baseFee, shards.scans.length);
+        const simulated = campaign.simulateCampaign(ethers, gasFees, shards, {
+            baseFees,
+            priorityFee,
+            maxFeeMultiplier
+        });
+
+        console.log(campaign.formatSummary(ethers, simulated));
+        if (csv) {
+            campaign.saveCSV(ethers, simulated, csv);
+            console.log(`Mines written to ${csv}`);
+        }
+        if (json) {
+            campaign.saveJSON(ethers, simulated, json, {
+                baseFee,
+                priorityFee,
+                maxFeeMultiplier,
+                curve: gasFees.curve
+            });
+            console.log(`Campaign written to ${json}`);
+        }
+    });
+
+// Gas is measured by mining for real, so never do it on a live network
+function checkInProcessNetwork(taskName) {
+    if (network.name !== "hardhat") {
+        throw new Error(`${taskName} only runs on the in-process Hardhat network (drop --network)`);
+    }
+}
+
+function getGasCurve(slope, intercept) {
+    const { defaultGasCurve } = require("../scripts/gasFees.js");
+    return {
+        slope: slope === undefined ? defaultGasCurve.slope : slope,
+        intercept: intercept === undefined ? defaultGasCurve.intercept : intercept
+    };
+}
+
+function parseWidths(widths) {
+    return widths
+        .split(",")
+        .filter((width) => width.trim() !== "")
+        .map((width) => parseInt(width, 10));
+}
@@ -0,0 +1,196 @@
+const { types } = require("hardhat/config");
+
+// Tasks for the deployed contract of the frontend manifest. They work on any network of
+// hardhat.config.js, pick it with --network, and sign with JPEG_SIGNER if it is set.
+
+task("jpeg:status", "Shows the supply, next scan, phase, minting fee and balance of the deployed contract")
+    .addOptionalParam("manifest", "Contract manifest (by default the frontend one)")
+    .addOptionalParam("maxFee", "Max fee per gas in gwei (by default the network's)", undefined, types.float)
+    .setAction(async ({ manifest: manifestFile, maxFee }) => {
+        const operator = require("../scripts/operator.js");
+
+        const manifest = operator.loadManifest(manifestFile);
+        const jpegMiner = await operator.attachContract(ethers, manifest);
+        const feeOverrides = await operator.getFeeOverrides(ethers, { maxFeePerGas: maxFee });
+        const maxGasPrice = operator.getMaxGasPrice(feeOverrides);
+        const status = await operator.getStatus(jpegMiner, maxGasPrice);
+
+        console.log(`${manifest.contract.name} at ${jpegMiner.address} on ${network.name}`);
+        console.log(`    Owner:       ${status.owner}`);
+        console.log(`    Supply:      ${status.supply}/${status.nScans}`);
+        if (status.nextScan === null) {
+            console.log("    Mining is over");
+        } else {
+            console.log(`    Next scan:   ${status.nextScan} (${status.phase})`);
+            console.log(
+                `    Minting fee: ${status.mintingGasFee} gas, ${ethers.utils.formatEther(status.fee)} ETH at ` +
+                    `${ethers.utils.formatUnits(maxGasPrice, "gwei")} gwei`
+            );
+            console.log(`    Gas limit:   ${operator.getMiningGasLimit(manifest, status.nextScan)}`);
+        }
+        console.log(`    Balance:     ${ethers.utils.formatEther(status.balance)} ETH`);
+    });
+
+task("jpeg:mine", "Mines the next scan of the deployed contract")
+    .addOptionalParam("account", "Address or index of the mining account (0 unless JPEG_SIGNER is set)")
+    .addOptionalParam("index", "Scan to mine, refused unless it is the next one", undefined, types.int)
+    .addOptionalParam("manifest", "Contract manifest (by default the frontend one)")
+    .addOptionalParam("maxFee", "Max fee per gas in gwei (by default the network's)", undefined, types.float)
+    .addOptionalParam("priorityFee", "Max priority fee per gas in gwei", undefined, types.float)
+    .addOptionalParam("voucher", "Voucher file of a collection's reservation, made with jpeg:vouchers")
+    .setAction(async ({ account, index, manifest: manifestFile, maxFee, priorityFee, voucher: voucherFile }) => {
+        const operator = require("../scripts/operator.js");
+        const signers = require("../scripts/signers.js");
+        const vouchers = require("../scripts/vouchers.js");
+        const reservations = require("../frontend/src/contracts/reservations.js");
+
+        const manifest = operator.loadManifest(manifestFile);
+        const jpegMiner = await operator.attachContract(ethers, manifest);
+        const signer = await signers.getSigner(ethers, account);
+        const address = await signer.getAddress();
+        const feeOverrides = await operator.getFeeOverrides(ethers, {
+            maxFeePerGas: maxFee,
+            maxPriorityFeePerGas: priorityFee
+        });
+
+        let voucher;
+        if (voucherFile !== undefined) {
+            const file = vouchers.loadVouchers(voucherFile);
+            reservations.checkVoucherFile(file, manifest);
+            voucher = reservations.findVoucher(file, address);
+            if (voucher === null) throw new Error(`${voucherFile} has no voucher for ${address}`);
+        }
+
+        console.log(`Mining with ${address} on ${network.name}${voucher ? " with a reservation" : ""}...`);
+        const receipt = await operator.mine(jpegMiner, manifest, signer, index, feeOverrides, voucher);
+        const mined = receipt.events.find((event) => event.event === "Transfer");
+
+        console.log(`Mined token ${mined.args.tokenId} in ${receipt.transactionHash}`);
+        console.log(
+            `    ${receipt.gasUsed} gas at ${ethers.utils.formatUnits(receipt.effectiveGasPrice, "gwei")} gwei`
+        );
+    });
+
+task("jpeg:withdraw", "Withdraws the ETH, or an ERC20 token, the deployed contract holds to its owner")
+    .addOptionalParam("token", "ERC20 to withdraw instead of ETH")
+    .addOptionalParam("account", "Address or index of the owner account (0 unless JPEG_SIGNER is set)")
+    .addOptionalParam("manifest", "Contract manifest (by default the frontend one)")
+    .addOptionalParam("maxFee", "Max fee per gas in gwei (by default the network's)", undefined, types.float)
+    .addOptionalParam("priorityFee", "Max priority fee per gas in gwei", undefined, types.float)
+    .setAction(async ({ token, account, manifest: manifestFile, maxFee, priorityFee }) => {
+        const operator = require("../scripts/operator.js");
+        const signers = require("../scripts/signers.js");
+
+        const jpegMiner = await operator.attachContract(ethers, operator.loadManifest(manifestFile));
+        const signer = await signers.getSigner(ethers, account);
+        const feeOverrides = await operator.getFeeOverrides(ethers, {
+            maxFeePerGas: maxFee,
+            maxPriorityFeePerGas: priorityFee
+        });
+
+        const balance = await ethers.provider.getBalance(jpegMiner.address);
+        const receipt = await operator.withdraw(jpegMiner, signer, token, feeOverrides);
+
+        if (token === undefined) {
+            console.log(`Withdrew ${ethers.utils.formatEther(balance)} ETH in ${receipt.transactionHash}`);
+        } else {
+            console.log(`Withdrew the ${token} balance in ${receipt.transactionHash}`);
+        }
+    });
+
+task("jpeg:index", "Indexes the Mined and Transfer events of the deployed contract into a local JSON file")
+    .addOptionalParam("manifest", "Contract manifest (by default the frontend one)")
+    .addOptionalParam("out", "Index file, resumed if it exists (by default index/<chainId>-<address>.json)")
+    .addOptionalParam("rpc", "JSON-RPC URL of the node (by default the one of --network)")
+    .addOptionalParam("chunk", "Blocks per eth_getLogs request", 2000, types.int)
+    .addOptionalParam("confirmations", "Blocks left out behind the head of the chain", 0, types.int)
+    .addOptionalParam("interval", "Seconds between syncs with --follow", 15, types.int)
+    .addFlag("follow", "Keep following new blocks until interrupted")
+    .setAction(async ({ manifest: manifestFile, out, rpc, chunk, confirmations, interval, follow }) => {
+        const operator = require("../scripts/operator.js");
+        const indexer = require("../scripts/indexer.js");
+
+        const manifest = operator.loadManifest(manifestFile);
+        const provider = rpc ? new ethers.providers.StaticJsonRpcProvider(rpc) : ethers.provider;
+        const file = out || indexer.indexFile(manifest);
+        const index = indexer.loadIndex(manifest, file);
+        const options = { chunkSize: chunk, confirmations };
+
+        const report = ({ reorgBlock, fromBlock, toBlock, nMines, nTransfers }) => {
+            if (reorgBlock !== null) console.log(`Reorg, rolled back to block ${reorgBlock}`);
+            console.log(
+                `Blocks ${fromBlock} to ${toBlock}: ${nMines} mines and ${nTransfers} transfers, ` +
+                    `${index.mines.length} tokens mined`
+            );
+        };
+
+        if (!follow) {
+            report(await indexer.syncIndex(ethers, provider, index, manifest, options));
+            indexer.saveIndex(index, file);
+            console.log(`Index written to ${file}`);
+            return;
+        }
+
+        let stopped = false;
+        process.on("SIGINT", () => (stopped = true));
+        console.log(`Following ${manifest.contract.address} into ${file}, Ctrl-C to stop`);
+        await indexer.followIndex(ethers, provider, index, manifest, file, {
+            ...options,
+            interval,
+            shouldStop: () => stopped,
+            onSync: report
+        });
+    });
+
+task("jpeg:serve", "Serves the metadata and images of the deployed contract's tokens over HTTP")
+    .addOptionalParam("manifest", "Contract manifest (by default the frontend one)")
+    .addOptionalParam("index", "Index of jpeg:index to read the supply and owners from instead of the contract")
+    .addOptionalParam("host", "Interface to listen on", "127.0.0.1")
+    .addOptionalParam("port", "Port to listen on", 8080, types.int)
+    .addOptionalParam("baseUrl", "URL prefix of the image links (by default the Host of the request)")
+    .addOptionalParam("public", "Directory the thumbnails of the manifest are in", `${__dirname}/../frontend/public`)
+    .setAction(async ({ manifest: manifestFile, index, host, port, baseUrl, public: publicDir }) => {
+        const operator = require("../scripts/operator.js");
+        const api = require("../scripts/api.js");
+
+        const manifest = operator.loadManifest(manifestFile);
+        const source = index
+            ? api.indexSource(index)
+            : api.contractSource(await operator.attachContract(ethers, manifest));
+        const server = api.createApiServer(manifest, source, { baseURL: baseUrl, publicDir });
+
+        await new Promise((resolve) => server.listen(port, host, resolve));
+        console.log(`Serving ${manifest.contract.address} on http://${host}:${server.address().port}, Ctrl-C to stop`);
+        console.log("    /collection, /tokens/:id, /tokens/:id/image.jpg and /tokens/:id/thumbnail.jpg");
+        // Hardhat ends the run when the action returns
+        await new Promise((resolve) => server.on("close", resolve));
+    });
+
+task("jpeg:extract", "Reassembles the image stored by a contract and verifies every scan against getHash()")
+    .addOptionalParam("address", "Contract to read (by default the one of the manifest)")
+    .addOptionalParam("manifest", "Contract manifest to compare with (by default the frontend one unless --address)")
+    .addOptionalParam("rpc", "JSON-RPC URL of the node (by default the one of --network)")
+    .addOptionalParam("out", "JPEG file to write", "extracted.jpg")
+    .addOptionalParam("report", "JSON file to write the verification report to (by default next to the JPEG)")
+    .setAction(async ({ address, manifest: manifestFile, rpc, out, report: reportFile }) => {
+        const fs = require("fs");
+        const operator = require("../scripts/operator.js");
+        const extract = require("../scripts/extract.js");
+
+        const manifest = manifestFile || !address ? operator.loadManifest(manifestFile) : null;
+        const provider = rpc ? new ethers.providers.StaticJsonRpcProvider(rpc) : ethers.provider;
+        const { JPEG, report } = await extract.extractImage(
+            ethers,
+            provider,
+            address || manifest.contract.address,
+            manifest
+        );
+
+        const file = reportFile || out.replace(/\.jpe?g$/i, "") + ".json";
+        fs.writeFileSync(file, JSON.stringify(report, undefined, 2));
+        if (JPEG !== null) fs.writeFileSync(out, JPEG);
+
+        console.log(extract.formatReport(report));
+        console.log(JPEG === null ? `Report written to ${file}` : `Image written to ${out}, report to ${file}`);
+        if (!report.ok) throw new Error("The on-chain image could not be verified, see the report");
+    });
@@ -0,0 +1,105 @@
+# Black & White
+0: 0-0, 0, 10;
+0: 0-0, 10, 9;
+0: 0-0, 9, 8;
+0: 0-0, 8, 7;
+0: 0-0, 7, 6;
+0: 0-0, 6, 5;
+0: 0-0, 5, 4;
+0: 0-0, 4, 3;
+0: 0-0, 3, 2;
+0: 0-0, 2, 1;
+0: 0-0, 1, 0;
+
+# Color
+1: 0-0, 0, 10;
+2: 0-0, 0, 10;
+1: 0-0, 10, 9;
+2: 0-0, 10, 9;
+1: 0-0, 9, 8;
+2: 0-0, 9, 8;
+1: 0-0, 8, 7;
+2: 0-0, 8, 7;
+1: 0-0, 7, 6;
+2: 0-0, 7, 6;
+1: 0-0, 6, 5;
+2: 0-0, 6, 5;
+1: 0-0, 5, 4;
+2: 0-0, 5, 4;
+1: 0-0, 4, 3;
+2: 0-0, 4, 3;
+1: 0-0, 3, 2;
+2: 0-0, 3, 2;
+1: 0-0, 2, 1;
+2: 0-0, 2, 1;
+1: 0-0, 1, 0;
+2: 0-0, 1, 0;
+
+# Resolution
+0: 1-1, 0, 3;
+0: 2-2, 0, 3;
+0: 3-4, 0, 3;
+0: 5-7, 0, 3;
+0: 8-10, 0, 3;
+0: 1-2, 3, 2;
+0: 3-4, 3, 2;
+2: 2-3, 0, 2;
+0: 5-7, 3, 2;
+0: 8-10, 3, 2;
+0: 11-13, 0, 2;
+0: 14-21, 0, 2;
+0: 1-2, 2, 1;
+1: 1-1, 0, 1;
+2: 1-1, 0, 1;
+1: 2-2, 0, 1;
+0: 3-4, 2, 1;
+2: 2-3, 2, 1;
+0: 5-5, 2, 1;
+2: 4-5, 0, 1;
+0: 6-7, 2, 1;
+0: 8-9, 2, 1;
+0: 10-11, 2, 1;
+2: 6-9, 0, 1;
+0: 12-14, 2, 1;
+0: 15-18, 2, 1;
+0: 19-21, 2, 1;
+0: 22-63, 0, 1;
+0: 1-2, 1, 0;
+1: 1-1, 1, 0;
+2: 1-1, 1, 0;
+1: 2-2, 1, 0;
+2: 2-2, 1, 0;
+0: 3-3, 1, 0;
+1: 3-3, 0, 0;
+2: 3-3, 1, 0;
+0: 4-4, 1, 0;
+1: 4-4, 0, 0;
+0: 5-5, 1, 0;
+1: 5-5, 0, 0;
+2: 4-5, 1, 0;
+0: 6-6, 1, 0;
+0: 7-7, 1, 0;
+1: 6-7, 0, 0;
+2: 6-7, 1, 0;
+0: 8-8, 1, 0;
+0: 9-9, 1, 0;
+1: 8-9, 0, 0;
+2: 8-9, 1, 0;
+0: 10-10, 1, 0;
+0: 11-11, 1, 0;
+0: 12-12, 1, 0;
+2: 10-12, 0, 0;
+0: 13-13, 1, 0;
+0: 14-15, 1, 0;
+0: 16-17, 1, 0;
+0: 18-18, 1, 0;
+2: 13-20, 0, 0;
+0: 19-20, 1, 0;
+0: 21-22, 1, 0;
+0: 23-24, 1, 0;
+0: 25-29, 1, 0;
+0: 30-33, 1, 0;
+0: 34-39, 1, 0;
+0: 40-63, 1, 0;
+1: 10-63, 0, 0;
+2: 21-63, 0, 0;
@@ -1,23 +1,294 @@
 const { expect } = require("chai");
 const { ethers, waffle } = hre;
 const utils = require("../scripts/functions.js");
+const scanScript = require("../scripts/scanScript.js");
+const scanOptimizer = require("../scripts/scanOptimizer.js");
+const gasFees = require("../scripts/gasFees.js");
+const tokenURI = require("../scripts/tokenURI.js");
+const jpegParser = require("../scripts/jpegParser.js");
+const bundles = require("../scripts/bundle.js");
+const jpegEncoder = require("../scripts/jpegEncoder.js");
+const jpegDecoder = require("../scripts/jpegDecoder.js");
+const preview = require("../scripts/preview.js");
+const quality = require("../scripts/quality.js");
+const thumbnails = require("../scripts/thumbnails.js");
+const operator = require("../scripts/operator.js");
+const signers = require("../scripts/signers.js");
+const deployments = require("../scripts/deployments.js");
+const campaign = require("../scripts/campaign.js");
+const gasReports = require("../scripts/gasReport.js");
+const indexer = require("../scripts/indexer.js");
+const api = require("../scripts/api.js");
+const extract = require("../scripts/extract.js");
+const collections = require("../scripts/collections.js");
+const vouchers = require("../scripts/vouchers.js");
+const http = require("http");
+const jpegJS = require("jpeg-js");
+const contractManifest = require("../frontend/src/contracts/manifest.js");
+const networkRegistry = require("../frontend/src/contracts/networks.js");
+const scanClient = require("../frontend/src/contracts/scanClient.js");
+const reservations = require("../frontend/src/contracts/reservations.js");
 const _ = require("lodash");
 const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const crypto = require("crypto");
 const gasPrice = ethers.BigNumber.from(require("../hardhat.config.js").networks.hardhat.gasPrice);
-const { mean } = require("mathjs");
-
-const gasMintingFees = [
-    735094, 418153, 488853, 775233, 990879, 1116059, 1278984, 1380845, 1473082, 1555182, 1630064, 1475189, 1564849,
-    1439494, 874059, 1580895, 1015457, 1727279, 1157765, 1907348, 1509213, 2114637, 2203394, 2329378, 2474955, 2560437,
-    2690427, 2769423, 2871352, 2942053, 3022723, 3094224, 3178899, 1209024, 1048723, 666363, 2097316, 1424907, 785999,
-    1630687, 653204, 1454467, 1317226, 2009252, 2153344, 691349, 2522271, 1641774, 1663039, 1312673, 2093147, 3489125,
-    1321568, 1993318, 1755231, 2475626, 2070122, 2099411, 3062246, 3338363, 2798503, 1819070, 4153908, 4070527, 4296914,
-    4250687, 4417728, 3078899, 4728961, 4502914, 3611900, 4559369, 4677046, 2713661, 4726902, 4765530, 4877481, 4183576,
-    5069969, 5221490, 3664359, 4123879, 5423603, 5431732, 5471052, 4971942, 5728761, 4329346, 3784898, 6070177, 5387231,
-    3913479, 5393358, 4811345, 4223082, 4936136, 5324583, 5972086, 6169759, 6581885
-];
+const gasReportConfig = require("../hardhat.config.js").jpegMining.gasReport;
+const { mean, std } = require("mathjs");
+
+// Image bundle made with "npx hardhat jpeg:prepare"
+const bundle = bundles.loadBundle(utils.getTestBundleDir());
+const { gasMintingFees, curve: gasCurve } = bundle.gasFees;
+const shards = bundle.shards;
+
 const Nscans = 100;
-let arrayOfScans;
+// tokenURI() is only eth_called for the first tokens, the rest would take hundreds of millions of gas
+const NcheapTokenURIs = 5;
+const scriptScans = scanScript.readScanScript();
+const arrayOfScans = shards.scans;
+
+// Deploys the contract of the shard mode and returns it attached to its manifest like the tasks do. The
+// manifest records the deployment like scripts/deployments.js does.
+async function deployWithManifest() {
+    const accounts = await ethers.getSigners();
+    const JPEGminer = await ethers.getContractFactory(shards.contractName);
+    const deployed = await JPEGminer.connect(accounts[Nscans + 1]).deploy(shards.header, bundle.hashes, gasMintingFees);
+    const { blockNumber, transactionHash } = await deployed.deployTransaction.wait();
+
+    const { colorStart, resolutionStart } = scanScript.getPhaseBoundaries(bundle.scans);
+    const manifest = contractManifest.createManifest({
+        contract: {
+            name: shards.contractName,
+            address: deployed.address,
+            chainId: (await ethers.provider.getNetwork()).chainId,
+            deploymentBlock: blockNumber,
+            deploymentTxHash: transactionHash
+        },
+        shards,
+        phases: { colorStart, resolutionStart },
+        gasCurve,
+        gasMintingFees,
+        thumbnails: bundle.thumbnails && thumbnails.hashThumbnails(bundle.thumbnails)
+    });
+    return { manifest, jpegMiner: await operator.attachContract(ethers, manifest) };
+}
+
+describe("Scan script", function () {
+    it("follows the progressive JPEG rules", function () {
+        expect(scanScript.getScanScriptErrors(scriptScans)).to.be.empty;
+    });
+
+    it(`has ${Nscans} scans`, function () {
+        expect(scriptScans).to.have.lengthOf(Nscans);
+    });
+
+    it("phases last as long as the description says", function () {
+        expect(scanScript.getPhaseBoundaries(scriptScans).lengths).to.deep.equal({
+            "Black & White": 11,
+            Color: 22,
+            Resolution: 67
+        });
+    });
+
+    it("serializes to a script that parses back to the same scans", function () {
+        expect(scanScript.parseScanScript(scanScript.serializeScanScript(scriptScans))).to.deep.equal(scriptScans);
+    });
+
+    it("parses comments, lists of components and default parameters", function () {
+        expect(scanScript.parseScanScript("0 1, 2: 0-0, 0, 1; # DC\n0: 5, 0, 0;\n1;")).to.deep.equal([
+            { components: [0, 1, 2], Ss: 0, Se: 0, Ah: 0, Al: 1 },
+            { components: [0], Ss: 5, Se: 5, Ah: 0, Al: 0 },
+            { components: [1], Ss: 0, Se: 63, Ah: 0, Al: 0 }
+        ]);
+    });
+
+    describe("Invalid scripts", function () {
+        // The shortest valid script: every DC then the AC of each component, all at full precision
+        const valid = () =>
+            scanScript.parseScanScript("0,1,2: 0-0, 0, 0; 0: 1-63, 0, 0; 1: 1-63, 0, 0; 2: 1-63, 0, 0;");
+        const errorsWith = (ind, scan) => {
+            const scans = valid();
+            scans.splice(ind, 1, ...(scan === undefined ? [] : [scan]));
+            return scanScript.getScanScriptErrors(scans);
+        };
+
+        it("the shortest one is valid", function () {
+            expect(scanScript.getScanScriptErrors(valid())).to.be.empty;
+            expect(() => scanScript.validateScanScript(valid())).not.to.throw();
+        });
+
+        it("Ah and Al are at most MAX_AH_AL", function () {
+            const Al = scanScript.MAX_AH_AL + 1;
+            expect(errorsWith(1, { components: [0], Ss: 1, Se: 63, Ah: 0, Al })).to.include(
+                `Scan 1: invalid successive approximation 0, ${Al}`
+            );
+            expect(errorsWith(1, { components: [0], Ss: 1, Se: 63, Ah: -1, Al: 0 })).to.include(
+                "Scan 1: invalid successive approximation -1, 0"
+            );
+        });
+
+        it("bands do not overlap", function () {
+            const scans = valid();
+            scans.splice(2, 0, { components: [0], Ss: 40, Se: 50, Ah: 0, Al: 0 });
+            expect(scanScript.getScanScriptErrors(scans)).to.deep.equal([
+                "Scan 2: coefficient 40 of component 0 is already fully coded"
+            ]);
+        });
+
+        it("DC and AC are not mixed", function () {
+            expect(errorsWith(0, { components: [0, 1, 2], Ss: 0, Se: 63, Ah: 0, Al: 0 })).to.include(
+                "Scan 0: DC and AC coefficients cannot share a scan"
+            );
+            expect(errorsWith(1, { components: [0, 1], Ss: 1, Se: 63, Ah: 0, Al: 0 })).to.include(
+                "Scan 1: AC scans must contain a single component"
+            );
+        });
+
+        it("every coefficient is coded", function () {
+            expect(errorsWith(3)).to.deep.equal(["Component 2: coefficients 1-63 are not fully coded"]);
+            expect(errorsWith(1, { components: [0], Ss: 1, Se: 63, Ah: 0, Al: 1 })).to.deep.equal([
+                "Component 0: coefficients 1-63 are not fully coded"
+            ]);
+        });
+
+        it("AC and refinements come after the scans they build on", function () {
+            const scans = valid();
+            scans.reverse();
+            expect(scanScript.getScanScriptErrors(scans)).to.include("Scan 0: AC of component 2 sent before its DC");
+            expect(errorsWith(1, { components: [0], Ss: 1, Se: 63, Ah: 1, Al: 0 })).to.include(
+                "Scan 1: coefficient 1 of component 0 is refined before its first scan"
+            );
+
+            const refined = valid();
+            refined.splice(
+                1,
+                1,
+                { components: [0], Ss: 1, Se: 63, Ah: 0, Al: 2 },
+                { components: [0], Ss: 1, Se: 63, Ah: 2, Al: 0 }
+            );
+            expect(scanScript.getScanScriptErrors(refined)).to.include(
+                "Scan 2: coefficient 1 of component 0 expected Ah=2, Al=1 after its previous scan"
+            );
+        });
+
+        it("components exist and are in order", function () {
+            expect(errorsWith(0, { components: [0, 3], Ss: 0, Se: 0, Ah: 0, Al: 0 })).to.include(
+                "Scan 0: component 3 does not exist"
+            );
+            expect(errorsWith(0, { components: [2, 1, 0], Ss: 0, Se: 0, Ah: 0, Al: 0 })).to.include(
+                "Scan 0: components must be listed in increasing order"
+            );
+        });
+    });
+});
+
+describe("JPEG encoder", function () {
+    const image = jpegEncoder.readImage(fs.readFileSync(path.join(__dirname, "bundles", "logan_480x160.png")));
+
+    // RGB pixels of a JPEG decoded by jpeg-js, a decoder independent from ours
+    function decodeRGB(JPEG) {
+        return jpegJS.decode(JPEG, { useTArray: true, formatAsRGBA: false });
+    }
+
+    function psnr(data, source) {
+        const squaredError = data.reduce((sum, value, ind) => sum + (value - source[ind]) ** 2, 0);
+        return 10 * Math.log10((255 * 255 * data.length) / squaredError);
+    }
+
+    // JPEG of the image made by the encoder of jpeg-js, which takes RGBA pixels
+    function referenceJPEG({ width, height, data }, quality) {
+        const rgba = new Uint8Array(width * height * 4).fill(255);
+        for (let i = 0; i < width * height; i++) rgba.set(data.subarray(i * 3, i * 3 + 3), i * 4);
+        return jpegJS.encode({ width, height, data: rgba }, quality).data;
+    }
+
+    for (const quality of [50, 85, 95]) {
+        it(`progressive JPEGs of quality ${quality} are as close to the source as the ones of jpeg-js`, function () {
+            const decoded = decodeRGB(jpegEncoder.encodeProgressiveJPEG(image, scriptScans, { quality }));
+            expect(decoded).to.include({ width: image.width, height: image.height });
+
+            const reference = psnr(decodeRGB(referenceJPEG(image, quality)).data, image.data);
+            expect(psnr(decoded.data, image.data)).to.be.closeTo(reference, 0.1);
+        });
+    }
+
+    it("quality improves the decoded image", function () {
+        const [low, high] = [50, 95].map((quality) =>
+            psnr(decodeRGB(jpegEncoder.encodeProgressiveJPEG(image, scriptScans, { quality })).data, image.data)
+        );
+        expect(low).to.be.greaterThan(25);
+        expect(high).to.be.greaterThan(low + 5);
+    });
+
+    it("baseline and progressive JPEGs decode to the same pixels", function () {
+        const progressive = decodeRGB(jpegEncoder.encodeProgressiveJPEG(image, scriptScans));
+        expect(decodeRGB(jpegEncoder.encodeBaselineJPEG(image)).data).to.deep.equal(progressive.data);
+    });
+
+    it("images that are not made of whole blocks keep their size", function () {
+        const odd = { width: 37, height: 21, data: new Uint8Array(37 * 21 * 3) };
+        odd.data.forEach((value, ind) => (odd.data[ind] = Math.round(128 + 100 * Math.sin(ind / 50))));
+
+        const decoded = decodeRGB(jpegEncoder.encodeProgressiveJPEG(odd, scriptScans));
+        expect(decoded).to.include({ width: 37, height: 21 });
+        expect(psnr(decoded.data, odd.data)).to.be.greaterThan(35);
+    });
+});
+
+describe("Scan optimizer", function () {
+    const image = jpegEncoder.readImage(fs.readFileSync(path.join(__dirname, "bundles", "logan_480x160.png")));
+    const coefficients = jpegEncoder.computeCoefficients(image);
+
+    it("sizes scans as their shards are stored", function () {
+        const [scan] = scriptScans;
+        const nBytes = jpegEncoder.encodeScanSegment(coefficients, scan).length;
+        expect(scanOptimizer.createScanSizer(coefficients, "binary")(scan)).to.be.equal(nBytes);
+        expect(scanOptimizer.createScanSizer(coefficients, "base64")(scan)).to.be.equal(4 * Math.ceil(nBytes / 3));
+    });
+
+    it("limits scans to what SSTORE2 stores", function () {
+        expect(scanOptimizer.scanLimits).to.deep.equal({ base64: utils.MAX_SCAN_B64, binary: utils.MAX_SCAN_BYTES });
+        expect(utils.MAX_SCAN_B64 % 4).to.be.equal(0);
+        expect(utils.MAX_SCAN_B64).to.be.at.most(utils.MAX_SCAN_BYTES);
+    });
+
+    for (const mode of Object.keys(scanOptimizer.scanLimits)) {
+        describe(`In ${mode}`, function () {
+            const size = scanOptimizer.createScanSizer(coefficients, mode);
+            const sizes = scriptScans.map(size);
+            // Half the largest scan of the image, so that the optimizer has to split and merge
+            const limit = Math.ceil(Math.max(...sizes) / 2);
+            let balanced;
+
+            before(function () {
+                balanced = scanOptimizer.balanceScans(image, { scans: scriptScans, nScans: Nscans, mode, limit });
+            });
+
+            it("balanced scripts follow the progressive JPEG rules", function () {
+                expect(balanced.scans).to.have.lengthOf(Nscans);
+                expect(scanScript.getScanScriptErrors(balanced.scans)).to.be.empty;
+                expect(scanScript.parseScanScript(balanced.script)).to.deep.equal(balanced.scans);
+            });
+
+            it("every scan fits the limit", function () {
+                expect(balanced.distribution.overLimit).to.be.empty;
+                balanced.scans.forEach((scan) => expect(size(scan)).to.be.at.most(limit));
+            });
+
+            it("the spread of the sizes shrinks", function () {
+                expect(balanced.distribution.max).to.be.lessThan(Math.max(...sizes));
+                expect(balanced.distribution.std).to.be.lessThan(std(sizes, "unbiased"));
+            });
+
+            it("phases keep their length", function () {
+                expect(scanScript.getPhaseBoundaries(balanced.scans).lengths).to.deep.equal(
+                    scanScript.getPhaseBoundaries(scriptScans).lengths
+                );
+            });
+        });
+    }
+});
 
 describe("JPEG Miner", function () {
     let accounts;
@@ -28,28 +299,9 @@ describe("JPEG Miner", function () {
         // Get accounts
         accounts = await ethers.getSigners();
 
-        // Compress image to progressive JPEG
-        utils.toProgressiveJPEG("Logan_3000x1000", "test");
-
-        // Open JPEG in binary
-        const scans = utils.getScans("test");
-
-        // Save JPEGs
-        utils.saveShardedJPEGs(scans);
-
-        // Convert scans to B64
-        const scansB64 = utils.convertScansToB64(scans);
-        arrayOfScans = scansB64.JpegScansB64;
-
-        // Save Base64 links
-        utils.saveShardedJPEGSinB64(scansB64);
-
-        // Compute hashes
-        const hashes = utils.hashScans(scansB64.JpegScansB64);
-
         // Deploy JPEG Miner
-        const JPEGminer = await ethers.getContractFactory("JPEGminer");
-        jpegMiner = await JPEGminer.connect(accounts[Nscans]).deploy(scansB64.JpegHeaderB64, hashes, gasMintingFees);
+        const JPEGminer = await ethers.getContractFactory(shards.contractName);
+        jpegMiner = await JPEGminer.connect(accounts[Nscans]).deploy(shards.header, bundle.hashes, gasMintingFees);
 
         const tx = await jpegMiner.deployTransaction;
         deployGas = (await tx.wait()).gasUsed.toNumber();
@@ -59,8 +311,85 @@ describe("JPEG Miner", function () {
         expect(await jpegMiner.NSCANS()).to.be.equal(Nscans);
     });
 
+    it("offline constants are the ones of the contract", async function () {
+        expect(await jpegMiner.NSCANS()).to.be.equal(tokenURI.NSCANS);
+        for (let tokenId = 0; tokenId < Nscans; tokenId++) {
+            expect(await jpegMiner.getPhase(tokenId)).to.be.equal(tokenURI.getPhase(tokenId));
+        }
+    });
+
+    it("minting fees keep to the documented curve or fail", async function () {
+        expect(gasFees.defaultGasCurve).to.deep.equal({ slope: 177551, intercept: 2422449 });
+        expect(gasFees.getMintingGasFees([2000000, 2500000])).to.deep.equal([422449, 100000]);
+        expect(() => gasFees.getMintingGasFees([2500000])).to.throw(
+            "Mining #0 takes 2500000 gas, more than the 2422449 of the curve gas = 177551*tokenId+2422449"
+        );
+    });
+
+    describe("Manifest", function () {
+        let manifest;
+
+        before(async () => {
+            const { colorStart, resolutionStart } = scanScript.getPhaseBoundaries(bundle.scans);
+            const { blockNumber, transactionHash } = await jpegMiner.deployTransaction.wait();
+            manifest = contractManifest.createManifest({
+                contract: {
+                    name: shards.contractName,
+                    address: jpegMiner.address,
+                    chainId: 31337,
+                    deploymentBlock: blockNumber,
+                    deploymentTxHash: transactionHash
+                },
+                shards,
+                phases: { colorStart, resolutionStart },
+                gasCurve,
+                gasMintingFees,
+                thumbnails: bundle.thumbnails && thumbnails.hashThumbnails(bundle.thumbnails)
+            });
+        });
+
+        async function validationError(manifest) {
+            try {
+                await contractManifest.validateManifest(manifest, jpegMiner);
+            } catch (error) {
+                return error.message;
+            }
+        }
+
+        it("matches getHash()", async function () {
+            expect(await validationError(manifest)).to.be.undefined;
+            expect(manifest.shards.map((shard) => shard.hash)).to.deep.equal(bundle.hashes);
+        });
+
+        it("is refused when its shards are not the contract's", async function () {
+            const swapped = _.cloneDeep(manifest);
+            [swapped.shards[0], swapped.shards[1]] = [manifest.shards[1], manifest.shards[0]];
+            expect(await validationError(swapped)).to.include("getHash(0)");
+        });
+
+        it("is refused when a shard does not match its hash", async function () {
+            const tampered = _.cloneDeep(manifest);
+            tampered.shards[5].data = manifest.shards[6].data;
+            expect(await validationError(tampered)).to.include("shard 5 does not match its hash");
+        });
+
+        it("is refused when a token has no thumbnail", async function () {
+            const hashes = manifest.shards.slice(1).map((shard) => shard.hash);
+            const missing = { ...manifest, thumbnails: { quality: 85, widths: { 512: hashes } } };
+            expect(await validationError(missing)).to.include("one thumbnail 512 wide per shard");
+        });
+
+        it("is refused for another version", async function () {
+            expect(await validationError({ ...manifest, version: contractManifest.MANIFEST_VERSION + 1 })).to.include(
+                "not supported"
+            );
+        });
+    });
+
     const gasSpent = [];
     const totalGasArr = [];
+    const tokenURIGas = [];
+    let gasReport;
     let minGas = Infinity;
     let maxGas = 0;
     let profit = ethers.constants.Zero;
@@ -99,7 +428,7 @@ describe("JPEG Miner", function () {
             });
 
             // Right mining tests
-            const expectedGas = ethers.BigNumber.from(70707).mul(i).add(3000000);
+            const expectedGas = ethers.BigNumber.from(gasFees.getTotalGas(gasCurve, i));
             it(`succeeds`, async function () {
                 const initialBalance = await waffle.provider.getBalance(accounts[i].address);
 
@@ -116,7 +445,6 @@ describe("JPEG Miner", function () {
                 const finalBalance = await waffle.provider.getBalance(accounts[i].address);
 
                 totalGasArr.push(initialBalance.sub(finalBalance).div(gasPrice).toNumber());
-                console.log("      ", Math.round((totalGasArr[i] / gasSpent[i] - 1) * 100), "% gas premium paid");
 
                 const feeGas = effectiveGasPrice.mul(gasUsed);
                 const feeMint = initialBalance.sub(finalBalance).sub(feeGas);
@@ -128,10 +456,7 @@ describe("JPEG Miner", function () {
                 expect(totalGasArr[i]).to.be.closeTo(expectedGas, expectedGas.div(10));
             });
 
-            let phase;
-            if (i <= 10) phase = "Black & White";
-            else if (i <= 32) phase = "Color";
-            else phase = "Resolution";
+            const phase = scanScript.getPhase(bundle.scans, i);
 
             // // Properties
             // let tokenURI;
@@ -153,6 +478,26 @@ describe("JPEG Miner", function () {
             //     expect(await jpegMiner.imageURI(i, { gasLimit: 300e6 })).to.be.equal(tokenURI.image);
             // }).timeout(1000000);
 
+            it(`offline tokenURI() has the right properties`, async function () {
+                const metadata = tokenURI.parseTokenURI(tokenURI.getTokenURI(shards, i));
+                expect(metadata.name).to.be.equal(`Mined JPEG: ${i + 1} of ${Nscans}`);
+                expect(metadata.attributes[0].trait_type).to.be.equal("kilobytes");
+                // The first scans of a small image are under a kilobyte
+                expect(metadata.attributes[0].value).to.be.equal(tokenURI.getKilobytes(shards, i));
+                expect(metadata.attributes[1].trait_type).to.be.equal("phase");
+                expect(metadata.attributes[1].value).to.be.equal(phase);
+            });
+
+            if (i < NcheapTokenURIs) {
+                it(`tokenURI() matches the offline one`, async function () {
+                    expect(await jpegMiner.tokenURI(i)).to.be.equal(tokenURI.getTokenURI(shards, i));
+                }).timeout(1000000);
+
+                it(`tokenURI() gas`, async function () {
+                    tokenURIGas.push((await jpegMiner.estimateGas.tokenURI(i)).toNumber());
+                }).timeout(1000000);
+            }
+
             it(`getPhase()`, async function () {
                 expect(await jpegMiner.getPhase(i)).to.be.equal(phase);
             });
@@ -165,8 +510,9 @@ describe("JPEG Miner", function () {
 
     describe("Final mining checks", function () {
         it(`mining of ${Nscans + 1}/${Nscans} fails cuz it is over`, async function () {
+            // Any scan, as a string in base64 mode and bytes in binary mode
             await expect(
-                jpegMiner.connect(accounts[Nscans + 1]).mine("Dummy data here", {
+                jpegMiner.connect(accounts[Nscans + 1]).mine(arrayOfScans[0], {
                     value: ethers.constants.WeiPerEther,
                     gasLimit: 6e6
                 })
@@ -204,38 +550,38 @@ describe("JPEG Miner", function () {
         it("balance in SC is correct", async function () {
             expect(await waffle.provider.getBalance(jpegMiner.address)).to.be.equal(profit);
         });
-    });
 
-    after(async () => {
-        console.log(
-            deployGas,
-            "gas (",
-            Number(ethers.utils.formatEther(gasPrice.mul(deployGas))),
-            "ETH) used for contract deployment"
-        );
+        it("gas does not regress from the baseline", function () {
+            const report = (gasReport = gasReports.createGasReport(ethers, shards, bundle.hashes, {
+                deployGas,
+                txGas: gasSpent,
+                paidGas: totalGasArr,
+                tokenURIGas
+            }));
+            gasReports.saveGasReport(report, gasReportConfig.file);
 
-        console.log(
-            "Min paid gas is",
-            Math.min(...totalGasArr),
-            "which @ price of 100 gwei is",
-            Number(ethers.utils.formatEther(gasPrice.mul(Math.min(...totalGasArr)))),
-            "ETH"
-        );
-        console.log(
-            "Max paid gas is",
-            Math.max(...totalGasArr),
-            "which @ price of 100 gwei is",
-            Number(ethers.utils.formatEther(gasPrice.mul(Math.max(...totalGasArr)))),
-            "ETH"
-        );
+            if (gasReportConfig.updateBaseline) {
+                gasReports.saveGasReport(report, gasReports.baselineFile(report.contractName));
+            }
 
-        console.log("Total gas per mining is", totalGasArr);
-        console.log(`Total gas in txs is ${gasSpent.reduce((totalGas, gas) => totalGas + gas, 0)}`);
+            // Baselines are only comparable for the bundle they were measured with
+            const baseline = gasReports.loadBaseline(report.contractName);
+            if (baseline === null || baseline.bundle !== report.bundle) {
+                const missing = `No ${report.contractName} gas baseline of this bundle`;
+                if (gasReportConfig.requireBaseline) throw new Error(`${missing}, write it with UPDATE_GAS_BASELINE=1`);
+                console.log(`      ${missing}, write it with UPDATE_GAS_BASELINE=1`);
+                this.skip();
+            }
+
+            expect(gasReports.compareGasReport(report, baseline, gasReportConfig.tolerance)).to.deep.equal([]);
+        });
+    });
 
-        // console.log(
-        //     "Minting gas is",
-        //     totalGasArr.map((gas, i) => gas - gasSpent[i])
-        // );
+    after(async () => {
+        if (gasReport) {
+            console.log(gasReports.formatGasReport(ethers, gasReport, gasPrice));
+            console.log(`Gas report written to ${gasReportConfig.file}`);
+        }
     });
 
     describe("Withdrawal", function () {
@@ -257,3 +603,1048 @@ describe("JPEG Miner", function () {
         });
     });
 });
+
+describe("Operator tasks", function () {
+    let accounts;
+    let jpegMiner;
+    let manifest;
+    let feeOverrides;
+
+    before(async () => {
+        accounts = await ethers.getSigners();
+        ({ manifest, jpegMiner } = await deployWithManifest());
+        feeOverrides = await operator.getFeeOverrides(ethers);
+    });
+
+    async function errorOf(promise) {
+        try {
+            await promise;
+        } catch (error) {
+            return error.message;
+        }
+    }
+
+    it("refuses a manifest of another chain", async function () {
+        const other = _.cloneDeep(manifest);
+        other.contract.chainId += 1;
+        expect(await errorOf(operator.attachContract(ethers, other))).to.include("is for chain");
+    });
+
+    it("status shows the next scan and its fee", async function () {
+        const maxGasPrice = operator.getMaxGasPrice(feeOverrides);
+        const status = await operator.getStatus(jpegMiner, maxGasPrice);
+        expect(status).to.include({ supply: 0, nScans: Nscans, nextScan: 0, mintingGasFee: gasMintingFees[0] });
+        expect(status.phase).to.be.equal(scanScript.getPhase(bundle.scans, 0));
+        expect(status.fee).to.be.equal(maxGasPrice.mul(gasMintingFees[0]));
+        expect(status.owner).to.be.equal(accounts[Nscans + 1].address);
+    });
+
+    it("mines the next scan only", async function () {
+        expect(await errorOf(operator.mine(jpegMiner, manifest, accounts[0], 1, feeOverrides))).to.include(
+            "Token 0 is the next to mine"
+        );
+
+        const { gasUsed } = await operator.mine(jpegMiner, manifest, accounts[0], 0, feeOverrides);
+        expect(gasUsed.toNumber()).to.be.below(operator.getMiningGasLimit(manifest, 0));
+        expect(await jpegMiner.ownerOf(0)).to.be.equal(accounts[0].address);
+
+        expect(await errorOf(operator.mine(jpegMiner, manifest, accounts[0], undefined, feeOverrides))).to.include(
+            "has already mined"
+        );
+    });
+
+    it("withdraws to the owner only", async function () {
+        expect(await errorOf(operator.withdraw(jpegMiner, accounts[0], undefined, feeOverrides))).to.include(
+            "Only the owner"
+        );
+
+        expect(await waffle.provider.getBalance(jpegMiner.address)).to.be.gt(0);
+        await operator.withdraw(jpegMiner, accounts[Nscans + 1], undefined, feeOverrides);
+        expect(await waffle.provider.getBalance(jpegMiner.address)).to.be.equal(0);
+    });
+});
+
+describe("Deployment records", function () {
+    const constructorArguments = deployments.hashConstructorArguments(ethers, shards, bundle.hashes, gasMintingFees);
+    // Records of the in-process network are not kept, localhost stands for a network that has them
+    const localhost = { ...hre, network: { name: "localhost" } };
+    let dir;
+    let jpegMiner;
+    let record;
+
+    before(async () => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), "deployments-"));
+
+        const JPEGminer = await ethers.getContractFactory(shards.contractName);
+        jpegMiner = await JPEGminer.deploy(shards.header, bundle.hashes, gasMintingFees);
+        await jpegMiner.deployed();
+        record = await deployments.createDeployment(hre, jpegMiner, {
+            constructorArguments,
+            bundleManifest: bundle.manifest
+        });
+    });
+
+    after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+    it("has the deployment transaction and compiler", async function () {
+        const { blockNumber, transactionHash, from } = await jpegMiner.deployTransaction.wait();
+        expect(record).to.include({ deploymentBlock: blockNumber, deploymentTxHash: transactionHash, deployer: from });
+        expect(record.contract).to.deep.equal({ name: shards.contractName, address: jpegMiner.address });
+        expect(record.compiler.version).to.match(/^0\.8\.4\+commit/);
+        expect(record.constructorArguments.header).to.be.equal(contractManifest.hashShard(shards.header, shards.mode));
+    });
+
+    it("is reused when the bundle is the same", async function () {
+        expect((await deployments.findDeployment(localhost, constructorArguments, dir)).status).to.be.equal("none");
+
+        deployments.saveDeployment({ ...record, network: "localhost" }, dir);
+        const { status, record: saved } = await deployments.findDeployment(localhost, constructorArguments, dir);
+        expect(status).to.be.equal("current");
+        expect(saved.contract.address).to.be.equal(jpegMiner.address);
+        expect(saved.previous).to.be.empty;
+    });
+
+    it("is not reused for another bundle", async function () {
+        const otherFees = gasMintingFees.map((fee) => fee + 1);
+        const other = deployments.hashConstructorArguments(ethers, shards, bundle.hashes, otherFees);
+        expect((await deployments.findDeployment(localhost, other, dir)).status).to.be.equal("different");
+    });
+
+    it("is stale once the contract is gone, and kept as a previous deployment", async function () {
+        const gone = {
+            ...record,
+            network: "localhost",
+            contract: { ...record.contract, address: ethers.constants.AddressZero }
+        };
+        deployments.saveDeployment(gone, dir);
+
+        const { status, record: saved } = await deployments.findDeployment(localhost, constructorArguments, dir);
+        expect(status).to.be.equal("stale");
+        expect(saved.previous.map((previous) => previous.contract.address)).to.deep.equal([jpegMiner.address]);
+    });
+});
+
+describe("Shard modes", function () {
+    const modes = Object.keys(utils.contractNames);
+    const shardsOf = {};
+    const jpegMiners = {};
+
+    // JPEG of the image of a tokenURI()
+    function decodeImage(uri) {
+        const { image } = tokenURI.parseTokenURI(uri);
+        return Buffer.from(image.slice("data:image/jpeg;base64,".length), "base64");
+    }
+
+    // Same segments and entropy-coded data, except for the up to 2 zero bytes that pad Base64 shards
+    function expectSameSegments(base64JPEG, binaryJPEG) {
+        const padded = jpegParser.parseJPEG(base64JPEG);
+        const { header, scans, footer } = jpegParser.parseJPEG(binaryJPEG);
+
+        expectZeroPadded(padded.header, header);
+        expect(padded.footer).to.deep.equal(footer);
+        expect(padded.scans).to.have.lengthOf(scans.length);
+        padded.scans.forEach(({ bytes }, k) => expectZeroPadded(bytes, scans[k].bytes));
+    }
+
+    function expectZeroPadded(bytes, original) {
+        const padding = bytes.slice(original.length);
+        expect(bytes.slice(0, original.length)).to.deep.equal(original);
+        expect(padding.length).to.be.lessThan(3);
+        expect(padding.every((byte) => byte === 0)).to.be.true;
+    }
+
+    before(async () => {
+        const accounts = await ethers.getSigners();
+        const scans = utils.splitScans(bundle.JPEG);
+
+        for (const mode of modes) {
+            shardsOf[mode] = utils.getShards(scans, mode);
+            const { contractName, header, scans: modeScans } = shardsOf[mode];
+
+            // No minting fees, only the first tokens are mined
+            const JPEGminer = await ethers.getContractFactory(contractName);
+            jpegMiners[mode] = await JPEGminer.connect(accounts[Nscans]).deploy(
+                header,
+                utils.hashScans(modeScans, mode),
+                modeScans.map(() => 0)
+            );
+            for (let i = 0; i < NcheapTokenURIs; i++) {
+                await jpegMiners[mode].connect(accounts[i]).mine(modeScans[i], { gasLimit: 30e6 });
+            }
+        }
+    });
+
+    it("binary shards take less space", function () {
+        const length = (scan, mode) => (mode === "binary" ? ethers.utils.hexDataLength(scan) : scan.length);
+        const stored = (mode) => shardsOf[mode].scans.reduce((sum, scan) => sum + length(scan, mode), 0);
+        expect(stored("binary")).to.be.lessThan(stored("base64"));
+    });
+
+    it("binary images are the JPEG as it is", function () {
+        const { JpegHeader, JpegScans, JpegFooter } = utils.splitScans(bundle.JPEG);
+        const uri = tokenURI.getTokenURI(shardsOf.binary, Nscans - 1);
+        expect(decodeImage(uri)).to.deep.equal(Buffer.concat([JpegHeader, ...JpegScans, JpegFooter]));
+    });
+
+    for (let i = 0; i < Nscans; i++) {
+        it(`offline images of ${i + 1}/${Nscans} have the same segments up to zero padding`, function () {
+            const [base64JPEG, binaryJPEG] = modes.map((mode) => decodeImage(tokenURI.getTokenURI(shardsOf[mode], i)));
+            expectSameSegments(base64JPEG, binaryJPEG);
+        });
+
+        it(`offline tokenURI(${i}) has the same kilobytes in both modes`, function () {
+            const [base64KB, binaryKB] = modes.map((mode) => tokenURI.getKilobytes(shardsOf[mode], i));
+            expect(binaryKB).to.be.equal(base64KB);
+        });
+    }
+
+    for (let i = 0; i < NcheapTokenURIs; i++) {
+        it(`tokenURI(${i}) has the same segments in both contracts up to zero padding`, async function () {
+            for (const mode of modes) {
+                expect(await jpegMiners[mode].tokenURI(i)).to.be.equal(tokenURI.getTokenURI(shardsOf[mode], i));
+            }
+
+            const [base64JPEG, binaryJPEG] = await Promise.all(
+                modes.map(async (mode) => decodeImage(await jpegMiners[mode].tokenURI(i)))
+            );
+            expectSameSegments(base64JPEG, binaryJPEG);
+        }).timeout(1000000);
+    }
+});
+
+describe("Preview", function () {
+    it("labels follow tokenURI() and the fee table", function () {
+        const { txGas } = bundle.gasFees;
+        preview.getProgression(bundle).forEach(({ tokenId, phase, kilobytes, mintingFee, totalGas }) => {
+            expect(phase).to.be.equal(scanScript.getPhase(bundle.scans, tokenId));
+            expect(kilobytes).to.be.equal(tokenURI.getKilobytes(shards, tokenId));
+            expect(mintingFee).to.be.equal(gasMintingFees[tokenId]);
+            expect(totalGas).to.be.equal(txGas[tokenId] + mintingFee);
+        });
+    });
+
+    it("decoded coefficients encode back to the same scans", function () {
+        const { width, height, components } = jpegDecoder.decodeCoefficients(bundle.JPEG);
+        const coefficients = {
+            coefs: components.map((comp) => comp.coefs),
+            nBlocks: Math.ceil(width / 8) * Math.ceil(height / 8)
+        };
+
+        const { JpegScans } = utils.splitScans(bundle.JPEG);
+        bundle.scans.forEach((scan, ind) => {
+            expect(jpegEncoder.encodeScanSegment(coefficients, scan, ind)).to.deep.equal(JpegScans[ind]);
+        });
+    }).timeout(1000000);
+
+    it("animation has a frame per token", function () {
+        const frames = [0, 1, 2].map((value) => ({ width: 4, height: 2, data: new Uint8Array(24).fill(value) }));
+        const png = preview.encodeAPNG(frames, [200, 200, 3000]);
+
+        const chunkTypes = [];
+        for (let offset = 8; offset < png.length; offset += 12 + png.readUInt32BE(offset)) {
+            chunkTypes.push(png.toString("ascii", offset + 4, offset + 8));
+        }
+        expect(chunkTypes).to.deep.equal(["IHDR", "acTL", "fcTL", "IDAT", "fcTL", "fdAT", "fcTL", "fdAT", "IEND"]);
+        expect(png.readUInt32BE(png.indexOf("acTL") + 4)).to.be.equal(frames.length);
+    });
+});
+
+describe("Image quality", function () {
+    let metrics;
+
+    before(function () {
+        this.timeout(1000000);
+        metrics = quality.measureProgression(bundle.JPEG);
+    });
+
+    it("black & white tokens have no color", function () {
+        metrics
+            .filter(({ tokenId }) => tokenURI.getPhase(tokenId) === scanScript.phaseNames[0])
+            .forEach(({ tokenId, chroma }) => {
+                expect(chroma, `token ${tokenId}`).to.be.at.most(quality.CHROMA_THRESHOLD);
+            });
+    });
+
+    it("getPhase() changes phase when the image does", function () {
+        const { colorStart, resolutionStart } = quality.recommendPhases(metrics);
+        const advertised = quality.getAdvertisedPhases();
+        expect({ colorStart, resolutionStart }).to.deep.equal({
+            colorStart: advertised.colorStart,
+            resolutionStart: advertised.resolutionStart
+        });
+    });
+
+    it("measured phases last as long as the description says", function () {
+        expect(quality.recommendPhases(metrics).lengths).to.deep.equal(quality.getAdvertisedPhases().description);
+    });
+
+    it("the last token is the final image", function () {
+        const { psnr, ssim } = metrics[metrics.length - 1];
+        expect(psnr).to.be.equal(Infinity);
+        expect(ssim).to.be.equal(1);
+    });
+});
+
+describe("Token images", function () {
+    // The images tokenURI() serves in Base64 mode, whose shards are padded with zero bytes
+    const base64Shards = utils.getShards(utils.splitScans(bundle.JPEG), "base64");
+    const stateHashes = [];
+
+    function hashPixels({ data }) {
+        return crypto.createHash("sha256").update(data).digest("hex");
+    }
+
+    function tokenImage(tokenId) {
+        return Buffer.from(tokenURI.getImageB64(base64Shards, tokenId), "base64");
+    }
+
+    // Pixels of every state of the encoder output, decoded once and rendered after each scan
+    before(function () {
+        this.timeout(1000000);
+        jpegDecoder.decodeCoefficients(bundle.JPEG, (coefficients) => {
+            stateHashes.push(hashPixels(jpegDecoder.renderImage(coefficients)));
+        });
+    });
+
+    for (let i = 0; i < Nscans; i++) {
+        it(`image of ${i + 1}/${Nscans} decodes to the state after scan ${i}`, function () {
+            const JPEG = tokenImage(i);
+            const { frame, scans } = jpegParser.parseJPEG(JPEG);
+            expect(scans).to.have.lengthOf(i + 1);
+
+            const image = jpegDecoder.decodeJPEG(JPEG);
+            expect([image.width, image.height]).to.deep.equal([frame.width, frame.height]);
+            expect(hashPixels(image)).to.be.equal(stateHashes[i]);
+        }).timeout(1000000);
+    }
+
+    it("last image is the encoder output pixel for pixel", function () {
+        const { data } = jpegDecoder.decodeJPEG(tokenImage(Nscans - 1));
+        expect(Buffer.compare(Buffer.from(data), Buffer.from(jpegDecoder.decodeJPEG(bundle.JPEG).data))).to.be.equal(0);
+    }).timeout(1000000);
+
+    it("zero bytes after the header are skipped", function () {
+        const { JpegHeader, JpegScans, JpegFooter } = utils.splitScans(bundle.JPEG);
+
+        [1, 2].forEach((padding) => {
+            const JPEG = Buffer.concat([JpegHeader, Buffer.alloc(padding), ...JpegScans.slice(0, 3), JpegFooter]);
+            const { header, scans, segments } = jpegParser.parseJPEG(JPEG);
+
+            const sof = segments.find((segment) => segment.end === header.length);
+            expect(sof.extraneous).to.be.equal(padding);
+            expect(scans.map((scan) => scan.bytes)).to.deep.equal(JpegScans.slice(0, 3));
+            expect(hashPixels(jpegDecoder.decodeJPEG(JPEG))).to.be.equal(stateHashes[2]);
+        });
+    }).timeout(1000000);
+});
+
+describe("Thumbnails", function () {
+    it("baseline JPEGs hold the coefficients of the progressive one", function () {
+        const image = { width: 40, height: 24, data: new Uint8Array(40 * 24 * 3) };
+        image.data.forEach((value, ind) => (image.data[ind] = (ind * 7) % 251));
+
+        const baseline = jpegEncoder.encodeBaselineJPEG(image);
+        const { frame, scans } = jpegParser.parseJPEG(baseline);
+        expect(frame.progressive).to.be.false;
+        expect(scans).to.have.lengthOf(1);
+
+        const coefs = (JPEG) => jpegDecoder.decodeCoefficients(JPEG).components.map((comp) => comp.coefs);
+        expect(coefs(baseline)).to.deep.equal(coefs(jpegEncoder.encodeProgressiveJPEG(image, scriptScans)));
+    });
+
+    it("the last one of every width is the final image scaled down", function () {
+        if (!bundle.thumbnails) this.skip();
+
+        const final = jpegDecoder.decodeJPEG(bundle.JPEG);
+        Object.keys(bundle.thumbnails.widths).forEach((width) => {
+            const thumbnail = preview.resizeImage(final, Number(width));
+            const JPEG = jpegEncoder.encodeBaselineJPEG(thumbnail, { quality: bundle.thumbnails.quality });
+            expect(bundle.thumbnails.widths[width]).to.have.lengthOf(Nscans);
+            expect(bundle.thumbnails.widths[width][Nscans - 1]).to.deep.equal(JPEG);
+        });
+    }).timeout(1000000);
+});
+
+describe("Secrets", function () {
+    const key = ethers.Wallet.createRandom().privateKey;
+
+    it("keys and mnemonics written in code are found", function () {
+        const lines = [
+            `accounts: ["${key}"]`,
+            `const wallet = new ethers.Wallet("${key}", ethers.provider);`,
+            `// privKey: ${key}`,
+            `hash: "${key}"`,
+            `mnemonic: "${ethers.Wallet.createRandom().mnemonic.phrase}"`,
+            'mnemonic: "test test test test test test test test test test test junk"'
+        ];
+        expect(signers.findPlaintextKeys(lines.join("\n"))).to.deep.equal([1, 2, 3, 5]);
+    });
+
+    it("the repository has none", function () {
+        expect(() => signers.checkNoPlaintextKeys(`${__dirname}/..`)).to.not.throw();
+    });
+
+    it("signers are built once the repository is checked", async function () {
+        const accounts = await ethers.getSigners();
+        expect(await (await signers.getSigner(ethers, "1", {})).getAddress()).to.equal(accounts[1].address);
+    });
+});
+
+describe("Network registry", function () {
+    it("the frontend finds the network of the manifest", function () {
+        const manifest = require("../frontend/src/contracts/manifest.json");
+        const network = networkRegistry.getNetworkByChainId(manifest.contract.chainId);
+        expect(networkRegistry.getNetwork(network.name).chainId).to.equal(manifest.contract.chainId);
+    });
+
+    it("remote networks are configured once their node is known", function () {
+        expect(networkRegistry.getHardhatNetworks({})).to.have.keys("localhost");
+
+        const config = networkRegistry.getHardhatNetworks({ SEPOLIA_URL: "https://node", INFURA_PROJECT_ID: "id" });
+        expect(config.sepolia).to.include({ url: "https://node", chainId: 11155111 });
+        expect(config.mainnet.url).to.equal("https://mainnet.infura.io/v3/id");
+
+        const sepolia = networkRegistry.getNetwork("sepolia");
+        expect(networkRegistry.getRpcURL(sepolia, { REACT_APP_SEPOLIA_URL: "https://node" }, "REACT_APP_")).to.equal(
+            "https://node"
+        );
+    });
+
+    it("unknown networks are refused", function () {
+        expect(() => networkRegistry.getNetwork("rinkeby")).to.throw("Unknown network");
+        expect(() => networkRegistry.getNetworkByChainId(4)).to.throw("No network");
+    });
+});
+
+describe("Campaign simulator", function () {
+    const simulate = (baseFee, options = {}) =>
+        campaign.simulateCampaign(ethers, bundle.gasFees, shards, {
+            baseFees: campaign.getBaseFees(baseFee, Nscans),
+            ...options
+        });
+
+    it("miners pay the gas curve at the effective gas price", function () {
+        const { mines, summary } = simulate("constant:30", { priorityFee: 2 });
+        const price = ethers.utils.parseUnits("32", "gwei");
+
+        mines.forEach((mine) => expect(mine.cost).to.equal(price.mul(gasFees.getTotalGas(gasCurve, mine.tokenId))));
+        expect(summary.ownerRevenue).to.equal(price.mul(gasMintingFees.reduce((total, fee) => total + fee, 0)));
+        expect(summary.storageShare).to.be.within(0, 1);
+    });
+
+    it("refunds what the max fee offers above the effective gas price", function () {
+        const { mines } = simulate("linear:20:218", { priorityFee: 1, maxFeeMultiplier: 2 });
+        mines.forEach((mine) => {
+            expect(mine.refund).to.equal(mine.baseFee.mul(mine.mintingGasFee));
+            expect(mine.value.sub(mine.refund)).to.equal(mine.mintingFee);
+        });
+    });
+
+    it("full blocks raise the base fee by 12.5% per mine", function () {
+        const baseFees = campaign.getBaseFees("eip1559:100:1", 3);
+        expect(baseFees).to.deep.equal([100, 112.5, 126.5625]);
+        expect(campaign.getBaseFees("eip1559:100:0.5", 3)).to.deep.equal([100, 100, 100]);
+    });
+});
+
+describe("Gas report", function () {
+    const report = gasReports.createGasReport(ethers, shards, bundle.hashes, {
+        deployGas: 5e6,
+        txGas: [2e6, 2.5e6],
+        paidGas: [3e6, 3.1e6],
+        tokenURIGas: [1e6]
+    });
+
+    it("has the minting fee and premium of every mine", function () {
+        expect(report.mines[1]).to.deep.equal({
+            tokenId: 1,
+            txGas: 2.5e6,
+            mintingFeeGas: 0.6e6,
+            paidGas: 3.1e6,
+            premium: 24
+        });
+    });
+
+    it("regresses when an entry grows beyond the tolerance", function () {
+        const grown = _.cloneDeep(report);
+        grown.deployGas = 5.04e6;
+        grown.mines[0].txGas = 2.1e6;
+        expect(gasReports.compareGasReport(grown, report, 0.01)).to.deep.equal([
+            "mines[0].txGas is 2100000, the baseline 2000000 (+5.0%)"
+        ]);
+        expect(gasReports.compareGasReport(grown, report, 0.05)).to.deep.equal([]);
+    });
+
+    it("is not compared with the baseline of another bundle", function () {
+        expect(() => gasReports.compareGasReport(report, { ...report, bundle: ethers.constants.HashZero }, 0)).to.throw(
+            "another bundle"
+        );
+    });
+});
+
+describe("Event indexer", function () {
+    let accounts;
+    let jpegMiner;
+    let manifest;
+    let index;
+    let dir;
+
+    before(async () => {
+        accounts = await ethers.getSigners();
+        ({ manifest, jpegMiner } = await deployWithManifest());
+        index = indexer.createIndex(manifest);
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), "index-"));
+    });
+
+    after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+    const mine = async (account) =>
+        operator.mine(jpegMiner, manifest, account, undefined, await operator.getFeeOverrides(ethers));
+
+    it("has the miners, fees and owners", async function () {
+        const receipts = [await mine(accounts[0]), await mine(accounts[1])];
+        await jpegMiner.connect(accounts[0]).transferFrom(accounts[0].address, accounts[5].address, 0);
+
+        const { nMines, nTransfers } = await indexer.syncIndex(ethers, ethers.provider, index, manifest);
+        expect([nMines, nTransfers]).to.deep.equal([2, 3]);
+
+        index.mines.forEach((mine, tokenId) => {
+            const { gasUsed, effectiveGasPrice, transactionHash } = receipts[tokenId];
+            expect(mine).to.include({ tokenId, miner: accounts[tokenId].address, transactionHash });
+            expect(mine.phase).to.equal(tokenURI.getPhase(tokenId));
+            expect(mine.txFee).to.equal(effectiveGasPrice.mul(gasUsed).toString());
+            expect(mine.mintFee).to.equal(effectiveGasPrice.mul(gasMintingFees[tokenId]).toString());
+        });
+        expect(index.owners).to.deep.equal({ 0: accounts[5].address, 1: accounts[1].address });
+    });
+
+    it("resumes from its last block", async function () {
+        const file = path.join(dir, "index.json");
+        indexer.saveIndex(index, file);
+        await mine(accounts[2]);
+
+        const resumed = indexer.loadIndex(manifest, file);
+        const { fromBlock, nMines } = await indexer.syncIndex(ethers, ethers.provider, resumed, manifest);
+        expect(fromBlock).to.equal(index.lastBlock + 1);
+        expect(nMines).to.equal(1);
+        index = resumed;
+    });
+
+    it("rolls back the blocks of a reorg", async function () {
+        const snapshot = await ethers.provider.send("evm_snapshot", []);
+        await mine(accounts[3]);
+        await indexer.syncIndex(ethers, ethers.provider, index, manifest);
+        const forkBlock = index.lastBlock - 1;
+
+        // Another miner takes the same token in a block of the same height
+        await ethers.provider.send("evm_revert", [snapshot]);
+        await mine(accounts[4]);
+
+        const { reorgBlock } = await indexer.syncIndex(ethers, ethers.provider, index, manifest);
+        expect(reorgBlock).to.equal(forkBlock);
+        expect(index.mines.map((mine) => mine.miner)).to.deep.equal([0, 1, 2, 4].map((ind) => accounts[ind].address));
+        expect(index.owners[3]).to.equal(accounts[4].address);
+    });
+});
+
+describe("HTTP API", function () {
+    let jpegMiner;
+    let server;
+    let publicDir;
+
+    before(async () => {
+        const accounts = await ethers.getSigners();
+        let manifest;
+        ({ manifest, jpegMiner } = await deployWithManifest());
+        for (const account of accounts.slice(0, 2)) {
+            await operator.mine(jpegMiner, manifest, account, undefined, await operator.getFeeOverrides(ethers));
+        }
+
+        // Laid out like frontend/public after a deployment
+        publicDir = fs.mkdtempSync(path.join(os.tmpdir(), "public-"));
+        if (bundle.thumbnails) thumbnails.saveThumbnails(bundle.thumbnails, path.join(publicDir, "thumbnails"));
+
+        server = api.createApiServer(manifest, api.contractSource(jpegMiner), { publicDir });
+        await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+    });
+
+    after(() => {
+        server.close();
+        fs.rmSync(publicDir, { recursive: true, force: true });
+    });
+
+    // { status, headers, body } of a GET
+    function get(path, headers = {}) {
+        return new Promise((resolve, reject) => {
+            const request = http.get({ host: "127.0.0.1", port: server.address().port, path, headers }, (response) => {
+                const chunks = [];
+                response.on("data", (chunk) => chunks.push(chunk));
+                response.on("end", () =>
+                    resolve({ status: response.statusCode, headers: response.headers, body: Buffer.concat(chunks) })
+                );
+            });
+            request.on("error", reject);
+        });
+    }
+
+    it("serves the metadata of tokenURI() with the owner", async function () {
+        const { status, headers, body } = await get("/tokens/1");
+        const metadata = tokenURI.parseTokenURI(await jpegMiner.tokenURI(1));
+        const base = `http://127.0.0.1:${server.address().port}/tokens/1`;
+
+        expect(status).to.equal(200);
+        expect(headers["content-type"]).to.include("application/json");
+        expect(JSON.parse(body)).to.deep.equal({
+            ...metadata,
+            image: `${base}/image.jpg`,
+            ...(bundle.thumbnails && { thumbnail: `${base}/thumbnail.jpg` }),
+            owner: await jpegMiner.ownerOf(1)
+        });
+    });
+
+    it("serves the JPEG of tokenURI() and revalidates it with its ETag", async function () {
+        const { image } = tokenURI.parseTokenURI(await jpegMiner.tokenURI(1));
+        const { status, headers, body } = await get("/tokens/1/image.jpg");
+
+        expect(status).to.equal(200);
+        expect(headers["content-type"]).to.equal("image/jpeg");
+        expect(body.equals(Buffer.from(image.split(",")[1], "base64"))).to.be.true;
+        expect((await get("/tokens/1/image.jpg", { "If-None-Match": headers.etag })).status).to.equal(304);
+    });
+
+    it("serves the smallest thumbnail once checked against the manifest", async function () {
+        if (!bundle.thumbnails) this.skip();
+
+        const width = Math.min(...Object.keys(bundle.thumbnails.widths).map(Number));
+        const { status, headers, body } = await get("/tokens/1/thumbnail.jpg");
+        expect(status).to.equal(200);
+        expect(headers["content-type"]).to.equal("image/jpeg");
+        expect(body.equals(Buffer.from(bundle.thumbnails.widths[width][1]))).to.be.true;
+
+        fs.writeFileSync(
+            path.join(publicDir, "thumbnails", thumbnails.thumbnailFile(width, 0)),
+            Buffer.concat([body, Buffer.from([0])])
+        );
+        const tampered = await get("/tokens/0/thumbnail.jpg");
+        expect(tampered.status).to.equal(500);
+        expect(JSON.parse(tampered.body).error).to.equal(`Thumbnail 0 ${width} wide does not match the manifest`);
+    });
+
+    it("serves the collection and nothing of tokens not mined", async function () {
+        const collection = JSON.parse((await get("/collection")).body);
+        expect(collection).to.include({ supply: 2, nextScan: 2, nScans: Nscans });
+        expect(collection.phases[0]).to.deep.equal({ name: scanScript.phaseNames[0], total: 11, mined: 2 });
+
+        expect((await get("/tokens/2")).status).to.equal(404);
+        expect((await get("/tokens/2/image.jpg")).status).to.equal(404);
+        expect((await get("/tokens/2/thumbnail.jpg")).status).to.equal(404);
+    });
+});
+
+describe("Image extraction", function () {
+    let jpegMiner;
+    let manifest;
+
+    before(async () => {
+        const accounts = await ethers.getSigners();
+        ({ manifest, jpegMiner } = await deployWithManifest());
+        for (const account of accounts.slice(0, 3)) {
+            await operator.mine(jpegMiner, manifest, account, undefined, await operator.getFeeOverrides(ethers));
+        }
+    });
+
+    it("reassembles the image of tokenURI() from the chain", async function () {
+        const { JPEG, report } = await extract.extractImage(ethers, ethers.provider, jpegMiner.address, manifest);
+        const { image } = tokenURI.parseTokenURI(await jpegMiner.tokenURI(2));
+
+        expect(JPEG.equals(Buffer.from(image.split(",")[1], "base64"))).to.be.true;
+        expect(report).to.include({ supply: 3, complete: false, shardMode: shards.mode, ok: true });
+        expect(report.scans.map((scan) => scan.getHash)).to.deep.equal([true, true, true]);
+    });
+
+    it("reports a manifest the chain does not match", async function () {
+        const other = _.cloneDeep(manifest);
+        other.shards[1].hash = ethers.constants.HashZero;
+
+        const { report } = await extract.extractImage(ethers, ethers.provider, jpegMiner.address, other);
+        expect(report.scans[1].manifest).to.be.false;
+        expect(report.ok).to.be.false;
+    });
+
+    it("refuses collections", async function () {
+        const binary = utils.getShards(utils.splitScans(bundle.JPEG), "binary");
+        const factory = await collections.deployFactory(ethers, (await ethers.getSigners())[Nscans + 1]);
+        const { collection } = await collections.createCollection(
+            ethers,
+            factory,
+            collections.getCollectionArguments(
+                {
+                    manifest: { phases: { colorStart: 1, resolutionStart: 1 } },
+                    shards: { ...binary, scans: binary.scans.slice(0, 1) },
+                    hashes: utils.hashScans(binary.scans.slice(0, 1), "binary"),
+                    gasFees: { gasMintingFees: gasMintingFees.slice(0, 1) }
+                },
+                { name: "JPEG", symbol: "J" }
+            )
+        );
+
+        let message;
+        try {
+            await extract.extractImage(ethers, ethers.provider, collection.address);
+        } catch (error) {
+            message = error.message;
+        }
+        expect(message).to.equal(
+            `Only JPEGminer and JPEGminerBinary can be extracted, ${collection.address} is a collection`
+        );
+    });
+});
+
+describe("Scan reads", function () {
+    const nMined = 12;
+    let jpegMiner;
+
+    before(async () => {
+        const accounts = await ethers.getSigners();
+        const JPEGminer = await ethers.getContractFactory(shards.contractName);
+        jpegMiner = await JPEGminer.connect(accounts[Nscans + 1]).deploy(shards.header, bundle.hashes, gasMintingFees);
+        for (const [tokenId, account] of accounts.slice(0, nMined).entries()) {
+            await jpegMiner.connect(account).mine(shards.scans[tokenId], {
+                value: gasPrice.mul(gasMintingFees[tokenId])
+            });
+        }
+    });
+
+    it("returns the header and the mined scans only", async function () {
+        expect(await jpegMiner.getHeader()).to.equal(shards.header);
+        expect(await jpegMiner.getScan(4)).to.equal(shards.scans[4]);
+        expect(await jpegMiner.getScans(2, 5)).to.deep.equal(shards.scans.slice(2, 5));
+        expect(await jpegMiner.getScans(3, 3)).to.deep.equal([]);
+
+        await expect(jpegMiner.getScan(nMined)).to.be.revertedWith("Token does not exist");
+        await expect(jpegMiner.getScans(0, nMined + 1)).to.be.revertedWith("Scans not mined");
+        await expect(jpegMiner.getScans(5, 4)).to.be.revertedWith("Scans not mined");
+    });
+
+    it("rebuilds tokenURI() a few scans per call", async function () {
+        const client = scanClient.createScanClient(ethers.provider, jpegMiner.address, shards.mode, {
+            batchSize: 5,
+            concurrency: 2
+        });
+
+        for (const tokenId of [0, 5, nMined - 1]) {
+            expect(await client.getTokenURI(tokenId)).to.equal(await jpegMiner.tokenURI(tokenId));
+            expect(await client.getImageB64(tokenId)).to.equal(tokenURI.getImageB64(shards, tokenId));
+        }
+    });
+
+    it("reads every scan once", async function () {
+        // A provider of our own, the one of hardhat-ethers is a read-only proxy
+        let nCalls = 0;
+        const provider = new ethers.providers.Web3Provider(hre.network.provider);
+        const call = provider.call.bind(provider);
+        provider.call = (...args) => {
+            nCalls++;
+            return call(...args);
+        };
+        const client = scanClient.createScanClient(provider, jpegMiner.address, shards.mode, { batchSize: 5 });
+
+        const [first] = await Promise.all([client.getShards(nMined - 1), client.getScans(3, 8)]);
+        expect(first.scans).to.deep.equal(shards.scans.slice(0, nMined));
+        // The header and three batches
+        expect(nCalls).to.equal(4);
+
+        await client.getShards(nMined - 1);
+        expect(nCalls).to.equal(4);
+    });
+});
+
+describe("Collection factory", function () {
+    const nCollectionScans = 5;
+    const description = 'Second drop: "5 scans" & 100% on-chain';
+    const binary = utils.getShards(utils.splitScans(bundle.JPEG), "binary");
+    const collectionBundle = {
+        manifest: { phases: { colorStart: 2, resolutionStart: 4 } },
+        shards: { ...binary, scans: binary.scans.slice(0, nCollectionScans) },
+        hashes: utils.hashScans(binary.scans.slice(0, nCollectionScans), "binary"),
+        gasFees: { gasMintingFees: gasMintingFees.slice(0, nCollectionScans) }
+    };
+    let accounts;
+    let factory;
+    let collection;
+    let collectionArguments;
+
+    before(async () => {
+        accounts = await ethers.getSigners();
+        factory = await collections.deployFactory(ethers, accounts[Nscans + 1]);
+        collectionArguments = collections.getCollectionArguments(collectionBundle, {
+            name: "Second JPEG",
+            symbol: "SJ",
+            description
+        });
+        ({ collection } = await collections.createCollection(ethers, factory, collectionArguments));
+    });
+
+    it("creates collections with their own scans, phases and metadata", async function () {
+        expect(await collection.name()).to.equal("Second JPEG");
+        expect(await collection.symbol()).to.equal("SJ");
+        expect(await collection.NSCANS()).to.equal(nCollectionScans);
+        expect(await collection.owner()).to.equal(accounts[Nscans + 1].address);
+        expect(await factory.isCollection(collection.address)).to.be.true;
+        expect(await factory.getCollections()).to.deep.equal([collection.address]);
+
+        const phases = await Promise.all([1, 2, 3, 4].map((tokenId) => collection.getPhase(tokenId)));
+        expect(phases).to.deep.equal(["Black & White", "Color", "Color", "Resolution"]);
+    });
+
+    it("mines every scan and builds tokenURI() of the collection", async function () {
+        for (let tokenId = 0; tokenId < nCollectionScans; tokenId++) {
+            await collection.connect(accounts[tokenId]).mine(collectionBundle.shards.scans[tokenId], {
+                value: gasPrice.mul(gasMintingFees[tokenId])
+            });
+        }
+        await expect(
+            collection.connect(accounts[nCollectionScans]).mine(binary.scans[nCollectionScans], {
+                value: gasPrice.mul(gasMintingFees[nCollectionScans])
+            })
+        ).to.be.revertedWith("Mining is over");
+
+        const uri = await collection.tokenURI(nCollectionScans - 1);
+        const metadata = tokenURI.parseTokenURI(uri);
+        expect(metadata.name).to.equal(`Second JPEG: ${nCollectionScans} of ${nCollectionScans}`);
+        expect(metadata.description).to.equal(description);
+        expect(metadata.image).to.equal(
+            `data:image/jpeg;base64,${ethers.utils.base64.encode(
+                ethers.utils.concat([binary.header, ...collectionBundle.shards.scans, binary.footer])
+            )}`
+        );
+
+        const client = scanClient.createScanClient(ethers.provider, collection.address, "binary");
+        expect(await client.getTokenURI(nCollectionScans - 1)).to.equal(uri);
+    });
+
+    it("is only initialized once", async function () {
+        const implementation = (await ethers.getContractFactory(collections.COLLECTION_CONTRACT)).attach(
+            await factory.implementation()
+        );
+        for (const contract of [collection, implementation]) {
+            await expect(contract.initialize(accounts[0].address, collectionArguments)).to.be.revertedWith(
+                "Initializable: contract is already initialized"
+            );
+        }
+
+        expect(() =>
+            collections.getCollectionArguments(collectionBundle, { name: 'Say "JPEG"', symbol: "J" })
+        ).to.throw("can only have");
+        expect(() =>
+            collections.getCollectionArguments(
+                { ...collectionBundle, shards: { ...collectionBundle.shards, mode: "base64" } },
+                { name: "JPEG", symbol: "J" }
+            )
+        ).to.throw("binary shards");
+    });
+
+    it("is owned like OpenZeppelin's Ownable", async function () {
+        const [owner, next] = [accounts[Nscans + 1], accounts[Nscans]];
+        await expect(collection.connect(next).withdrawEth()).to.be.revertedWith("Ownable: caller is not the owner");
+        await expect(collection.connect(owner).transferOwnership(ethers.constants.AddressZero)).to.be.revertedWith(
+            "Ownable: new owner is the zero address"
+        );
+
+        const balance = await waffle.provider.getBalance(collection.address);
+        await expect(() => collection.connect(owner).withdrawEth()).to.changeEtherBalance(owner, balance);
+        await expect(collection.connect(owner).transferOwnership(next.address))
+            .to.emit(collection, "OwnershipTransferred")
+            .withArgs(owner.address, next.address);
+        await collection.connect(next).renounceOwnership();
+        expect(await collection.owner()).to.equal(ethers.constants.AddressZero);
+    });
+
+    it("measures minting fees on a collection", async function () {
+        const txGas = await gasFees.getMiningGas(
+            ethers,
+            { ...collectionBundle.shards, contractName: collections.COLLECTION_CONTRACT },
+            collectionBundle.hashes
+        );
+        expect(txGas).to.have.lengthOf(nCollectionScans);
+        txGas.forEach((gas) => expect(gas).to.be.above(21000));
+    });
+});
+
+describe("Mining reservations", function () {
+    const nCollectionScans = 6;
+    const binary = utils.getShards(utils.splitScans(bundle.JPEG), "binary");
+    const collectionBundle = {
+        manifest: { phases: { colorStart: 1, resolutionStart: 3 } },
+        shards: { ...binary, scans: binary.scans.slice(0, nCollectionScans) },
+        hashes: utils.hashScans(binary.scans.slice(0, nCollectionScans), "binary"),
+        gasFees: { gasMintingFees: gasMintingFees.slice(0, nCollectionScans) }
+    };
+    const mineReserved = (miner, tokenId, voucher) =>
+        collection
+            .connect(miner)
+            .mineReserved(binary.scans[tokenId], reservations.toReservation(voucher), voucher.signature, {
+                value: gasPrice.mul(gasMintingFees[tokenId])
+            });
+    let accounts;
+    let owner;
+    let collection;
+    let contract;
+    let now;
+    let anyScan;
+    let dir;
+
+    before(async () => {
+        accounts = await ethers.getSigners();
+        owner = accounts[Nscans + 1];
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), "vouchers-"));
+        const factory = await collections.deployFactory(ethers, owner);
+        ({ collection } = await collections.createCollection(
+            ethers,
+            factory,
+            collections.getCollectionArguments(collectionBundle, { name: "Reserved", symbol: "R", publicMining: false })
+        ));
+        contract = { chainId: (await ethers.provider.getNetwork()).chainId, address: collection.address };
+        ({ timestamp: now } = await ethers.provider.getBlock("latest"));
+    });
+
+    after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+    it("only mines with vouchers signed by the owner", async function () {
+        await expect(
+            collection.connect(accounts[0]).mine(binary.scans[0], { value: gasPrice.mul(gasMintingFees[0]) })
+        ).to.be.revertedWith("Mining needs a reservation");
+
+        const file = await vouchers.signVouchers(owner, contract, [
+            { miner: accounts[0].address, scan: 0, notBefore: null, notAfter: null },
+            { miner: accounts[1].address, scan: null, notBefore: now - 60, notAfter: now + 3600 }
+        ]);
+        expect(() => reservations.checkVoucherFile(file, { contract })).to.not.throw();
+        expect(await collection.hashReservation(reservations.toReservation(file.vouchers[0]))).to.equal(
+            ethers.utils._TypedDataEncoder.hash(
+                reservations.getReservationDomain(contract.chainId, contract.address),
+                reservations.reservationTypes,
+                reservations.toReservation(file.vouchers[0])
+            )
+        );
+
+        await mineReserved(accounts[0], 0, reservations.findVoucher(file, accounts[0].address));
+        anyScan = reservations.findVoucher(file, accounts[1].address);
+        await mineReserved(accounts[1], 1, anyScan);
+        expect(await collection.ownerOf(0)).to.equal(accounts[0].address);
+        expect(await collection.ownerOf(1)).to.equal(accounts[1].address);
+    });
+
+    it("mines once per voucher, even after the token is transferred", async function () {
+        await collection.connect(accounts[1]).transferFrom(accounts[1].address, accounts[5].address, 1);
+        expect(await collection.balanceOf(accounts[1].address)).to.equal(0);
+
+        await expect(mineReserved(accounts[1], 2, anyScan)).to.be.revertedWith("Reservation already used");
+        const digest = await collection.hashReservation(reservations.toReservation(anyScan));
+        expect(await collection.usedReservations(digest)).to.be.true;
+    });
+
+    it("rejects vouchers of other miners, scans, times and signers", async function () {
+        const miner = accounts[2].address;
+        const [open, scan, expired] = (
+            await vouchers.signVouchers(owner, contract, [
+                { miner: accounts[3].address, scan: null, notBefore: null, notAfter: null },
+                { miner, scan: 3, notBefore: null, notAfter: null },
+                { miner, scan: null, notBefore: null, notAfter: now - 1 }
+            ])
+        ).vouchers;
+        const forgedFile = await vouchers.signVouchers(accounts[3], contract, [
+            { miner, scan: 2, notBefore: null, notAfter: null }
+        ]);
+        const [forged] = forgedFile.vouchers;
+
+        await expect(mineReserved(accounts[2], 2, open)).to.be.revertedWith("Reserved for another miner");
+        await expect(mineReserved(accounts[2], 2, scan)).to.be.revertedWith("Reserved for another scan");
+        await expect(mineReserved(accounts[2], 2, expired)).to.be.revertedWith("Reservation not valid now");
+        await expect(mineReserved(accounts[2], 2, forged)).to.be.revertedWith("Reservation not signed by owner");
+
+        const state = { miner, nextScan: 2, timestamp: now };
+        expect(reservations.getVoucherError(open, state)).to.include("is for 0x");
+        expect(reservations.getVoucherError(scan, state)).to.include("scan 3");
+        expect(reservations.getVoucherError(expired, state)).to.include("expired");
+        expect(reservations.getVoucherError(forged, state)).to.be.null;
+        expect(() => reservations.checkVoucherFile({ ...forgedFile, signer: owner.address }, { contract })).to.throw(
+            "not signed by"
+        );
+    });
+
+    it("lets the owner open mining to anyone", async function () {
+        await expect(collection.connect(accounts[0]).setPublicMining(true)).to.be.revertedWith(
+            "Ownable: caller is not the owner"
+        );
+        await collection.connect(owner).setPublicMining(true);
+        expect(await collection.publicMining()).to.be.true;
+
+        await collection.connect(accounts[4]).mine(binary.scans[2], { value: gasPrice.mul(gasMintingFees[2]) });
+        expect(await collection.ownerOf(2)).to.equal(accounts[4].address);
+    });
+
+    it("keeps reserved scans to their vouchers, even with public mining", async function () {
+        const [reserved, open] = (
+            await vouchers.signVouchers(owner, contract, [
+                { miner: accounts[6].address, scan: 3, notBefore: null, notAfter: null },
+                { miner: accounts[7].address, scan: null, notBefore: null, notAfter: null }
+            ])
+        ).vouchers;
+        anyScan = open;
+        expect(await vouchers.getUnreservedScans(collection, [reserved, open])).to.deep.equal([3]);
+        await expect(collection.connect(accounts[0]).setReservedScans([3, 4], true)).to.be.revertedWith(
+            "Ownable: caller is not the owner"
+        );
+        await expect(collection.connect(owner).setReservedScans([nCollectionScans], true)).to.be.revertedWith(
+            "Not a scan of the collection"
+        );
+        await expect(collection.connect(owner).setReservedScans([3, 4], true))
+            .to.emit(collection, "ScansReserved")
+            .withArgs([3, 4], true);
+        expect(await vouchers.getUnreservedScans(collection, [reserved, open])).to.deep.equal([]);
+
+        await expect(
+            collection.connect(accounts[8]).mine(binary.scans[3], { value: gasPrice.mul(gasMintingFees[3]) })
+        ).to.be.revertedWith("Scan is reserved");
+        await expect(mineReserved(accounts[7], 3, open)).to.be.revertedWith("Scan is reserved");
+        const state = { miner: accounts[7].address, nextScan: 3, timestamp: now, reserved: true };
+        expect(reservations.getVoucherError(open, state)).to.equal("Scan 3 is reserved for another miner");
+
+        await mineReserved(accounts[6], 3, reserved);
+        expect(await collection.ownerOf(3)).to.equal(accounts[6].address);
+    });
+
+    it("lets the owner release the reserved scan of a miner who does not show up", async function () {
+        await collection.connect(owner).setPublicMining(false);
+        await expect(mineReserved(accounts[7], 4, anyScan)).to.be.revertedWith("Scan is reserved");
+
+        await collection.connect(owner).setReservedScans([4], false);
+        expect(await collection.reservedScans(4)).to.be.false;
+        await mineReserved(accounts[7], 4, anyScan);
+        expect(await collection.ownerOf(4)).to.equal(accounts[7].address);
+    });
+
+    it("reads reservations from CSV and writes a voucher file per miner", async function () {
+        const [first, second] = accounts.map((account) => account.address);
+        const list = vouchers.parseReservations(
+            ethers,
+            `miner,scan,notBefore,notAfter\n${first.toLowerCase()},2,,\n${second},any,2022-03-01T00:00:00Z,1646179200\n`
+        );
+        expect(list).to.deep.equal([
+            { miner: first, scan: 2, notBefore: null, notAfter: null },
+            { miner: second, scan: null, notBefore: 1646092800, notAfter: 1646179200 }
+        ]);
+        expect(() =>
+            vouchers.parseReservations(ethers, `miner,scan,notBefore,notAfter\n${first},,,\n${first},,,`)
+        ).to.throw("reserved twice");
+        expect(() => vouchers.checkReservations(list, 2)).to.throw("not one of the 2 scans");
+
+        const files = vouchers.splitVouchers(dir, await vouchers.signVouchers(owner, contract, list));
+        expect(files).to.have.lengthOf(2);
+        const file = vouchers.loadVouchers(files[1]);
+        reservations.checkVoucherFile(file, { contract });
+        expect(reservations.findVoucher(file, second).scan).to.be.null;
+        expect(reservations.findVoucher(file, first)).to.be.null;
+    });
+});